@@ -0,0 +1,49 @@
+jest.mock('../db');
+jest.mock('../storage');
+
+const { query, queryOne, queryAll, transaction } = require('../db');
+const storage = require('../storage');
+const { collectUserData, eraseUser } = require('../dataRights');
+
+const USER = { id: 2, email: 'speaker@example.com' };
+
+let client;
+beforeEach(() => {
+  jest.resetAllMocks();
+  client = { query: jest.fn().mockResolvedValue({ rowCount: 0, rows: [] }) };
+  transaction.mockImplementation(async callback => callback(client));
+  query.mockResolvedValue({ rowCount: 0, rows: [] });
+  queryAll.mockResolvedValue([]);
+});
+
+describe('collectUserData', () => {
+  test('includes the story progress kept under the email', async () => {
+    const progress = [{ story_id: 1, story_title: 'पाव वाट', last_sentence_order: 4, total_recorded: 4 }];
+    queryAll.mockImplementation(async sql => (sql.includes('FROM user_progress') ? progress : []));
+
+    const data = await collectUserData(USER);
+    expect(data.story_progress).toEqual(progress);
+    expect(queryAll).toHaveBeenCalledWith(expect.stringContaining('FROM user_progress'), [USER.email]);
+  });
+});
+
+describe('eraseUser', () => {
+  beforeEach(() => {
+    queryOne.mockResolvedValueOnce({ id: 9 }).mockResolvedValueOnce({ id: 9, status: 'completed' });
+    queryAll.mockResolvedValue([{ id: 30, audio_filepath: 'a.wav' }]);
+    storage.deleteFile.mockResolvedValue();
+  });
+
+  test('deletes the story progress with the recordings', async () => {
+    await eraseUser(USER, 'self');
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM user_progress WHERE user_id = $1', [USER.email]);
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM users WHERE id = $1', [USER.id]);
+  });
+
+  test('keeps review work and sentence edits under a pseudonym', async () => {
+    await eraseUser(USER, 'admin@example.com');
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE recording_votes'), [USER.email, 'erased:9']);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE sentence_versions'), [USER.email, 'erased:9']);
+    expect(queryOne.mock.calls[0][1][1]).toBe('admin@example.com');
+  });
+});
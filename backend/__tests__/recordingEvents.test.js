@@ -0,0 +1,67 @@
+jest.mock('../db');
+
+const { query, queryOne, queryAll } = require('../db');
+const { logRecordingEvent, logUploadEvent, getRecordingHistory } = require('../recordingEvents');
+
+const UPLOAD = {
+  id: 30, sentence_id: '5', user_id: 'speaker@example.com', audio_filepath: 'a.wav', validation_status: 'valid',
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('logRecordingEvent', () => {
+  test('stores the values as JSON and defaults the actor to system', async () => {
+    await logRecordingEvent({ recordingId: 30, eventType: 'status_change', oldValue: { status: 'pending' }, newValue: { status: 'approved' } });
+    expect(query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO recording_events'),
+      [30, 'status_change', 'system', '{"status":"pending"}', '{"status":"approved"}']
+    );
+  });
+
+  test('writes through the transaction client when given one', async () => {
+    const client = { query: jest.fn() };
+    await logRecordingEvent({ recordingId: 30, eventType: 'vote', actor: 'reviewer@example.com' }, client);
+    expect(client.query).toHaveBeenCalledWith(expect.any(String), [30, 'vote', 'reviewer@example.com', null, null]);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('rejects an unknown event type', async () => {
+    await expect(logRecordingEvent({ recordingId: 30, eventType: 'renamed' }))
+      .rejects.toThrow('Unknown recording event type: renamed');
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('logUploadEvent', () => {
+  test('logs a first upload as created', async () => {
+    queryOne.mockResolvedValue({ has_previous: false });
+    await logUploadEvent(UPLOAD);
+
+    expect(queryOne).toHaveBeenCalledWith(expect.stringContaining('has_previous'), [UPLOAD.sentence_id, UPLOAD.user_id, UPLOAD.id]);
+    const [, params] = query.mock.calls[0];
+    expect(params.slice(0, 3)).toEqual([30, 'created', 'speaker@example.com']);
+    expect(JSON.parse(params[4])).toEqual({
+      sentence_id: 5, user_id: 'speaker@example.com', audio_filepath: 'a.wav', validation_status: 'valid',
+    });
+  });
+
+  test('logs another take of the same sentence as re_upload', async () => {
+    queryOne.mockResolvedValue({ has_previous: true });
+    await logUploadEvent(UPLOAD);
+    expect(query.mock.calls[0][1][1]).toBe('re_upload');
+  });
+});
+
+describe('getRecordingHistory', () => {
+  test('returns the events of the recording, oldest first', async () => {
+    const events = [{ id: 1, event_type: 'created' }, { id: 2, event_type: 'status_change' }];
+    queryAll.mockResolvedValue(events);
+
+    expect(await getRecordingHistory(30)).toBe(events);
+    const [sql, params] = queryAll.mock.calls[0];
+    expect(sql).toMatch(/WHERE recording_id = \$1\s+ORDER BY created_at ASC, id ASC/);
+    expect(params).toEqual([30]);
+  });
+});
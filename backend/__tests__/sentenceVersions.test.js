@@ -0,0 +1,88 @@
+jest.mock('../db');
+
+const { transaction } = require('../db');
+const { readSentenceVersion, editSentenceText, reverifyRecording } = require('../sentenceVersions');
+
+let client;
+beforeEach(() => {
+  jest.resetAllMocks();
+  transaction.mockImplementation(async callback => callback(client));
+});
+
+// A pg client that answers SELECTs with the given rows and everything else with one affected row
+function fakeClient(selected) {
+  return {
+    query: jest.fn(async (sql, params) => {
+      if (sql.startsWith('SELECT COUNT')) return { rows: [{ count: 2 }] };
+      if (sql.trim().startsWith('SELECT')) return { rows: selected };
+      if (sql.includes('RETURNING')) return { rowCount: 1, rows: [{ id: params[0], returned: true }] };
+      return { rowCount: 1, rows: [] };
+    }),
+  };
+}
+
+describe('readSentenceVersion', () => {
+  test('takes a version up to the current one', () => {
+    expect(readSentenceVersion('2', 3)).toBe(2);
+    expect(readSentenceVersion(3, 3)).toBe(3);
+  });
+
+  test('falls back to the current version', () => {
+    expect(readSentenceVersion(undefined, 3)).toBe(3);
+    expect(readSentenceVersion('abc', 3)).toBe(3);
+    expect(readSentenceVersion(0, 3)).toBe(3);
+    expect(readSentenceVersion(4, 3)).toBe(3);
+  });
+});
+
+describe('editSentenceText', () => {
+  const SENTENCE = {
+    id: 5, text_version: 1, text_devanagari: 'एक घर।', text_iast: 'ek ghar', created_at: '2026-01-01',
+  };
+
+  test('stores the old and new text as versions and updates the sentence', async () => {
+    client = fakeClient([SENTENCE]);
+    const result = await editSentenceText(5, { text: 'एक घर आसा।', editor: 'admin@example.com', note: 'typo' });
+
+    expect(client.query.mock.calls[0][0]).toMatch(/FROM sentences WHERE id = \$1 FOR UPDATE/);
+    const versions = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO sentence_versions'));
+    expect(versions[0][1]).toEqual([5, 1, 'एक घर।', 'ek ghar', '2026-01-01']);
+    expect(versions[1][1]).toEqual([5, 2, 'एक घर आसा।', 'ek ghar āsā', 'admin@example.com', 'typo']);
+
+    const [, update] = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE sentences'));
+    expect(update.slice(0, 5)).toEqual([5, 'एक घर आसा।', 'ek ghar āsā', 10, 2]);
+    expect(result.recordings_to_reverify).toBe(2);
+  });
+
+  test('returns null for a missing sentence', async () => {
+    client = fakeClient([]);
+    expect(await editSentenceText(99, { text: 'एक।', editor: 'admin@example.com' })).toBeNull();
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('reverifyRecording', () => {
+  test('moves a recording to the current text and logs it, under a row lock', async () => {
+    client = fakeClient([{ id: 30, sentence_version: 1, text_version: 3 }]);
+    const result = await reverifyRecording(30, 'reviewer@example.com');
+
+    expect(client.query.mock.calls[0][0]).toMatch(/FOR UPDATE OF r/);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE recordings'), [30, 3]);
+    const [, event] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO recording_events'));
+    expect(event.slice(0, 3)).toEqual([30, 'text_reverify', 'reviewer@example.com']);
+    expect(result.changed).toBe(true);
+  });
+
+  test('changes and logs nothing when the recording already matches', async () => {
+    client = fakeClient([{ id: 30, sentence_version: 3, text_version: 3 }]);
+    const result = await reverifyRecording(30, 'reviewer@example.com');
+
+    expect(result).toEqual({ recording: { id: 30, sentence_version: 3, text_version: 3 }, changed: false });
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns null for a missing recording', async () => {
+    client = fakeClient([]);
+    expect(await reverifyRecording(99, 'reviewer@example.com')).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../db');
+jest.mock('../storage');
+
+const { transaction } = require('../db');
+const { reimportStory } = require('../stories');
+const { fitSentencesToLimit } = require('../utils/longSentences');
+
+const LONG_SENTENCES = { mode: 'split', maxSeconds: 10 };
+const words = (word, n) => Array.from({ length: n }, () => word).join(' ');
+const SHORT = 'हांव घरा वता.';
+const LONG = `${words('एक', 12)}, ${words('दोन', 12)}, ${words('तीन', 12)}.`;
+const REWRITTEN = `${words('एक', 12)}, ${words('दोन', 12)}, ${words('पांच', 12)}.`;
+
+// The story as first imported: SHORT, then LONG split into three segments under parent 50
+function storedSentences() {
+  return fitSentencesToLimit([SHORT, LONG], LONG_SENTENCES).map((fitted, i) => ({
+    id: i + 1,
+    order_in_story: i + 1,
+    text_devanagari: fitted.text,
+    parent_id: fitted.parent ? 50 : null,
+    segment_index: fitted.segment_index,
+    recording_count: 1,
+  }));
+}
+
+let client;
+beforeEach(() => {
+  jest.resetAllMocks();
+  let nextParentId = 60;
+  client = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM stories WHERE id')) return { rows: [{ id: 3 }] };
+      if (sql.includes('FROM sentences s')) return { rows: storedSentences() };
+      if (sql.includes('INSERT INTO sentence_parents')) return { rows: [{ id: nextParentId++ }] };
+      if (sql.includes('COUNT(*)')) return { rows: [{ count: 0 }] };
+      if (sql.includes('RETURNING')) return { rows: [{ id: 3 }] };
+      return { rowCount: 0, rows: [] };
+    }),
+  };
+  transaction.mockImplementation(async callback => callback(client));
+});
+
+const callWith = text => client.query.mock.calls.find(([sql]) => sql.includes(text));
+
+describe('reimportStory with split sentences', () => {
+  test('moves kept segments to the parent of the new text and detaches retired ones', async () => {
+    const result = await reimportStory(3, { text: `${SHORT} ${REWRITTEN}`, long_sentences: LONG_SENTENCES }, { editor: 'admin@example.com' });
+    expect(result.operations.map(op => op.action)).toEqual(['keep', 'keep', 'keep', 'retire', 'insert']);
+
+    const parents = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO sentence_parents'));
+    expect(parents).toHaveLength(1);
+    expect(parents[0][1][1]).toBe(REWRITTEN);
+
+    const [, moved] = callWith('AS moved(id, position, parent_id, segment_index)');
+    expect(moved).toEqual([[1, 2, 3], [1, 2, 3], [null, 60, 60], [null, 1, 2]]);
+
+    const [retireSql, retired] = callWith('SET retired_at = NOW()');
+    expect(retireSql).toMatch(/parent_id = NULL, segment_index = NULL/);
+    expect(retired).toEqual([[4]]);
+
+    const [, inserted] = callWith('INSERT INTO sentences');
+    expect(inserted[5]).toEqual([60]);
+    expect(inserted[6]).toEqual([3]);
+
+    expect(callWith('DELETE FROM sentence_parents')[1]).toEqual([3]);
+  });
+
+  test('drops the parents when the new text is not split', async () => {
+    await reimportStory(3, { text: `${SHORT} ${LONG}` }, { editor: 'admin@example.com' });
+
+    expect(callWith('INSERT INTO sentence_parents')).toBeUndefined();
+    const [, moved] = callWith('AS moved(id, position, parent_id, segment_index)');
+    expect(moved[2]).toEqual([null]);
+    expect(callWith('DELETE FROM sentence_parents')).toBeDefined();
+  });
+
+  test('writes nothing on a dry run', async () => {
+    await reimportStory(3, { text: `${SHORT} ${REWRITTEN}`, long_sentences: LONG_SENTENCES }, { editor: 'admin@example.com', dryRun: true });
+    expect(callWith('INSERT INTO sentence_parents')).toBeUndefined();
+    expect(callWith('UPDATE sentences')).toBeUndefined();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Informed consent (consent_texts, user_consents)
+ * The most recently published consent text is current. A contributor has valid consent once
+ * they accepted the current version and have not withdrawn it. Withdrawing queues all of the
+ * speaker's recordings for deletion and removes their speaker profile.
+ */
+
+const { queryOne, queryAll, transaction } = require('./db');
+const { logRecordingEvent } = require('./recordingEvents');
+const { releaseLeases } = require('./reviewQueue');
+
+/**
+ * SQL condition: the speaker behind a recording withdrew consent and has not consented since
+ * @param {string} userRef - SQL expression for the speaker email, e.g. 'r.user_id'
+ * @returns {string}
+ */
+function consentWithdrawnSql(userRef) {
+    return `EXISTS (
+        SELECT 1 FROM user_consents uc
+        JOIN users cu ON cu.id = uc.user_id
+        WHERE cu.email = ${userRef}
+          AND uc.withdrawn_at IS NOT NULL
+          AND NOT EXISTS (
+              SELECT 1 FROM user_consents active
+              WHERE active.user_id = uc.user_id AND active.withdrawn_at IS NULL
+          )
+    )`;
+}
+
+/**
+ * The current consent text
+ * @returns {Promise<object|null>} - { id, version, body, published_at }
+ */
+async function getCurrentConsentText() {
+    return await queryOne(
+        `SELECT id, version, body, published_at
+         FROM consent_texts
+         ORDER BY published_at DESC, id DESC
+         LIMIT 1`
+    );
+}
+
+/**
+ * Consent state of a user
+ * @param {number} userId
+ * @returns {Promise<object>} - { valid, current, accepted, history }
+ */
+async function getConsentStatus(userId) {
+    const current = await getCurrentConsentText();
+    const history = await queryAll(
+        `SELECT uc.id, ct.version, uc.accepted_at, uc.withdrawn_at
+         FROM user_consents uc
+         JOIN consent_texts ct ON ct.id = uc.consent_text_id
+         WHERE uc.user_id = $1
+         ORDER BY uc.accepted_at DESC, uc.id DESC`,
+        [userId]
+    );
+
+    const accepted = current
+        ? history.find(c => c.version === current.version && !c.withdrawn_at) || null
+        : null;
+
+    return { valid: Boolean(accepted), current, accepted, history };
+}
+
+/**
+ * Record that a user accepted a consent version (idempotent while it is active)
+ * @param {number} userId
+ * @param {number} consentTextId
+ * @param {string} [userAgent]
+ * @returns {Promise<object>} - The active user_consents row
+ */
+async function acceptConsent(userId, consentTextId, userAgent = null) {
+    const inserted = await queryOne(
+        `INSERT INTO user_consents (user_id, consent_text_id, user_agent)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, consent_text_id) WHERE withdrawn_at IS NULL DO NOTHING
+         RETURNING id, accepted_at`,
+        [userId, consentTextId, userAgent]
+    );
+    if (inserted) return inserted;
+
+    return await queryOne(
+        `SELECT id, accepted_at FROM user_consents
+         WHERE user_id = $1 AND consent_text_id = $2 AND withdrawn_at IS NULL`,
+        [userId, consentTextId]
+    );
+}
+
+/**
+ * Withdraw consent: close every active acceptance, queue the speaker's recordings for
+ * deletion (status 'deleted', purged by /api/admin/cleanup-deleted) and delete their profile.
+ * Without an active acceptance nothing is changed (withdrawn is 0).
+ * @param {object} user - { id, email }
+ * @param {string} actor - Email of whoever withdrew it (the user, or an admin)
+ * @returns {Promise<{ withdrawn: number, recordings_queued: number }>}
+ */
+async function withdrawConsent(user, actor) {
+    return await transaction(async (client) => {
+        const withdrawn = await client.query(
+            `UPDATE user_consents SET withdrawn_at = NOW()
+             WHERE user_id = $1 AND withdrawn_at IS NULL`,
+            [user.id]
+        );
+        if (withdrawn.rowCount === 0) {
+            return { withdrawn: 0, recordings_queued: 0 };
+        }
+
+        const queued = await client.query(
+            `UPDATE recordings r
+             SET status = 'deleted',
+                 updated_at = CURRENT_TIMESTAMP
+             FROM recordings old
+             WHERE r.id = old.id
+               AND r.user_id = $1
+               AND r.status <> 'deleted'
+             RETURNING r.id, old.status AS old_status`,
+            [user.email]
+        );
+
+        for (const row of queued.rows) {
+            await logRecordingEvent({
+                recordingId: row.id,
+                eventType: 'status_change',
+                actor,
+                oldValue: { status: row.old_status },
+                newValue: { status: 'deleted', reason: 'consent_withdrawn' },
+            }, client);
+            await releaseLeases({ recordingId: row.id }, client);
+        }
+
+        await client.query('DELETE FROM speaker_profiles WHERE user_id = $1', [user.id]);
+
+        return { withdrawn: withdrawn.rowCount, recordings_queued: queued.rowCount };
+    });
+}
+
+module.exports = {
+    consentWithdrawnSql,
+    getCurrentConsentText,
+    getConsentStatus,
+    acceptConsent,
+    withdrawConsent,
+};
@@ -0,0 +1,217 @@
+/**
+ * Contributor data rights: export and erasure
+ * collectUserData() gathers everything stored about a contributor for
+ * GET /api/users/:email/export; eraseUser() removes it (DB rows and audio in storage)
+ * and records the erasure in erasure_requests.
+ */
+
+const { query, queryOne, queryAll, transaction } = require('./db');
+const storage = require('./storage');
+const { hashToken } = require('./utils/auth');
+
+/**
+ * Everything stored about a contributor (except the audio itself)
+ * @param {object} user - { id, email }
+ * @returns {Promise<object>}
+ */
+async function collectUserData(user) {
+    const account = await queryOne(
+        `SELECT id, email, display_name, created_at, last_login_at,
+                ARRAY(SELECT role FROM user_roles WHERE user_id = users.id ORDER BY role) AS roles
+         FROM users WHERE id = $1`,
+        [user.id]
+    );
+
+    const speakerProfile = await queryOne(
+        'SELECT * FROM speaker_profiles WHERE user_id = $1',
+        [user.id]
+    );
+
+    const consents = await queryAll(
+        `SELECT ct.version, ct.body, uc.accepted_at, uc.withdrawn_at
+         FROM user_consents uc
+         JOIN consent_texts ct ON ct.id = uc.consent_text_id
+         WHERE uc.user_id = $1
+         ORDER BY uc.accepted_at ASC, uc.id ASC`,
+        [user.id]
+    );
+
+    const recordings = await queryAll(
+        `SELECT
+            r.id,
+            r.audio_filepath,
+            r.duration_seconds,
+            r.file_size_bytes,
+            r.sample_rate,
+            r.channels,
+            r.status,
+            r.needs_rerecording,
+            r.rejection_reason,
+            r.review_notes,
+            r.reviewed_at,
+            r.review_method,
+            r.validation_status,
+            r.validation_errors,
+            r.validation_warnings,
+            r.created_at,
+            r.updated_at,
+            s.id as sentence_id,
+            s.order_in_story,
+            s.text_devanagari,
+            st.id as story_id,
+            st.title as story_title
+         FROM recordings r
+         JOIN sentences s ON s.id = r.sentence_id
+         JOIN stories st ON st.id = s.story_id
+         WHERE r.user_id = $1
+         ORDER BY r.created_at ASC`,
+        [user.email]
+    );
+
+    const recordingEvents = await queryAll(
+        `SELECT recording_id, event_type, old_value, new_value, created_at
+         FROM recording_events
+         WHERE recording_id IN (SELECT id FROM recordings WHERE user_id = $1)
+            OR old_value->>'user_id' = $1
+            OR new_value->>'user_id' = $1
+         ORDER BY created_at ASC, id ASC`,
+        [user.email]
+    );
+
+    // Per-story progress, kept by trigger_update_progress under the contributor's email
+    const progress = await queryAll(
+        `SELECT up.story_id, st.title AS story_title, up.last_sentence_order, up.total_recorded,
+                up.last_activity_at
+         FROM user_progress up
+         LEFT JOIN stories st ON st.id = up.story_id
+         WHERE up.user_id = $1
+         ORDER BY up.last_activity_at ASC`,
+        [user.email]
+    );
+
+    const votes = await queryAll(
+        `SELECT recording_id, vote, rejection_reason, notes, created_at, updated_at
+         FROM recording_votes
+         WHERE reviewer = $1
+         ORDER BY created_at ASC`,
+        [user.email]
+    );
+
+    return {
+        exported_at: new Date().toISOString(),
+        account,
+        speaker_profile: speakerProfile || null,
+        consents,
+        recordings,
+        recording_events: recordingEvents,
+        story_progress: progress,
+        votes_cast: votes,
+    };
+}
+
+/**
+ * Erase a contributor: delete their audio from storage, then their recordings, audit events,
+ * story progress, profile, consents, sessions and account. Review work they did on other people's recordings
+ * (votes, reviewed_by, audit actor) and their sentence edits (edited_by) are kept under a pseudonym so
+ * review statistics and text history stay valid.
+ * @param {object} user - { id, email }
+ * @param {string} requestedBy - 'self', or the email of the admin/operator
+ * @returns {Promise<object>} - The erasure_requests row
+ */
+async function eraseUser(user, requestedBy) {
+    const request = await queryOne(
+        `INSERT INTO erasure_requests (email_hash, requested_by)
+         VALUES ($1, $2)
+         RETURNING id`,
+        [hashToken(user.email), requestedBy]
+    );
+    const pseudonym = `erased:${request.id}`;
+
+    // Log the user out everywhere first so nothing new is uploaded while we erase
+    await query('DELETE FROM user_sessions WHERE user_id = $1', [user.id]);
+
+    // 1. Audio files (a file that is already gone counts as deleted)
+    const recordings = await queryAll(
+        'SELECT id, audio_filepath FROM recordings WHERE user_id = $1',
+        [user.email]
+    );
+    let filesDeleted = 0;
+    const failedFiles = [];
+    for (const recording of recordings) {
+        try {
+            await storage.deleteFile(recording.audio_filepath);
+            filesDeleted++;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                filesDeleted++;
+            } else {
+                console.warn(`⚠️  Erasure ${request.id}: could not delete ${recording.audio_filepath}: ${error.message}`);
+                failedFiles.push(recording.audio_filepath);
+            }
+        }
+    }
+
+    // 2. Database rows
+    await transaction(async (client) => {
+        await client.query(
+            `DELETE FROM recording_events
+             WHERE recording_id IN (SELECT id FROM recordings WHERE user_id = $1)
+                OR old_value->>'user_id' = $1
+                OR new_value->>'user_id' = $1`,
+            [user.email]
+        );
+        // Votes and leases on their recordings cascade
+        await client.query('DELETE FROM recordings WHERE user_id = $1', [user.email]);
+        await client.query('DELETE FROM user_progress WHERE user_id = $1', [user.email]);
+
+        await client.query('UPDATE recording_events SET actor = $2 WHERE actor = $1', [user.email, pseudonym]);
+        await client.query('UPDATE recording_votes SET reviewer = $2 WHERE reviewer = $1', [user.email, pseudonym]);
+        await client.query('UPDATE recordings SET reviewed_by = $2 WHERE reviewed_by = $1', [user.email, pseudonym]);
+        await client.query('UPDATE sentence_versions SET edited_by = $2 WHERE edited_by = $1', [user.email, pseudonym]);
+        await client.query('DELETE FROM review_leases WHERE reviewer = $1', [user.email]);
+
+        // Roles, login tokens, speaker profile and consents cascade
+        await client.query('DELETE FROM users WHERE id = $1', [user.id]);
+    });
+
+    // 3. Record completion
+    return await queryOne(
+        `UPDATE erasure_requests
+         SET status = $2,
+             recordings_deleted = $3,
+             files_deleted = $4,
+             failed_files = $5,
+             completed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+            request.id,
+            failedFiles.length > 0 ? 'completed_with_errors' : 'completed',
+            recordings.length,
+            filesDeleted,
+            JSON.stringify(failedFiles),
+        ]
+    );
+}
+
+/**
+ * Erasures recorded for an email (looked up by hash)
+ * @param {string} email
+ * @returns {Promise<object[]>}
+ */
+async function findErasures(email) {
+    return await queryAll(
+        `SELECT id, requested_by, status, recordings_deleted, files_deleted, failed_files,
+                requested_at, completed_at
+         FROM erasure_requests
+         WHERE email_hash = $1
+         ORDER BY requested_at DESC`,
+        [hashToken(email)]
+    );
+}
+
+module.exports = {
+    collectUserData,
+    eraseUser,
+    findErasures,
+};
@@ -50,10 +50,27 @@ async function queryAll(text, params) {
     return res.rows;
 }
 
+// Helper: Run callback(client) inside a transaction (rolls back on error)
+async function transaction(callback) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 // Export pool and helpers
 module.exports = {
     pool,
     query,
     queryOne,
     queryAll,
+    transaction,
 };
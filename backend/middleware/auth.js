@@ -0,0 +1,66 @@
+/**
+ * Session authentication middleware
+ */
+
+const { SESSION_COOKIE, findSessionUser } = require('../sessions');
+const { parseCookies, normalizeEmail, hasRole } = require('../utils/auth');
+
+// Read the raw session token from the Authorization header or session cookie
+function getSessionToken(req) {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.slice('Bearer '.length).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Attach req.user when a valid session is present (never rejects the request)
+async function loadSession(req, res, next) {
+    try {
+        req.sessionToken = getSessionToken(req);
+        req.user = await findSessionUser(req.sessionToken);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+}
+
+// Require one of the given roles (admins always pass)
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!hasRole(req.user, ...roles)) {
+            return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+        }
+        next();
+    };
+}
+
+// For /:email/... routes: the email in the URL must belong to the logged-in user
+// (admins may access anyone's data)
+function requireSelf(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (normalizeEmail(req.params.email) !== req.user.email && !hasRole(req.user, 'admin')) {
+        return res.status(403).json({ error: 'You can only access your own data' });
+    }
+    next();
+}
+
+module.exports = {
+    getSessionToken,
+    loadSession,
+    requireAuth,
+    requireRole,
+    requireSelf,
+};
@@ -0,0 +1,27 @@
+/**
+ * Consent middleware
+ */
+
+const { getConsentStatus } = require('../consent');
+
+// Require the logged-in user to have accepted the current consent version
+// (use after requireRole/requireAuth)
+async function requireConsent(req, res, next) {
+    try {
+        const consent = await getConsentStatus(req.user.id);
+        if (!consent.valid) {
+            return res.status(403).json({
+                error: 'Please accept the current consent form before recording',
+                consent_required: true,
+                consent_version: consent.current ? consent.current.version : null,
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    requireConsent,
+};
@@ -3,17 +3,13 @@
  */
 
 function validateRecordingUpload(req, res, next) {
-    const { sentence_id, user_id } = req.body;
+    const { sentence_id } = req.body;
     const errors = [];
 
     if (!sentence_id || isNaN(parseInt(sentence_id))) {
         errors.push('sentence_id is required and must be a number');
     }
 
-    if (!user_id || typeof user_id !== 'string') {
-        errors.push('user_id is required and must be a string');
-    }
-
     if (!req.file) {
         errors.push('audio file is required');
     }
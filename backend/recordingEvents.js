@@ -0,0 +1,90 @@
+/**
+ * Recording audit log (recording_events)
+ * Append-only history of uploads, re-uploads, status changes, flag changes, votes, text re-verifications and purges.
+ */
+
+const { query, queryAll, queryOne } = require('./db');
+
+const EVENT_TYPES = ['created', 're_upload', 'status_change', 'flag_change', 'vote', 'text_reverify', 'purge'];
+
+/**
+ * Append an event to the audit log
+ * @param {object} event - { recordingId, eventType, actor, oldValue, newValue }
+ * @param {object} [client] - pg client when running inside a transaction
+ */
+async function logRecordingEvent({ recordingId, eventType, actor, oldValue = null, newValue = null }, client = null) {
+    if (!EVENT_TYPES.includes(eventType)) {
+        throw new Error(`Unknown recording event type: ${eventType}`);
+    }
+
+    const sql = `INSERT INTO recording_events (recording_id, event_type, actor, old_value, new_value)
+                 VALUES ($1, $2, $3, $4, $5)`;
+    const params = [
+        recordingId,
+        eventType,
+        actor || 'system',
+        oldValue ? JSON.stringify(oldValue) : null,
+        newValue ? JSON.stringify(newValue) : null,
+    ];
+
+    if (client) {
+        await client.query(sql, params);
+    } else {
+        await query(sql, params);
+    }
+}
+
+/**
+ * Log a new upload as 'created', or 're_upload' when the speaker already recorded this
+ * sentence before (including takes that have since been deleted)
+ * @param {object} recording - { id, sentence_id, user_id, audio_filepath, validation_status }
+ */
+async function logUploadEvent(recording) {
+    const previous = await queryOne(
+        `SELECT
+            EXISTS (
+                SELECT 1 FROM recordings
+                WHERE sentence_id = $1 AND user_id = $2 AND id <> $3
+            ) OR EXISTS (
+                SELECT 1 FROM recording_events
+                WHERE event_type = 'purge'
+                  AND old_value->>'user_id' = $2
+                  AND (old_value->>'sentence_id')::int = $1
+            ) AS has_previous`,
+        [recording.sentence_id, recording.user_id, recording.id]
+    );
+
+    await logRecordingEvent({
+        recordingId: recording.id,
+        eventType: previous && previous.has_previous ? 're_upload' : 'created',
+        actor: recording.user_id,
+        newValue: {
+            sentence_id: Number(recording.sentence_id),
+            user_id: recording.user_id,
+            audio_filepath: recording.audio_filepath,
+            validation_status: recording.validation_status,
+        },
+    });
+}
+
+/**
+ * Full event timeline for a recording, oldest first
+ * @param {number} recordingId
+ * @returns {Promise<object[]>}
+ */
+async function getRecordingHistory(recordingId) {
+    return await queryAll(
+        `SELECT id, event_type, actor, old_value, new_value, created_at
+         FROM recording_events
+         WHERE recording_id = $1
+         ORDER BY created_at ASC, id ASC`,
+        [recordingId]
+    );
+}
+
+module.exports = {
+    EVENT_TYPES,
+    logRecordingEvent,
+    logUploadEvent,
+    getRecordingHistory,
+};
@@ -0,0 +1,105 @@
+/**
+ * Re-recording requests (recordings.needs_rerecording)
+ * Reviewers flag a take to ask the speaker to record the sentence again. Flagged sentences
+ * are offered back to that speaker by the sentence API until a new take is uploaded,
+ * which clears the flag.
+ */
+
+const { queryAll, transaction } = require('./db');
+const { logRecordingEvent } = require('./recordingEvents');
+
+/**
+ * SQL condition: the user has a usable take of a sentence, i.e. their latest take
+ * exists and is not flagged for re-recording
+ * @param {string} sentenceRef - SQL expression for the sentence id, e.g. 's.id'
+ * @param {string} userParam - Placeholder holding the user's email, e.g. '$2'
+ * @returns {string}
+ */
+function hasUsableTakeSql(sentenceRef, userParam) {
+    return `EXISTS (
+        SELECT 1 FROM recordings take
+        WHERE take.sentence_id = ${sentenceRef}
+          AND take.user_id = ${userParam}
+          AND NOT COALESCE(take.needs_rerecording, FALSE)
+          AND NOT EXISTS (
+              SELECT 1 FROM recordings newer
+              WHERE newer.sentence_id = take.sentence_id
+                AND newer.user_id = take.user_id
+                AND newer.created_at > take.created_at
+          )
+    )`;
+}
+
+/**
+ * Clear re-recording flags on a speaker's earlier takes once a new take is uploaded
+ * @param {object} recording - The new recording { id, sentence_id, user_id }
+ * @returns {Promise<number>} - Number of flags cleared
+ */
+async function clearRerecordingFlags(recording) {
+    return await transaction(async (client) => {
+        const cleared = await client.query(
+            `UPDATE recordings
+             SET needs_rerecording = FALSE,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE sentence_id = $1
+               AND user_id = $2
+               AND id <> $3
+               AND needs_rerecording = TRUE
+             RETURNING id`,
+            [recording.sentence_id, recording.user_id, recording.id]
+        );
+
+        for (const row of cleared.rows) {
+            await logRecordingEvent({
+                recordingId: row.id,
+                eventType: 'flag_change',
+                actor: recording.user_id,
+                oldValue: { needs_rerecording: true },
+                newValue: { needs_rerecording: false, replaced_by: recording.id },
+            }, client);
+        }
+
+        return cleared.rowCount;
+    });
+}
+
+/**
+ * Sentences a speaker has been asked to record again (latest take flagged)
+ * @param {string} userId - Speaker email
+ * @returns {Promise<object[]>}
+ */
+async function getRerecordingRequests(userId) {
+    return await queryAll(
+        `SELECT
+            r.id as recording_id,
+            r.rejection_reason,
+            r.review_notes,
+            r.reviewed_at,
+            r.updated_at as flagged_at,
+            s.id as sentence_id,
+            s.order_in_story,
+            s.text_devanagari,
+            st.id as story_id,
+            st.title as story_title
+         FROM recordings r
+         JOIN sentences s ON s.id = r.sentence_id
+         JOIN stories st ON st.id = s.story_id
+         WHERE r.user_id = $1
+           AND r.needs_rerecording = TRUE
+           AND s.retired_at IS NULL
+           AND NOT EXISTS (
+               SELECT 1 FROM recordings newer
+               WHERE newer.sentence_id = r.sentence_id
+                 AND newer.user_id = r.user_id
+                 AND newer.created_at > r.created_at
+           )
+         ORDER BY st.id ASC, s.order_in_story ASC`,
+        [userId]
+    );
+}
+
+module.exports = {
+    hasUsableTakeSql,
+    clearRerecordingFlags,
+    getRerecordingRequests,
+};
@@ -0,0 +1,214 @@
+/**
+ * Review queue (review_leases)
+ * Hands out batches of pending recordings to one reviewer at a time so reviewers don't
+ * work on the same recordings. A lease lasts REVIEW_LEASE_MINUTES; expired leases stop
+ * counting immediately and are removed on the next lease request.
+ */
+
+const { query, queryAll, transaction } = require('./db');
+const { TEXT_VERSION_COLUMNS } = require('./utils/recordingListQuery');
+
+const LEASE_MINUTES = parseInt(process.env.REVIEW_LEASE_MINUTES) || 30;
+const DEFAULT_BATCH_SIZE = 10;
+const MAX_BATCH_SIZE = 50;
+
+// ORDER BY clauses for each queue priority
+const PRIORITIES = {
+    age: 'r.created_at ASC, r.id ASC',
+    story: 's.story_id ASC, s.order_in_story ASC, r.created_at ASC',
+    validation: `CASE WHEN r.validation_status = 'passed' THEN 0 ELSE 1 END DESC,
+                 jsonb_array_length(COALESCE(r.validation_warnings, '[]'::jsonb)) DESC,
+                 r.created_at ASC`,
+};
+const QUEUE_PRIORITIES = Object.keys(PRIORITIES);
+
+function orderBy(priority) {
+    return QUEUE_PRIORITIES.includes(priority) ? PRIORITIES[priority] : PRIORITIES.age;
+}
+
+// Same row shape as GET /api/recordings, plus lease and validation details
+const QUEUE_COLUMNS = `
+    r.id,
+    r.audio_filepath,
+    r.duration_seconds as duration,
+    r.status,
+    r.created_at,
+    r.user_id,
+    r.reviewed_by,
+    r.reviewed_at,
+    r.rejection_reason,
+    r.review_notes,
+    r.review_method,
+    r.validation_status,
+    r.validation_warnings,
+    r.needs_rerecording,${TEXT_VERSION_COLUMNS},
+    (SELECT COUNT(*) FROM recording_votes v
+     WHERE v.recording_id = r.id AND v.vote = 'approve')::int as approve_votes,
+    (SELECT COUNT(*) FROM recording_votes v
+     WHERE v.recording_id = r.id AND v.vote = 'reject')::int as reject_votes,
+    s.id as sentence_id,
+    s.order_in_story,
+    s.text_devanagari as sentence_text,
+    st.id as story_id,
+    st.title as story_title,
+    l.leased_at,
+    l.expires_at as lease_expires_at`;
+
+function run(client, text, params) {
+    return client ? client.query(text, params) : query(text, params);
+}
+
+/**
+ * Active leases held by a reviewer, in queue priority order
+ * @param {string} reviewer - Reviewer email
+ * @param {string} [priority] - One of QUEUE_PRIORITIES
+ * @param {object} [client] - pg client when running inside a transaction
+ * @returns {Promise<object[]>}
+ */
+async function listLeases(reviewer, priority = 'age', client = null) {
+    const result = await run(client,
+        `SELECT ${QUEUE_COLUMNS}
+         FROM review_leases l
+         JOIN recordings r ON r.id = l.recording_id
+         JOIN sentences s ON s.id = r.sentence_id
+         JOIN stories st ON st.id = s.story_id
+         WHERE l.reviewer = $1
+           AND l.expires_at > NOW()
+           AND r.status = 'pending'
+         ORDER BY ${orderBy(priority)}`,
+        [reviewer]
+    );
+    return result.rows;
+}
+
+/**
+ * Lease a batch of pending recordings to a reviewer
+ * Leases the reviewer already holds are extended and count towards the batch. New
+ * recordings skip the reviewer's own recordings, superseded takes, recordings they
+ * already voted on and anything leased to someone else.
+ * @param {string} reviewer - Reviewer email
+ * @param {object} options - { size, priority, storyId }
+ * @returns {Promise<{ recordings: object[], expires_at: Date }>}
+ */
+async function leaseRecordings(reviewer, { size = DEFAULT_BATCH_SIZE, priority = 'age', storyId = null } = {}) {
+    const batchSize = Math.min(Math.max(parseInt(size) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+    const expiresAt = new Date(Date.now() + LEASE_MINUTES * 60 * 1000);
+
+    return await transaction(async (client) => {
+        // Expired leases go back to the pool
+        await client.query('DELETE FROM review_leases WHERE expires_at <= NOW()');
+
+        // Drop leases on recordings that have been decided since, extend the rest
+        await client.query(
+            `DELETE FROM review_leases l
+             USING recordings r
+             WHERE l.recording_id = r.id AND l.reviewer = $1 AND r.status <> 'pending'`,
+            [reviewer]
+        );
+        const held = await client.query(
+            'UPDATE review_leases SET expires_at = $2 WHERE reviewer = $1',
+            [reviewer, expiresAt]
+        );
+
+        const needed = batchSize - held.rowCount;
+        if (needed > 0) {
+            // SKIP LOCKED: concurrent lease requests never hand out the same recording
+            const candidates = await client.query(
+                `SELECT r.id
+                 FROM recordings r
+                 JOIN sentences s ON s.id = r.sentence_id
+                 WHERE r.status = 'pending'
+                   AND r.user_id <> $1
+                   AND ($2::int IS NULL OR s.story_id = $2)
+                   AND NOT EXISTS (SELECT 1 FROM review_leases l WHERE l.recording_id = r.id)
+                   AND NOT EXISTS (
+                       SELECT 1 FROM recordings newer
+                       WHERE newer.sentence_id = r.sentence_id
+                         AND newer.user_id = r.user_id
+                         AND newer.created_at > r.created_at
+                   )
+                   AND NOT EXISTS (
+                       SELECT 1 FROM recording_votes v
+                       WHERE v.recording_id = r.id AND v.reviewer = $1
+                   )
+                 ORDER BY ${orderBy(priority)}
+                 LIMIT $3
+                 FOR UPDATE OF r SKIP LOCKED`,
+                [reviewer, storyId, needed]
+            );
+
+            if (candidates.rows.length > 0) {
+                await client.query(
+                    `INSERT INTO review_leases (recording_id, reviewer, expires_at)
+                     SELECT unnest($1::int[]), $2, $3
+                     ON CONFLICT (recording_id) DO NOTHING`,
+                    [candidates.rows.map(row => row.id), reviewer, expiresAt]
+                );
+            }
+        }
+
+        return {
+            recordings: await listLeases(reviewer, priority, client),
+            expires_at: expiresAt,
+        };
+    });
+}
+
+/**
+ * Current lease on a recording, if any
+ * @param {number} recordingId
+ * @param {object} [client]
+ * @returns {Promise<object|null>} - { reviewer, expires_at }
+ */
+async function findActiveLease(recordingId, client = null) {
+    const result = await run(client,
+        `SELECT reviewer, expires_at FROM review_leases
+         WHERE recording_id = $1 AND expires_at > NOW()`,
+        [recordingId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Release leases
+ * @param {object} filter - { reviewer, recordingId } (either or both)
+ * @param {object} [client]
+ * @returns {Promise<number>} - Number of leases released
+ */
+async function releaseLeases({ reviewer = null, recordingId = null }, client = null) {
+    const result = await run(client,
+        `DELETE FROM review_leases
+         WHERE ($1::text IS NULL OR reviewer = $1)
+           AND ($2::int IS NULL OR recording_id = $2)`,
+        [reviewer, recordingId]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Pending recordings that are not currently leased (for the queue summary)
+ * @returns {Promise<object>} - { pending, leased, available }
+ */
+async function getQueueSummary() {
+    const rows = await queryAll(
+        `SELECT
+            COUNT(*)::int AS pending,
+            COUNT(l.recording_id)::int AS leased
+         FROM recordings r
+         LEFT JOIN review_leases l ON l.recording_id = r.id AND l.expires_at > NOW()
+         WHERE r.status = 'pending'`
+    );
+    const { pending, leased } = rows[0];
+    return { pending, leased, available: pending - leased };
+}
+
+module.exports = {
+    LEASE_MINUTES,
+    MAX_BATCH_SIZE,
+    QUEUE_PRIORITIES,
+    listLeases,
+    leaseRecordings,
+    findActiveLease,
+    releaseLeases,
+    getQueueSummary,
+};
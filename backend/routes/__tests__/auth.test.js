@@ -0,0 +1,49 @@
+jest.mock('../../db');
+
+const express = require('express');
+const request = require('supertest');
+const { query, queryOne } = require('../../db');
+const authRouter = require('../auth');
+
+function app() {
+  const server = express();
+  server.use(express.json());
+  server.use('/api/auth', authRouter);
+  return server;
+}
+
+const roleGrants = () => query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO user_roles'));
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  query.mockResolvedValue({ rowCount: 1, rows: [] });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('POST /api/auth/magic-link', () => {
+  test('grants the contributor role to a new account', async () => {
+    queryOne.mockResolvedValue({ id: 5, email: 'new@example.com', inserted: true });
+    const res = await request(app()).post('/api/auth/magic-link').send({ email: 'New@Example.com' });
+    expect(res.status).toBe(200);
+    expect(roleGrants()).toHaveLength(1);
+    expect(roleGrants()[0][1]).toEqual([5, 'contributor', 'signup']);
+  });
+
+  test('leaves the roles of an existing account alone', async () => {
+    queryOne.mockResolvedValue({ id: 3, email: 'revoked@example.com', inserted: false });
+    const res = await request(app()).post('/api/auth/magic-link').send({ email: 'revoked@example.com' });
+    expect(res.status).toBe(200);
+    expect(roleGrants()).toHaveLength(0);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO login_tokens'), expect.any(Array));
+  });
+
+  test('rejects an invalid email', async () => {
+    const res = await request(app()).post('/api/auth/magic-link').send({ email: 'not-an-email' });
+    expect(res.status).toBe(400);
+    expect(queryOne).not.toHaveBeenCalled();
+  });
+});
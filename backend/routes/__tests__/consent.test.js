@@ -0,0 +1,67 @@
+jest.mock('../../db');
+
+const express = require('express');
+const request = require('supertest');
+const { transaction } = require('../../db');
+const consentRouter = require('../consent');
+
+const SPEAKER = { id: 2, email: 'speaker@example.com', display_name: 'Speaker' };
+
+function appAs(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/consent', consentRouter);
+  return app;
+}
+
+// A pg client whose UPDATE user_consents affects activeConsents rows
+function fakeClient(activeConsents) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('UPDATE user_consents')) return { rowCount: activeConsents, rows: [] };
+      if (sql.includes('UPDATE recordings')) {
+        return { rowCount: 2, rows: [{ id: 10, old_status: 'pending' }, { id: 11, old_status: 'approved' }] };
+      }
+      return { rowCount: 1, rows: [] };
+    }),
+  };
+}
+
+let client;
+beforeEach(() => {
+  jest.resetAllMocks();
+  transaction.mockImplementation(async callback => callback(client));
+});
+
+describe('POST /api/consent/withdraw', () => {
+  test('without an active consent leaves recordings and profile alone', async () => {
+    client = fakeClient(0);
+    const res = await request(appAs(SPEAKER)).post('/api/consent/withdraw');
+    expect(res.status).toBe(409);
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE recordings'), expect.anything());
+    expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('speaker_profiles'), expect.anything());
+  });
+
+  test('queues the recordings for deletion and deletes the profile', async () => {
+    client = fakeClient(1);
+    const res = await request(appAs(SPEAKER)).post('/api/consent/withdraw');
+    expect(res.status).toBe(200);
+    expect(res.body.recordings_queued).toBe(2);
+
+    const events = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO recording_events'));
+    expect(events.map(([, params]) => params[0])).toEqual([10, 11]);
+    expect(JSON.parse(events[0][1][4])).toEqual({ status: 'deleted', reason: 'consent_withdrawn' });
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM speaker_profiles WHERE user_id = $1', [SPEAKER.id]);
+  });
+
+  test('requires a login', async () => {
+    const res = await request(appAs(null)).post('/api/consent/withdraw');
+    expect(res.status).toBe(401);
+    expect(transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../../db');
+jest.mock('../../storage');
+jest.mock('../../dataRights');
+jest.mock('../../rerecording');
+
+const express = require('express');
+const request = require('supertest');
+const { query, queryOne } = require('../../db');
+const { getRerecordingRequests } = require('../../rerecording');
+const { collectUserData, eraseUser } = require('../../dataRights');
+const usersRouter = require('../users');
+
+const ADMIN = { id: 1, email: 'admin@example.com', display_name: 'Admin', roles: ['admin'] };
+const CONTRIBUTOR = { id: 2, email: 'speaker@example.com', display_name: 'Speaker' };
+
+function appAs(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/users', usersRouter);
+  return app;
+}
+
+const ERASURE = { id: 7, status: 'completed', recordings_deleted: 3, files_deleted: 3, completed_at: null };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  queryOne.mockImplementation(async (sql, [email]) => (email === CONTRIBUTOR.email ? CONTRIBUTOR : null));
+  collectUserData.mockResolvedValue({ recordings: [] });
+  eraseUser.mockResolvedValue(ERASURE);
+});
+
+describe('admin acting on another contributor', () => {
+  test('export returns the contributor\'s data, not the admin\'s', async () => {
+    const res = await request(appAs(ADMIN)).get('/api/users/Speaker@Example.com/export');
+    expect(res.status).toBe(200);
+    expect(collectUserData).toHaveBeenCalledWith(CONTRIBUTOR);
+  });
+
+  test('erasure erases the contributor and records the admin as requester', async () => {
+    const res = await request(appAs(ADMIN))
+      .post('/api/users/speaker@example.com/erasure')
+      .send({ confirm_email: 'speaker@example.com' });
+    expect(res.status).toBe(200);
+    expect(eraseUser).toHaveBeenCalledWith(CONTRIBUTOR, ADMIN.email);
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+
+  test('erasure confirmed with the admin\'s own email erases nothing', async () => {
+    const res = await request(appAs(ADMIN))
+      .post('/api/users/speaker@example.com/erasure')
+      .send({ confirm_email: ADMIN.email });
+    expect(res.status).toBe(400);
+    expect(eraseUser).not.toHaveBeenCalled();
+  });
+
+  test('an unknown account is a 404', async () => {
+    const res = await request(appAs(ADMIN)).get('/api/users/nobody@example.com/export');
+    expect(res.status).toBe(404);
+    expect(collectUserData).not.toHaveBeenCalled();
+  });
+});
+
+describe('admin acting on another contributor\'s profile and progress', () => {
+  test('deleting the speaker profile deletes the contributor\'s, not the admin\'s', async () => {
+    query.mockResolvedValue({ rowCount: 1 });
+    const res = await request(appAs(ADMIN)).delete('/api/users/speaker@example.com/profile');
+    expect(res.status).toBe(200);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM speaker_profiles'), [CONTRIBUTOR.id]);
+  });
+
+  test('an admin cannot save a profile for the contributor', async () => {
+    const res = await request(appAs(ADMIN))
+      .put('/api/users/speaker@example.com/profile')
+      .send({ consent: true, age_band: '25-34' });
+    expect(res.status).toBe(403);
+    expect(queryOne).not.toHaveBeenCalled();
+  });
+
+  test('the profile is read for the contributor', async () => {
+    const res = await request(appAs(ADMIN)).get('/api/users/speaker@example.com/profile');
+    expect(res.status).toBe(200);
+    expect(queryOne).toHaveBeenLastCalledWith(expect.stringContaining('FROM speaker_profiles'), [CONTRIBUTOR.id]);
+  });
+
+  test('progress is the contributor\'s', async () => {
+    const res = await request(appAs(ADMIN)).get('/api/users/speaker@example.com/progress');
+    expect(res.status).toBe(200);
+    expect(res.body.email).toBe(CONTRIBUTOR.email);
+  });
+
+  test('re-recording requests are the contributor\'s', async () => {
+    getRerecordingRequests.mockResolvedValue([]);
+    await request(appAs(ADMIN)).get('/api/users/speaker@example.com/rerecordings').expect(200);
+    expect(getRerecordingRequests).toHaveBeenCalledWith(CONTRIBUTOR.email);
+  });
+});
+
+describe('contributor acting on their own account', () => {
+  test('erasure is recorded as self and ends the session', async () => {
+    const res = await request(appAs(CONTRIBUTOR))
+      .post('/api/users/speaker@example.com/erasure')
+      .send({ confirm_email: 'speaker@example.com' });
+    expect(res.status).toBe(200);
+    expect(eraseUser).toHaveBeenCalledWith(CONTRIBUTOR, 'self');
+    expect(res.headers['set-cookie'][0]).toMatch(/^kc_session=;/);
+  });
+
+  test('another contributor\'s data is forbidden', async () => {
+    const res = await request(appAs(CONTRIBUTOR)).get('/api/users/admin@example.com/export');
+    expect(res.status).toBe(403);
+    expect(collectUserData).not.toHaveBeenCalled();
+  });
+});
@@ -1,38 +1,32 @@
 /**
  * Admin routes - protected endpoints for maintenance tasks
+ * Every route requires a logged-in user with the 'admin' role.
  */
 
 const express = require('express');
 const router = express.Router();
-const { query } = require('../db');
+const { query, queryOne, queryAll, transaction } = require('../db');
 const storage = require('../storage');
+const { requireRole } = require('../middleware/auth');
+const { grantRole } = require('../sessions');
+const { ROLES } = require('../utils/auth');
+const { logRecordingEvent } = require('../recordingEvents');
+const { getReviewConfig } = require('../utils/consensus');
+const { summarizeAgreement } = require('../utils/agreement');
 
-// Simple token-based authentication middleware
-function requireAdminToken(req, res, next) {
-    const token = req.query.token || req.headers['x-admin-token'];
-    const adminToken = process.env.ADMIN_TOKEN || 'change-me-in-production';
-    
-    if (token !== adminToken) {
-        return res.status(403).json({ error: 'Invalid or missing admin token' });
-    }
-    next();
-}
+router.use(requireRole('admin'));
 
 /**
  * POST /api/admin/cleanup-deleted
  * Permanently delete recordings marked as 'deleted'
- * Requires: ?token=<ADMIN_TOKEN> or header X-Admin-Token
- * 
- * Example:
- * POST https://your-app.railway.app/api/admin/cleanup-deleted?token=your-secret-token
  */
-router.post('/cleanup-deleted', requireAdminToken, async (req, res) => {
+router.post('/cleanup-deleted', async (req, res) => {
     try {
         console.log('🗑️  Admin cleanup initiated...');
         
         // Get all recordings marked as 'deleted'
         const result = await query(
-            `SELECT id, audio_filepath, sentence_id, user_id, created_at 
+            `SELECT id, audio_filepath, sentence_id, user_id, status, created_at 
              FROM recordings 
              WHERE status = $1 
              ORDER BY created_at`,
@@ -71,8 +65,16 @@ router.post('/cleanup-deleted', requireAdminToken, async (req, res) => {
                     // Continue even if storage delete fails
                 }
                 
-                // Delete from database
-                await query('DELETE FROM recordings WHERE id = $1', [recording.id]);
+                // Delete from database, keeping a purge record in the audit log
+                await transaction(async (client) => {
+                    await client.query('DELETE FROM recordings WHERE id = $1', [recording.id]);
+                    await logRecordingEvent({
+                        recordingId: recording.id,
+                        eventType: 'purge',
+                        actor: req.user.email,
+                        oldValue: recording,
+                    }, client);
+                });
                 console.log(`      ✓ Deleted from database: ID ${recording.id}`);
                 
                 results.deleted++;
@@ -108,10 +110,10 @@ router.post('/cleanup-deleted', requireAdminToken, async (req, res) => {
 
 /**
  * GET /api/admin/stats
- * Get recording statistics by status
- * Requires admin token
+ * Get recording statistics by status, plus review mode and inter-annotator agreement
+ * (Fleiss' kappa and pairwise Cohen's kappa over consensus votes)
  */
-router.get('/stats', requireAdminToken, async (req, res) => {
+router.get('/stats', async (req, res) => {
     try {
         console.log('📊 Fetching recording stats...');
         
@@ -125,9 +127,21 @@ router.get('/stats', requireAdminToken, async (req, res) => {
         
         console.log('✅ Stats query result:', result.rows);
         
+        const votes = await queryAll(
+            `SELECT recording_id AS item, reviewer AS rater, vote AS rating
+             FROM recording_votes`
+        );
+        const reviewConfig = getReviewConfig();
+
         const stats = {
             by_status: result.rows || [],
-            total: result.rows ? result.rows.reduce((sum, row) => sum + parseInt(row.count), 0) : 0
+            total: result.rows ? result.rows.reduce((sum, row) => sum + parseInt(row.count), 0) : 0,
+            review: {
+                mode: reviewConfig.mode,
+                quorum: reviewConfig.quorum,
+                panel_size: reviewConfig.panelSize,
+                agreement: summarizeAgreement(votes)
+            }
         };
         
         res.json(stats);
@@ -142,4 +156,175 @@ router.get('/stats', requireAdminToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/users
+ * List users with their roles
+ * Query: ?role=reviewer to filter by role
+ */
+router.get('/users', async (req, res, next) => {
+    try {
+        const { role } = req.query;
+
+        const users = await queryAll(
+            `SELECT
+                u.id,
+                u.email,
+                u.display_name,
+                u.created_at,
+                u.last_login_at,
+                ARRAY(SELECT ur.role FROM user_roles ur WHERE ur.user_id = u.id ORDER BY ur.role) AS roles
+             FROM users u
+             WHERE $1::text IS NULL
+                OR EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role = $1)
+             ORDER BY u.email ASC`,
+            [role || null]
+        );
+
+        res.json({ users });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/roles
+ * Grant a role to a user
+ * Body: { role: 'contributor' | 'reviewer' | 'admin' }
+ */
+router.post('/users/:id/roles', async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        const user = await queryOne('SELECT id, email FROM users WHERE id = $1', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await grantRole(user.id, role, req.user.email);
+        console.log(`🔐 ${req.user.email} granted '${role}' to ${user.email}`);
+
+        res.json({ message: `Granted ${role} to ${user.email}`, user_id: user.id, role });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/admin/users/:id/roles/:role
+ * Revoke a role from a user
+ */
+router.delete('/users/:id/roles/:role', async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { role } = req.params;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        // Prevent admins from locking themselves out
+        if (userId === req.user.id && role === 'admin') {
+            return res.status(400).json({ error: 'You cannot revoke your own admin role' });
+        }
+
+        const result = await query(
+            'DELETE FROM user_roles WHERE user_id = $1 AND role = $2',
+            [userId, role]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'User does not have this role' });
+        }
+
+        console.log(`🔐 ${req.user.email} revoked '${role}' from user ${userId}`);
+        res.json({ message: `Revoked ${role}`, user_id: userId, role });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/consent-texts
+ * All consent versions (newest first) with acceptance and withdrawal counts
+ */
+router.get('/consent-texts', async (req, res, next) => {
+    try {
+        const versions = await queryAll(
+            `SELECT
+                ct.id,
+                ct.version,
+                ct.body,
+                ct.published_by,
+                ct.published_at,
+                COUNT(uc.id) FILTER (WHERE uc.withdrawn_at IS NULL)::int AS active,
+                COUNT(uc.id) FILTER (WHERE uc.withdrawn_at IS NOT NULL)::int AS withdrawn
+             FROM consent_texts ct
+             LEFT JOIN user_consents uc ON uc.consent_text_id = ct.id
+             GROUP BY ct.id
+             ORDER BY ct.published_at DESC, ct.id DESC`
+        );
+
+        res.json({ versions });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/consent-texts
+ * Publish a new consent version; it becomes current and every contributor must accept it
+ * before recording again
+ * Body: { version: '1.1', body: '...' }
+ */
+router.post('/consent-texts', async (req, res, next) => {
+    try {
+        const version = req.body.version ? String(req.body.version).trim() : '';
+        const body = req.body.body ? String(req.body.body).trim() : '';
+        if (!version || !body) {
+            return res.status(400).json({ error: 'version and body are required' });
+        }
+
+        const existing = await queryOne('SELECT id FROM consent_texts WHERE version = $1', [version]);
+        if (existing) {
+            return res.status(409).json({ error: `Consent version ${version} already exists` });
+        }
+
+        const consent = await queryOne(
+            `INSERT INTO consent_texts (version, body, published_by)
+             VALUES ($1, $2, $3)
+             RETURNING id, version, body, published_by, published_at`,
+            [version, body, req.user.email]
+        );
+        console.log(`📜 ${req.user.email} published consent v${version}`);
+
+        res.status(201).json({ consent });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/erasure-requests
+ * Contributor erasures (no personal data; failed_files lists storage objects to retry)
+ */
+router.get('/erasure-requests', async (req, res, next) => {
+    try {
+        const erasures = await queryAll(
+            `SELECT id, requested_by, status, recordings_deleted, files_deleted, failed_files,
+                    requested_at, completed_at
+             FROM erasure_requests
+             ORDER BY requested_at DESC`
+        );
+
+        res.json({ erasures });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,210 @@
+/**
+ * Authentication API routes
+ * POST /api/auth/register            - Create account with email + password
+ * POST /api/auth/login               - Log in with email + password
+ * POST /api/auth/magic-link          - Request a one-time login link
+ * GET  /api/auth/magic-link/verify   - Redeem a login link (sets session cookie)
+ * POST /api/auth/logout              - End the current session
+ * GET  /api/auth/me                  - Current user
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, queryOne, queryAll } = require('../db');
+const {
+    MIN_PASSWORD_LENGTH,
+    normalizeEmail,
+    isValidEmail,
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+} = require('../utils/auth');
+const {
+    createSession,
+    destroySession,
+    grantRole,
+    setSessionCookie,
+    clearSessionCookie,
+} = require('../sessions');
+const { requireAuth } = require('../middleware/auth');
+
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
+// Start a session and return it both as a cookie (web) and token (API clients)
+async function startSession(res, user) {
+    const session = await createSession(user.id);
+    setSessionCookie(res, session);
+    const roles = await queryAll(
+        'SELECT role FROM user_roles WHERE user_id = $1 ORDER BY role',
+        [user.id]
+    );
+    return {
+        user: {
+            id: user.id,
+            email: user.email,
+            display_name: user.display_name,
+            roles: roles.map(r => r.role),
+        },
+        token: session.token,
+        expires_at: session.expires_at,
+    };
+}
+
+// There is no mail service yet: login links are written to the server log,
+// and returned in the response when EXPOSE_LOGIN_LINKS=true (local development only).
+function deliverLoginLink(email, url) {
+    console.log(`🔑 Login link for ${email}: ${url}`);
+}
+
+// POST /api/auth/register
+router.post('/register', async (req, res, next) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        const { password, display_name } = req.body;
+
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ error: 'Valid email required' });
+        }
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const existing = await queryOne('SELECT id, password_hash FROM users WHERE email = $1', [email]);
+        if (existing) {
+            // Accounts created from earlier recordings have no password yet; they must be
+            // claimed through a magic link so nobody can take over someone else's email.
+            return res.status(409).json({
+                error: existing.password_hash
+                    ? 'An account with this email already exists'
+                    : 'This email already has recordings. Sign in with an email link instead.',
+            });
+        }
+
+        const user = await queryOne(
+            `INSERT INTO users (email, password_hash, display_name)
+             VALUES ($1, $2, $3)
+             RETURNING id, email, display_name`,
+            [email, await hashPassword(password), display_name || null]
+        );
+        await grantRole(user.id, 'contributor', 'signup');
+
+        res.status(201).json(await startSession(res, user));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/auth/login
+router.post('/login', async (req, res, next) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        const { password } = req.body;
+
+        const user = await queryOne(
+            'SELECT id, email, display_name, password_hash FROM users WHERE email = $1',
+            [email]
+        );
+
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        res.json(await startSession(res, user));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/auth/magic-link
+// Creates the account on first use, so this also works as passwordless sign-up
+router.post('/magic-link', async (req, res, next) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ error: 'Valid email required' });
+        }
+
+        // xmax = 0 only for a freshly inserted row: existing accounts keep the roles an admin gave
+        // them (a revoked contributor role must not come back by requesting a link)
+        const user = await queryOne(
+            `INSERT INTO users (email) VALUES ($1)
+             ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+             RETURNING id, email, (xmax = 0) AS inserted`,
+            [email]
+        );
+        if (user.inserted) {
+            await grantRole(user.id, 'contributor', 'signup');
+        }
+
+        const token = generateToken();
+        const expiresAt = new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000);
+        await query(
+            `INSERT INTO login_tokens (token_hash, user_id, expires_at)
+             VALUES ($1, $2, $3)`,
+            [hashToken(token), user.id, expiresAt]
+        );
+
+        const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+        const loginUrl = `${baseUrl}/api/auth/magic-link/verify?token=${encodeURIComponent(token)}`;
+        deliverLoginLink(email, loginUrl);
+
+        const response = { message: 'Login link sent' };
+        if (process.env.EXPOSE_LOGIN_LINKS === 'true') {
+            response.login_url = loginUrl;
+        }
+        res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/auth/magic-link/verify?token=...
+router.get('/magic-link/verify', async (req, res, next) => {
+    try {
+        const { token } = req.query;
+        if (!token) {
+            return res.status(400).json({ error: 'token query parameter required' });
+        }
+
+        const user = await queryOne(
+            `UPDATE login_tokens lt
+             SET used_at = NOW()
+             FROM users u
+             WHERE lt.token_hash = $1
+               AND lt.used_at IS NULL
+               AND lt.expires_at > NOW()
+               AND u.id = lt.user_id
+             RETURNING u.id, u.email, u.display_name`,
+            [hashToken(token)]
+        );
+
+        if (!user) {
+            return res.status(400).json({ error: 'Login link is invalid or has expired' });
+        }
+
+        await startSession(res, user);
+        res.redirect('/');
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/auth/logout
+router.post('/logout', async (req, res, next) => {
+    try {
+        await destroySession(req.sessionToken);
+        clearSessionCookie(res);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/auth/me
+router.get('/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
+
+module.exports = router;
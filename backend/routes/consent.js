@@ -0,0 +1,87 @@
+/**
+ * Consent API routes
+ * GET  /api/consent/current   - Current consent text (public)
+ * GET  /api/consent           - My consent status and history
+ * POST /api/consent           - Accept the current consent version
+ * POST /api/consent/withdraw  - Withdraw consent (queues my recordings for deletion)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+    getCurrentConsentText,
+    getConsentStatus,
+    acceptConsent,
+    withdrawConsent,
+} = require('../consent');
+
+// GET /api/consent/current
+router.get('/current', async (req, res, next) => {
+    try {
+        const consent = await getCurrentConsentText();
+        if (!consent) {
+            return res.status(404).json({ error: 'No consent text has been published' });
+        }
+        res.json({ consent });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/consent
+// Response: { valid, current, accepted, history: [{ version, accepted_at, withdrawn_at }] }
+router.get('/', requireAuth, async (req, res, next) => {
+    try {
+        res.json(await getConsentStatus(req.user.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/consent
+// Body: { version } - must be the current version, so users accept the text they were shown
+router.post('/', requireAuth, async (req, res, next) => {
+    try {
+        const current = await getCurrentConsentText();
+        if (!current) {
+            return res.status(404).json({ error: 'No consent text has been published' });
+        }
+        if (!req.body.version) {
+            return res.status(400).json({ error: 'version is required' });
+        }
+        if (req.body.version !== current.version) {
+            return res.status(409).json({
+                error: `Consent version ${req.body.version} is out of date; the current version is ${current.version}`,
+                current_version: current.version,
+            });
+        }
+
+        await acceptConsent(req.user.id, current.id, req.get('user-agent') || null);
+        console.log(`✅ ${req.user.email} accepted consent v${current.version}`);
+
+        res.json({ message: 'Consent recorded', ...(await getConsentStatus(req.user.id)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/consent/withdraw
+router.post('/withdraw', requireAuth, async (req, res, next) => {
+    try {
+        const result = await withdrawConsent(req.user, req.user.email);
+        if (result.withdrawn === 0) {
+            return res.status(409).json({ error: 'You have no active consent to withdraw' });
+        }
+        console.log(`🚫 ${req.user.email} withdrew consent; ${result.recordings_queued} recording(s) queued for deletion`);
+
+        res.json({
+            message: 'Consent withdrawn. Your recordings will be deleted.',
+            recordings_queued: result.recordings_queued,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -13,6 +13,11 @@ const { query, queryOne } = require('../db');
 const storage = require('../storage');
 const { convertToWav } = require('../utils/audioConverter');
 const { validateAudio } = require('../utils/audioValidator');
+const { requireRole } = require('../middleware/auth');
+const { requireConsent } = require('../middleware/consent');
+const { logUploadEvent } = require('../recordingEvents');
+const { clearRerecordingFlags } = require('../rerecording');
+const { readSentenceVersion } = require('../sentenceVersions');
 
 const upload = multer({
     dest: '/tmp/uploads/',
@@ -24,7 +29,7 @@ const upload = multer({
  * Get a sentence for recording (random or specific)
  * Body: { story_id?: number, sentence_id?: number, random?: boolean }
  */
-router.post('/sentence', async (req, res, next) => {
+router.post('/sentence', requireRole('contributor'), async (req, res, next) => {
     try {
         const { story_id, sentence_id, random } = req.body;
 
@@ -37,12 +42,15 @@ router.post('/sentence', async (req, res, next) => {
                     s.id as sentence_id,
                     s.text_devanagari,
                     s.text_iast,
+                    s.text_variants,
+                    s.text_version,
                     s.order_in_story,
                     st.title as story_title,
                     st.total_sentences
                 FROM sentences s
                 JOIN stories st ON st.id = s.story_id
                 WHERE s.id = $1
+                AND s.retired_at IS NULL
             `, [sentence_id]);
         } else if (story_id) {
             // Get first unrecorded sentence from story
@@ -51,12 +59,15 @@ router.post('/sentence', async (req, res, next) => {
                     s.id as sentence_id,
                     s.text_devanagari,
                     s.text_iast,
+                    s.text_variants,
+                    s.text_version,
                     s.order_in_story,
                     st.title as story_title,
                     st.total_sentences
                 FROM sentences s
                 JOIN stories st ON st.id = s.story_id
                 WHERE s.story_id = $1
+                AND s.retired_at IS NULL
                 ORDER BY s.order_in_story ASC
                 LIMIT 1
             `, [story_id]);
@@ -67,11 +78,14 @@ router.post('/sentence', async (req, res, next) => {
                     s.id as sentence_id,
                     s.text_devanagari,
                     s.text_iast,
+                    s.text_variants,
+                    s.text_version,
                     s.order_in_story,
                     st.title as story_title,
                     st.total_sentences
                 FROM sentences s
                 JOIN stories st ON st.id = s.story_id
+                WHERE s.retired_at IS NULL
                 ORDER BY RANDOM()
                 LIMIT 1
             `);
@@ -96,30 +110,35 @@ router.post('/sentence', async (req, res, next) => {
  * POST /api/programmatic/upload
  * Upload recording via programmatic API
  * Accepts multipart form or JSON with base64 audio
+ * Requires: Authorization: Bearer <token> (from POST /api/auth/login) and accepted consent
  */
-router.post('/upload', upload.single('audio'), async (req, res, next) => {
+router.post('/upload', requireRole('contributor'), requireConsent, upload.single('audio'), async (req, res, next) => {
     let tempFilePath = null;
     let wavPath = null;
 
     try {
-        const { sentence_id, user_id, format } = req.body;
+        const { sentence_id, format } = req.body;
+        const user_id = req.user.email;
 
         // Validate inputs
-        if (!sentence_id || !user_id) {
+        if (!sentence_id) {
             return res.status(400).json({
-                error: 'sentence_id and user_id are required'
+                error: 'sentence_id is required'
             });
         }
 
         // Get sentence
         const sentence = await queryOne(
-            'SELECT text_devanagari FROM sentences WHERE id = $1',
+            'SELECT text_devanagari, text_version, retired_at FROM sentences WHERE id = $1',
             [sentence_id]
         );
 
         if (!sentence) {
             return res.status(404).json({ error: 'Sentence not found' });
         }
+        if (sentence.retired_at) {
+            return res.status(409).json({ error: 'Sentence was removed from its story and can no longer be recorded' });
+        }
 
         // Handle file upload (multipart) or base64
         if (req.file) {
@@ -154,9 +173,10 @@ router.post('/upload', upload.single('audio'), async (req, res, next) => {
             `INSERT INTO recordings (
                 sentence_id, user_id, audio_filepath,
                 file_size_bytes, duration_seconds, sample_rate, channels,
-                validation_status, validation_errors, audio_metadata
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-            RETURNING id`,
+                validation_status, validation_errors, validation_warnings, audio_metadata,
+                sentence_version
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING id, sentence_id, user_id, audio_filepath, validation_status, sentence_version`,
             [
                 sentence_id,
                 user_id,
@@ -167,10 +187,15 @@ router.post('/upload', upload.single('audio'), async (req, res, next) => {
                 validation.checks.channels,
                 validation.valid ? 'passed' : 'failed',
                 JSON.stringify(validation.errors),
+                JSON.stringify(validation.warnings || []),
                 JSON.stringify(validation.metadata),
+                readSentenceVersion(req.body.sentence_version, sentence.text_version),
             ]
         );
 
+        await logUploadEvent(result);
+        await clearRerecordingFlags(result);
+
         // Cleanup
         await fs.unlink(tempFilePath);
         await fs.unlink(wavPath);
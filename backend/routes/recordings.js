@@ -9,11 +9,32 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const { query, queryOne } = require('../db');
+const { query, queryOne, queryAll, transaction } = require('../db');
 const storage = require('../storage');
 const { convertToWav, isValidWav } = require('../utils/audioConverter');
 const { validateAudio } = require('../utils/audioValidator');
 const { validateRecordingUpload } = require('../middleware/validator');
+const { requireRole } = require('../middleware/auth');
+const { requireConsent } = require('../middleware/consent');
+const { hasRole } = require('../utils/auth');
+const { REJECTION_REASONS, validateReview } = require('../utils/reviewReasons');
+const { logRecordingEvent, logUploadEvent, getRecordingHistory } = require('../recordingEvents');
+const { VOTES, getReviewConfig, resolveConsensus } = require('../utils/consensus');
+const { findActiveLease, releaseLeases } = require('../reviewQueue');
+const { parseListParams, buildRecordingListQuery, toPage } = require('../utils/recordingListQuery');
+const { clearRerecordingFlags } = require('../rerecording');
+const { readSentenceVersion, reverifyRecording } = require('../sentenceVersions');
+
+const REVIEW_CONFIG = getReviewConfig();
+
+// Review fields captured in status_change audit events
+function pickReview(row) {
+    return {
+        status: row.status,
+        rejection_reason: row.rejection_reason,
+        review_notes: row.review_notes,
+    };
+}
 
 // Configure multer for temporary file uploads
 const upload = multer({
@@ -37,23 +58,22 @@ const upload = multer({
 });
 
 // POST /api/recordings
-router.post('/', upload.single('audio'), validateRecordingUpload, async (req, res, next) => {
+// The recording is attributed to the logged-in user (session), never to a client-supplied id.
+// Requires accepted consent for the current consent version (403 with consent_required otherwise).
+router.post('/', requireRole('contributor'), requireConsent, upload.single('audio'), validateRecordingUpload, async (req, res, next) => {
     console.log('POST /api/recordings received');
     console.log('File info:', req.file && { originalname: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size });
-    console.log('Body:', { sentence_id: req.body.sentence_id, user_id: req.body.user_id });
+    console.log('Body:', { sentence_id: req.body.sentence_id, user: req.user.email });
     
     const { sentence_id } = req.body;
-    let { user_id } = req.body;
-    
-    // Normalize user_id to lowercase for consistency
-    user_id = user_id.toLowerCase().trim();
+    const user_id = req.user.email;
     
     const tempFilePath = req.file.path;
 
     try {
         // 1. Get sentence details
         const sentence = await queryOne(
-            'SELECT text_devanagari, story_id FROM sentences WHERE id = $1',
+            'SELECT text_devanagari, story_id, text_version, retired_at FROM sentences WHERE id = $1',
             [sentence_id]
         );
 
@@ -61,6 +81,10 @@ router.post('/', upload.single('audio'), validateRecordingUpload, async (req, re
             await fs.unlink(tempFilePath);
             return res.status(404).json({ error: 'Sentence not found' });
         }
+        if (sentence.retired_at) {
+            await fs.unlink(tempFilePath);
+            return res.status(409).json({ error: 'Sentence was removed from its story and can no longer be recorded' });
+        }
 
         // 2. Convert to WAV if needed; gracefully fall back when ffmpeg is missing
         let wavPath = tempFilePath;
@@ -138,9 +162,10 @@ router.post('/', upload.single('audio'), validateRecordingUpload, async (req, re
             `INSERT INTO recordings (
                 sentence_id, user_id, audio_filepath,
                 file_size_bytes, duration_seconds, sample_rate, channels, format,
-                validation_status, validation_errors, audio_metadata
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-            RETURNING id`,
+                validation_status, validation_errors, validation_warnings, audio_metadata,
+                sentence_version
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING id, sentence_id, user_id, audio_filepath, validation_status, sentence_version`,
             [
                 sentence_id,
                 user_id,
@@ -156,14 +181,21 @@ router.post('/', upload.single('audio'), validateRecordingUpload, async (req, re
                     return 'failed';
                 })(),
                 JSON.stringify(validation.errors),
+                JSON.stringify(validation.warnings || []),
                 JSON.stringify(validation.metadata),
+                // The text version the recorder showed (sentence_version), so later edits are detected
+                readSentenceVersion(req.body.sentence_version, sentence.text_version),
             ]
         );
 
-        // 8. Clean up temp file
+        // 8. Audit log (created or re_upload); a new take answers any re-recording request
+        await logUploadEvent(result);
+        await clearRerecordingFlags(result);
+
+        // 9. Clean up temp file
         await fs.unlink(wavPath);
 
-        // 9. Return response
+        // 10. Return response
         console.log('Inserting DB record for path:', storedPath);
         res.json({
             recording_id: result.id,
@@ -188,73 +220,210 @@ router.post('/', upload.single('audio'), validateRecordingUpload, async (req, re
     }
 });
 
-// GET /api/recordings - List all recordings with details for review
-// Only shows the most recent recording per sentence per user
-router.get('/', async (req, res) => {
+// GET /api/recordings - Paginated review listing
+// Only shows the most recent recording per sentence per user (unless all_takes=true).
+// Query: status, validation_status (comma-separated), user, story_id, from, to,
+//        min_duration, max_duration, needs_rerecording, text_changed, sort, order, limit, cursor
+router.get('/', requireRole('reviewer'), async (req, res, next) => {
     try {
-        const result = await query(
-            `WITH ranked_recordings AS (
-                SELECT 
-                    r.id,
-                    r.audio_filepath,
-                    r.duration_seconds as duration,
-                    r.status,
-                    r.created_at,
-                    r.user_id,
-                    s.id as sentence_id,
-                    s.order_in_story,
-                    s.text_devanagari as sentence_text,
-                    st.id as story_id,
-                    st.title as story_title,
-                    ROW_NUMBER() OVER (
-                        PARTITION BY r.sentence_id, r.user_id 
-                        ORDER BY r.created_at DESC
-                    ) as rn
-                FROM recordings r
-                JOIN sentences s ON r.sentence_id = s.id
-                JOIN stories st ON s.story_id = st.id
-            )
-            SELECT 
-                id, audio_filepath, duration, status, created_at, user_id,
-                sentence_id, order_in_story, sentence_text, story_id, story_title
-            FROM ranked_recordings
-            WHERE rn = 1
-            ORDER BY user_id ASC, story_id ASC, order_in_story ASC`
+        const { options, errors } = parseListParams(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; '), errors });
+        }
+
+        const { list, count, statusCounts } = buildRecordingListQuery(options, req.user.email);
+        const [rows, total, byStatus] = await Promise.all([
+            queryAll(list.text, list.values),
+            queryOne(count.text, count.values),
+            queryAll(statusCounts.text, statusCounts.values),
+        ]);
+
+        res.json({
+            ...toPage(rows, options),
+            total: total.total,
+            needs_rerecording_total: total.flagged,
+            text_changed_total: total.text_changed,
+            status_counts: Object.fromEntries(byStatus.map(row => [row.status, row.count])),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/recordings/rejection-reasons - Structured rejection reasons for the review UI
+router.get('/rejection-reasons', requireRole('reviewer'), (req, res) => {
+    res.json({ reasons: REJECTION_REASONS });
+});
+
+// GET /api/recordings/review-config - Review mode for the review UI
+router.get('/review-config', requireRole('reviewer'), (req, res) => {
+    res.json({
+        mode: REVIEW_CONFIG.mode,
+        quorum: REVIEW_CONFIG.quorum,
+        panel_size: REVIEW_CONFIG.panelSize,
+        can_adjudicate: hasRole(req.user, 'admin'),
+    });
+});
+
+// GET /api/recordings/adjudication - Recordings whose votes could not reach a quorum
+// Admins resolve them with PATCH /api/recordings/:id
+router.get('/adjudication', requireRole('admin'), async (req, res, next) => {
+    try {
+        const recordings = await queryAll(
+            `SELECT
+                r.id,
+                r.user_id,
+                r.duration_seconds as duration,
+                r.created_at,
+                s.id as sentence_id,
+                s.text_devanagari as sentence_text,
+                st.title as story_title,
+                COALESCE(
+                    json_agg(json_build_object(
+                        'reviewer', v.reviewer,
+                        'vote', v.vote,
+                        'rejection_reason', v.rejection_reason,
+                        'notes', v.notes,
+                        'created_at', v.created_at
+                    ) ORDER BY v.created_at) FILTER (WHERE v.reviewer IS NOT NULL),
+                    '[]'
+                ) as votes
+             FROM recordings r
+             JOIN sentences s ON r.sentence_id = s.id
+             JOIN stories st ON s.story_id = st.id
+             LEFT JOIN recording_votes v ON v.recording_id = r.id
+             WHERE r.status = 'disputed'
+             GROUP BY r.id, s.id, st.title
+             ORDER BY r.created_at ASC`
         );
 
-        res.json(result.rows);
+        res.json({ recordings });
     } catch (error) {
-        console.error('Error fetching recordings:', error);
-        res.status(500).json({ error: 'Failed to fetch recordings' });
+        next(error);
     }
 });
 
-// PATCH /api/recordings/:id - Update recording status
-router.patch('/:id', async (req, res) => {
+// PATCH /api/recordings/:id - Update recording status and/or the re-recording flag
+// Body: { status?, rejection_reason?, notes?, needs_rerecording? } (status or needs_rerecording required)
+// The reviewer (session user) and review time are recorded automatically.
+// In consensus mode reviewers vote instead; setting a status directly is adjudication (admins only).
+// needs_rerecording asks the speaker to record the sentence again; it clears on their next upload.
+router.patch('/:id', requireRole('reviewer'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { status } = req.body;
+        const { status, rejection_reason, notes, needs_rerecording } = req.body;
 
-        if (!['pending', 'approved', 'rejected', 'deleted'].includes(status)) {
-            return res.status(400).json({ error: 'status must be pending, approved, rejected, or deleted' });
+        if (status === undefined && needs_rerecording === undefined) {
+            return res.status(400).json({ error: 'status or needs_rerecording is required' });
+        }
+        if (needs_rerecording !== undefined && typeof needs_rerecording !== 'boolean') {
+            return res.status(400).json({ error: 'needs_rerecording must be true or false' });
         }
 
-        const result = await query(
-            `UPDATE recordings 
-             SET status = $1,
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2
-             RETURNING *`,
-            [status, id]
-        );
+        const consensusMode = REVIEW_CONFIG.mode === 'consensus';
+        if (status !== undefined) {
+            const errors = validateReview({ status, rejection_reason, notes });
+            if (errors.length > 0) {
+                return res.status(400).json({ error: errors.join('; '), errors });
+            }
 
-        if (result.rows.length === 0) {
+            if (consensusMode && status !== 'deleted' && !hasRole(req.user, 'admin')) {
+                return res.status(403).json({
+                    error: 'Consensus review is enabled: cast a vote with POST /api/recordings/:id/votes',
+                });
+            }
+        }
+        const reviewMethod = ['approved', 'rejected'].includes(status)
+            ? (consensusMode ? 'adjudicated' : 'single')
+            : null;
+
+        // Update and audit-log atomically
+        const recording = await transaction(async (client) => {
+            const before = await client.query(
+                'SELECT * FROM recordings WHERE id = $1 FOR UPDATE',
+                [id]
+            );
+            if (before.rows.length === 0) return null;
+
+            // Don't overrule a reviewer who holds this recording in their review queue
+            const lease = await findActiveLease(id, client);
+            if (lease && lease.reviewer !== req.user.email && !hasRole(req.user, 'admin')) {
+                return { leasedTo: lease };
+            }
+
+            let after = before.rows[0];
+
+            if (status !== undefined) {
+                const result = await client.query(
+                    `UPDATE recordings 
+                     SET status = $1,
+                         rejection_reason = $2,
+                         review_notes = $3,
+                         reviewed_by = $4,
+                         reviewed_at = CURRENT_TIMESTAMP,
+                         review_method = $5,
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $6
+                     RETURNING *`,
+                    [
+                        status,
+                        status === 'rejected' ? rejection_reason : null,
+                        notes ? String(notes).trim() : null,
+                        req.user.email,
+                        reviewMethod,
+                        id,
+                    ]
+                );
+                after = result.rows[0];
+
+                await logRecordingEvent({
+                    recordingId: after.id,
+                    eventType: 'status_change',
+                    actor: req.user.email,
+                    oldValue: pickReview(before.rows[0]),
+                    newValue: pickReview(after),
+                }, client);
+
+                // Reviewed: the recording leaves everyone's review queue
+                await releaseLeases({ recordingId: after.id }, client);
+            }
+
+            const flagged = Boolean(after.needs_rerecording);
+            if (needs_rerecording !== undefined && needs_rerecording !== flagged) {
+                const result = await client.query(
+                    `UPDATE recordings
+                     SET needs_rerecording = $1,
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $2
+                     RETURNING *`,
+                    [needs_rerecording, id]
+                );
+                after = result.rows[0];
+
+                await logRecordingEvent({
+                    recordingId: after.id,
+                    eventType: 'flag_change',
+                    actor: req.user.email,
+                    oldValue: { needs_rerecording: flagged },
+                    newValue: { needs_rerecording },
+                }, client);
+            }
+
+            return after;
+        });
+
+        if (!recording) {
             return res.status(404).json({ error: 'Recording not found' });
         }
+        if (recording.leasedTo) {
+            return res.status(409).json({
+                error: `Recording is in another reviewer's queue until ${new Date(recording.leasedTo.expires_at).toISOString()}`,
+            });
+        }
 
         res.json({
             message: 'Recording updated successfully',
-            recording: result.rows[0]
+            recording
         });
 
     } catch (error) {
@@ -263,19 +432,231 @@ router.patch('/:id', async (req, res) => {
     }
 });
 
+// GET /api/recordings/:id/votes - Consensus votes cast on a recording
+router.get('/:id/votes', requireRole('reviewer'), async (req, res, next) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        if (isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const votes = await queryAll(
+            `SELECT reviewer, vote, rejection_reason, notes, created_at, updated_at
+             FROM recording_votes
+             WHERE recording_id = $1
+             ORDER BY created_at ASC`,
+            [recordingId]
+        );
+
+        res.json({
+            recording_id: recordingId,
+            votes,
+            consensus: resolveConsensus(votes, REVIEW_CONFIG),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/recordings/:id/votes - Cast (or change) a consensus vote
+// Body: { vote: 'approve'|'reject', rejection_reason?, notes? }
+// The recording is promoted once REVIEW_QUORUM votes agree; if no side can reach the
+// quorum any more it moves to the adjudication queue (status 'disputed').
+router.post('/:id/votes', requireRole('reviewer'), async (req, res, next) => {
+    try {
+        if (REVIEW_CONFIG.mode !== 'consensus') {
+            return res.status(409).json({ error: 'Voting is only available when REVIEW_MODE=consensus' });
+        }
+
+        const recordingId = parseInt(req.params.id);
+        if (isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const { vote, rejection_reason, notes } = req.body;
+        if (!VOTES.includes(vote)) {
+            return res.status(400).json({ error: `vote must be one of: ${VOTES.join(', ')}` });
+        }
+        const errors = validateReview({
+            status: vote === 'approve' ? 'approved' : 'rejected',
+            rejection_reason,
+            notes,
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; '), errors });
+        }
+
+        const voteValue = {
+            vote,
+            rejection_reason: vote === 'reject' ? rejection_reason : null,
+            notes: notes ? String(notes).trim() : null,
+        };
+
+        const result = await transaction(async (client) => {
+            const current = await client.query(
+                'SELECT * FROM recordings WHERE id = $1 FOR UPDATE',
+                [recordingId]
+            );
+            const recording = current.rows[0];
+            if (!recording) {
+                return { httpStatus: 404, error: 'Recording not found' };
+            }
+            if (recording.user_id === req.user.email) {
+                return { httpStatus: 403, error: 'You cannot vote on your own recording' };
+            }
+            if (recording.status !== 'pending') {
+                return { httpStatus: 409, error: `Voting is closed: recording is ${recording.status}` };
+            }
+            const lease = await findActiveLease(recordingId, client);
+            if (lease && lease.reviewer !== req.user.email) {
+                return { httpStatus: 409, error: 'Recording is in another reviewer\'s queue' };
+            }
+
+            const previous = await client.query(
+                `SELECT vote, rejection_reason, notes FROM recording_votes
+                 WHERE recording_id = $1 AND reviewer = $2`,
+                [recordingId, req.user.email]
+            );
+            await client.query(
+                `INSERT INTO recording_votes (recording_id, reviewer, vote, rejection_reason, notes)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (recording_id, reviewer) DO UPDATE
+                 SET vote = EXCLUDED.vote,
+                     rejection_reason = EXCLUDED.rejection_reason,
+                     notes = EXCLUDED.notes,
+                     updated_at = NOW()`,
+                [recordingId, req.user.email, voteValue.vote, voteValue.rejection_reason, voteValue.notes]
+            );
+            await logRecordingEvent({
+                recordingId,
+                eventType: 'vote',
+                actor: req.user.email,
+                oldValue: previous.rows[0] || null,
+                newValue: voteValue,
+            }, client);
+
+            const votes = await client.query(
+                'SELECT vote, rejection_reason FROM recording_votes WHERE recording_id = $1 ORDER BY created_at ASC',
+                [recordingId]
+            );
+            const consensus = resolveConsensus(votes.rows, REVIEW_CONFIG);
+
+            // Voted: hand the recording back so the next panel member can lease it
+            await releaseLeases({ recordingId, reviewer: req.user.email }, client);
+
+            if (consensus.status === 'pending') {
+                return { recording, consensus };
+            }
+
+            // Quorum reached (or impossible): apply the outcome to the recording
+            const decided = consensus.status !== 'disputed';
+            const updated = await client.query(
+                `UPDATE recordings
+                 SET status = $1,
+                     rejection_reason = $2,
+                     review_notes = NULL,
+                     reviewed_by = CASE WHEN $3 THEN $4 ELSE reviewed_by END,
+                     reviewed_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE reviewed_at END,
+                     review_method = CASE WHEN $3 THEN 'consensus' ELSE review_method END,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $5
+                 RETURNING *`,
+                [consensus.status, consensus.rejection_reason, decided, req.user.email, recordingId]
+            );
+            await logRecordingEvent({
+                recordingId,
+                eventType: 'status_change',
+                actor: req.user.email,
+                oldValue: pickReview(recording),
+                newValue: { ...pickReview(updated.rows[0]), review_method: updated.rows[0].review_method },
+            }, client);
+
+            return { recording: updated.rows[0], consensus };
+        });
+
+        if (result.error) {
+            return res.status(result.httpStatus).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Vote recorded',
+            recording: result.recording,
+            consensus: result.consensus,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/recordings/:id/reverify - Confirm a recording still matches its edited sentence
+// Moves the recording to the sentence's current text version (logged as text_reverify).
+// To ask for a new take instead, PATCH { needs_rerecording: true }.
+router.post('/:id/reverify', requireRole('reviewer'), async (req, res, next) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        if (isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const result = await reverifyRecording(recordingId, req.user.email);
+        if (!result) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        if (!result.changed) {
+            return res.status(409).json({ error: 'Recording already matches the current sentence text' });
+        }
+
+        res.json({ success: true, recording: result.recording });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/recordings/:id/history - Audit timeline for a recording
+// Reviewers can see any recording's history; contributors only their own
+router.get('/:id/history', requireRole('contributor', 'reviewer'), async (req, res, next) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        if (isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        if (!hasRole(req.user, 'reviewer')) {
+            const owner = await queryOne('SELECT user_id FROM recordings WHERE id = $1', [recordingId]);
+            if (!owner || owner.user_id !== req.user.email) {
+                return res.status(403).json({ error: 'You can only view the history of your own recordings' });
+            }
+        }
+
+        const events = await getRecordingHistory(recordingId);
+        if (events.length === 0) {
+            return res.status(404).json({ error: 'No history found for this recording' });
+        }
+
+        res.json({ recording_id: recordingId, events });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // GET /api/recordings/:id/audio - Get audio file for a recording
-router.get('/:id/audio', async (req, res) => {
+// Contributors can play back their own recordings; reviewers can play any
+router.get('/:id/audio', requireRole('contributor', 'reviewer'), async (req, res) => {
     try {
         const { id } = req.params;
         
         const result = await query(
-            'SELECT audio_filepath FROM recordings WHERE id = $1',
+            'SELECT audio_filepath, user_id FROM recordings WHERE id = $1',
             [id]
         );
         
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Recording not found' });
         }
+
+        if (result.rows[0].user_id !== req.user.email && !hasRole(req.user, 'reviewer')) {
+            return res.status(403).json({ error: 'You can only play your own recordings' });
+        }
         
         const audioFilepath = result.rows[0].audio_filepath;
         
@@ -290,7 +671,7 @@ router.get('/:id/audio', async (req, res) => {
         res.set({
             'Content-Type': 'audio/wav',
             'Accept-Ranges': 'bytes',
-            'Cache-Control': 'public, max-age=31536000', // Cache for 1 year since recordings don't change
+            'Cache-Control': 'private, max-age=31536000', // Cache for 1 year since recordings don't change (per user: audio requires login)
             'Access-Control-Allow-Origin': '*',
             'Access-Control-Allow-Methods': 'GET, OPTIONS',
             'Access-Control-Allow-Headers': 'Range',
@@ -306,24 +687,37 @@ router.get('/:id/audio', async (req, res) => {
 });
 
 // DELETE /api/recordings/:id - Delete a recording (for re-recording)
-router.delete('/:id', async (req, res) => {
+// Contributors can only delete their own recordings; admins can delete any
+router.delete('/:id', requireRole('contributor'), async (req, res) => {
     try {
         const { id } = req.params;
         
         // Get the audio filepath before deleting
         const result = await query(
-            'SELECT audio_filepath FROM recordings WHERE id = $1',
+            'SELECT id, audio_filepath, user_id, sentence_id, status FROM recordings WHERE id = $1',
             [id]
         );
         
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Recording not found' });
         }
+
+        if (result.rows[0].user_id !== req.user.email && !hasRole(req.user, 'admin')) {
+            return res.status(403).json({ error: 'You can only delete your own recordings' });
+        }
         
         const audioPath = path.join(__dirname, '../../uploads', result.rows[0].audio_filepath);
         
-        // Delete from database
-        await query('DELETE FROM recordings WHERE id = $1', [id]);
+        // Delete from database (and keep a purge record in the audit log)
+        await transaction(async (client) => {
+            await client.query('DELETE FROM recordings WHERE id = $1', [id]);
+            await logRecordingEvent({
+                recordingId: result.rows[0].id,
+                eventType: 'purge',
+                actor: req.user.email,
+                oldValue: result.rows[0],
+            }, client);
+        });
         
         // Try to delete the audio file (don't fail if it doesn't exist)
         try {
@@ -0,0 +1,106 @@
+/**
+ * Review queue API routes (reviewer role)
+ * GET    /api/review-queue                - Recordings currently leased to me
+ * POST   /api/review-queue/lease          - Lease (or top up) a batch of pending recordings
+ * DELETE /api/review-queue                - Release all my leases
+ * DELETE /api/review-queue/:recordingId   - Release one lease
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const {
+    LEASE_MINUTES,
+    MAX_BATCH_SIZE,
+    QUEUE_PRIORITIES,
+    listLeases,
+    leaseRecordings,
+    releaseLeases,
+    getQueueSummary,
+} = require('../reviewQueue');
+
+router.use(requireRole('reviewer'));
+
+// GET /api/review-queue?priority=age|story|validation
+router.get('/', async (req, res, next) => {
+    try {
+        const priority = req.query.priority || 'age';
+        if (!QUEUE_PRIORITIES.includes(priority)) {
+            return res.status(400).json({ error: `priority must be one of: ${QUEUE_PRIORITIES.join(', ')}` });
+        }
+
+        const recordings = await listLeases(req.user.email, priority);
+        res.json({
+            recordings,
+            lease_minutes: LEASE_MINUTES,
+            queue: await getQueueSummary(),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/review-queue/lease
+// Body: { size?: 10, priority?: 'age'|'story'|'validation', story_id? }
+// Returns the reviewer's full batch: leases already held are extended and topped up to `size`
+router.post('/lease', async (req, res, next) => {
+    try {
+        const priority = req.body.priority || 'age';
+        if (!QUEUE_PRIORITIES.includes(priority)) {
+            return res.status(400).json({ error: `priority must be one of: ${QUEUE_PRIORITIES.join(', ')}` });
+        }
+
+        const size = req.body.size === undefined ? undefined : parseInt(req.body.size);
+        if (size !== undefined && (isNaN(size) || size < 1 || size > MAX_BATCH_SIZE)) {
+            return res.status(400).json({ error: `size must be between 1 and ${MAX_BATCH_SIZE}` });
+        }
+
+        const storyId = req.body.story_id ? parseInt(req.body.story_id) : null;
+        if (req.body.story_id && isNaN(storyId)) {
+            return res.status(400).json({ error: 'Invalid story_id' });
+        }
+
+        const batch = await leaseRecordings(req.user.email, { size, priority, storyId });
+        console.log(`📥 Leased ${batch.recordings.length} recording(s) to ${req.user.email}`);
+
+        res.json({
+            recordings: batch.recordings,
+            expires_at: batch.expires_at,
+            lease_minutes: LEASE_MINUTES,
+            queue: await getQueueSummary(),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/review-queue - Hand all my recordings back to the pool
+router.delete('/', async (req, res, next) => {
+    try {
+        const released = await releaseLeases({ reviewer: req.user.email });
+        res.json({ message: `Released ${released} recording(s)`, released });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/review-queue/:recordingId
+router.delete('/:recordingId', async (req, res, next) => {
+    try {
+        const recordingId = parseInt(req.params.recordingId);
+        if (isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const released = await releaseLeases({ reviewer: req.user.email, recordingId });
+        if (released === 0) {
+            return res.status(404).json({ error: 'You have no lease on this recording' });
+        }
+
+        res.json({ message: 'Lease released', recording_id: recordingId });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,25 +1,30 @@
 /**
  * Sentence API routes
  * GET /api/sentences/:storyId/next - Get next sentence for user to record
+ * GET /api/sentences/:storyId/all  - All sentences with the user's recording status
+ * PATCH /api/sentences/:id          - Correct a sentence's text (admin); stored as a new version
+ * GET /api/sentences/:id/versions   - Text history of a sentence (reviewer)
+ *
+ * Sentences whose latest take was flagged for re-recording count as not recorded. Sentences
+ * retired by a story re-import are left out.
  */
 
 const express = require('express');
 const router = express.Router();
 const { queryOne } = require('../db');
+const { requireRole } = require('../middleware/auth');
+const { hasUsableTakeSql } = require('../rerecording');
+const { editSentenceText, getSentenceVersions } = require('../sentenceVersions');
+const { validateSentenceText } = require('../utils/storyInput');
 
-// GET /api/sentences/:storyId/next?userId=xyz
-// Returns next unrecorded sentence for this user in this story
-router.get('/:storyId/next', async (req, res, next) => {
+const MAX_EDIT_NOTE_LENGTH = 500;
+
+// GET /api/sentences/:storyId/next
+// Returns next unrecorded (or flagged for re-recording) sentence for the logged-in user in this story
+router.get('/:storyId/next', requireRole('contributor'), async (req, res, next) => {
     try {
         const { storyId } = req.params;
-        let { userId } = req.query;
-
-        if (!userId) {
-            return res.status(400).json({ error: 'userId query parameter required' });
-        }
-
-        // Normalize userId to lowercase for consistency
-        userId = userId.toLowerCase().trim();
+        const userId = req.user.email;
 
         // Get next sentence this user hasn't recorded yet
         const sentence = await queryOne(`
@@ -28,37 +33,41 @@ router.get('/:storyId/next', async (req, res, next) => {
                 s.order_in_story,
                 s.text_devanagari,
                 s.text_iast,
+                s.text_variants,
+                s.text_version,
                 st.title as story_title,
                 st.total_sentences,
                 (
                     SELECT COUNT(*) 
                     FROM sentences se2
                     WHERE se2.story_id = s.story_id
+                    AND se2.retired_at IS NULL
                     AND se2.order_in_story < s.order_in_story
-                    AND NOT EXISTS (
-                        SELECT 1 FROM recordings r
-                        WHERE r.sentence_id = se2.id
-                        AND r.user_id = $2
-                    )
+                    AND NOT ${hasUsableTakeSql('se2.id', '$2')}
                 ) as remaining_before,
                 (
                     SELECT COUNT(*)
                     FROM sentences se2
                     WHERE se2.story_id = s.story_id
-                    AND NOT EXISTS (
-                        SELECT 1 FROM recordings r
-                        WHERE r.sentence_id = se2.id
-                        AND r.user_id = $2
-                    )
-                ) as total_remaining
+                    AND se2.retired_at IS NULL
+                    AND NOT ${hasUsableTakeSql('se2.id', '$2')}
+                ) as total_remaining,
+                latest.id as recording_id,
+                COALESCE(latest.needs_rerecording, FALSE) as needs_rerecording,
+                latest.rejection_reason,
+                latest.review_notes
             FROM sentences s
             JOIN stories st ON st.id = s.story_id
+            LEFT JOIN LATERAL (
+                SELECT r.id, r.needs_rerecording, r.rejection_reason, r.review_notes
+                FROM recordings r
+                WHERE r.sentence_id = s.id AND r.user_id = $2
+                ORDER BY r.created_at DESC
+                LIMIT 1
+            ) latest ON TRUE
             WHERE s.story_id = $1
-            AND NOT EXISTS (
-                SELECT 1 FROM recordings r
-                WHERE r.sentence_id = s.id
-                AND r.user_id = $2
-            )
+            AND s.retired_at IS NULL
+            AND NOT ${hasUsableTakeSql('s.id', '$2')}
             ORDER BY s.order_in_story ASC
             LIMIT 1
         `, [storyId, userId]);
@@ -75,29 +84,33 @@ router.get('/:storyId/next', async (req, res, next) => {
             sentence_id: Number(sentence.id),
             text_devanagari: sentence.text_devanagari,
             text_iast: sentence.text_iast,
+            // The sentence in Kannada, Romi and Malayalam script
+            text_variants: sentence.text_variants,
+            // Sent back with the upload as sentence_version
+            text_version: Number(sentence.text_version),
             story_title: sentence.story_title,
             order: Number(sentence.order_in_story || 0),
             total: Number(sentence.total_sentences || 0),
             remaining: Number(sentence.total_remaining || 0),
             remaining_before: Number(sentence.remaining_before || 0),
+            // Set when a reviewer asked for this sentence to be recorded again
+            needs_rerecording: sentence.needs_rerecording,
+            recording_id: sentence.recording_id,
+            rejection_reason: sentence.rejection_reason,
+            review_notes: sentence.review_notes,
         });
     } catch (error) {
         next(error);
     }
 });
 
-// GET /api/sentences/:storyId/all?userId=xyz
-// Returns all sentences for a story with recording status for this user
-router.get('/:storyId/all', async (req, res, next) => {
+// GET /api/sentences/:storyId/all
+// Returns all sentences for a story with recording status for the logged-in user
+// (has_recording / recording_id refer to the latest take)
+router.get('/:storyId/all', requireRole('contributor'), async (req, res, next) => {
     try {
         const { storyId } = req.params;
-        let { userId } = req.query;
-
-        if (!userId) {
-            return res.status(400).json({ error: 'userId query parameter required' });
-        }
-
-        userId = userId.toLowerCase().trim();
+        const userId = req.user.email;
 
         const { query } = require('../db');
         const result = await query(`
@@ -106,11 +119,23 @@ router.get('/:storyId/all', async (req, res, next) => {
                 s.order_in_story,
                 s.text_devanagari,
                 s.text_iast,
-                CASE WHEN r.id IS NOT NULL THEN true ELSE false END as has_recording,
-                r.id as recording_id
+                s.text_variants,
+                s.text_version,
+                CASE WHEN latest.id IS NOT NULL THEN true ELSE false END as has_recording,
+                latest.id as recording_id,
+                COALESCE(latest.needs_rerecording, FALSE) as needs_rerecording,
+                latest.rejection_reason,
+                latest.review_notes
             FROM sentences s
-            LEFT JOIN recordings r ON r.sentence_id = s.id AND r.user_id = $2
+            LEFT JOIN LATERAL (
+                SELECT r.id, r.needs_rerecording, r.rejection_reason, r.review_notes
+                FROM recordings r
+                WHERE r.sentence_id = s.id AND r.user_id = $2
+                ORDER BY r.created_at DESC
+                LIMIT 1
+            ) latest ON TRUE
             WHERE s.story_id = $1
+            AND s.retired_at IS NULL
             ORDER BY s.order_in_story ASC
         `, [storyId, userId]);
 
@@ -120,4 +145,71 @@ router.get('/:storyId/all', async (req, res, next) => {
     }
 });
 
+// PATCH /api/sentences/:id
+// Body: { text_devanagari, note? }. Recordings of the sentence keep the version they were read
+// against and show up for reviewers to re-verify.
+router.patch('/:id', requireRole('admin'), async (req, res, next) => {
+    try {
+        const sentenceId = parseInt(req.params.id);
+        if (isNaN(sentenceId)) {
+            return res.status(400).json({ error: 'Invalid sentence ID' });
+        }
+
+        const { text, error } = validateSentenceText(req.body.text_devanagari);
+        if (error) {
+            return res.status(400).json({ error: `text_devanagari ${error}` });
+        }
+        const { note } = req.body;
+        if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_EDIT_NOTE_LENGTH)) {
+            return res.status(400).json({ error: `note must be a string of at most ${MAX_EDIT_NOTE_LENGTH} characters` });
+        }
+
+        const current = await queryOne('SELECT text_devanagari FROM sentences WHERE id = $1', [sentenceId]);
+        if (!current) {
+            return res.status(404).json({ error: 'Sentence not found' });
+        }
+        if (current.text_devanagari === text) {
+            return res.status(400).json({ error: 'Text is unchanged' });
+        }
+
+        const result = await editSentenceText(sentenceId, {
+            text,
+            editor: req.user.email,
+            note: note ? note.trim() : null,
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Sentence not found' });
+        }
+
+        console.log(`✏️  Sentence ${sentenceId} edited by ${req.user.email} (version ${result.sentence.text_version}, ${result.recordings_to_reverify} recordings to re-verify)`);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/sentences/:id/versions
+// Every text the sentence has had (newest first) and how many recordings were read against each
+router.get('/:id/versions', requireRole('reviewer', 'admin'), async (req, res, next) => {
+    try {
+        const sentenceId = parseInt(req.params.id);
+        if (isNaN(sentenceId)) {
+            return res.status(400).json({ error: 'Invalid sentence ID' });
+        }
+
+        const sentence = await queryOne(
+            'SELECT id, story_id, order_in_story, text_devanagari, text_version FROM sentences WHERE id = $1',
+            [sentenceId]
+        );
+        if (!sentence) {
+            return res.status(404).json({ error: 'Sentence not found' });
+        }
+
+        const versions = await getSentenceVersions(sentenceId);
+        res.json({ sentence, versions });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
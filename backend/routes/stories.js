@@ -2,25 +2,73 @@
  * Story API routes
  * GET /api/stories - List all stories
  * GET /api/stories/:id - Get specific story with sentences
+ * POST /api/stories/preview - Split a story into sentences without saving it (admin)
+ * POST /api/stories - Create a story from UTF-8 JSON or an uploaded .txt file (admin)
+ * PUT /api/stories/order - Reorder the story list (admin)
+ * PATCH /api/stories/:id - Edit title/language, or replace the text of an unrecorded story (admin)
+ * POST /api/stories/:id/reimport - Re-import a story's text, keeping matching sentences and their recordings (admin)
+ * DELETE /api/stories/:id - Delete a story (admin; ?force=true also deletes its recordings)
  */
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { queryAll, queryOne } = require('../db');
 const { validateStoryId } = require('../middleware/validator');
+const { requireRole } = require('../middleware/auth');
+const { decodeStoryFile, validateStoryInput } = require('../utils/storyInput');
+const { MAX_RECORDING_SECONDS, checkSentenceLength } = require('../utils/sentenceDuration');
+const {
+    buildSentences,
+    createStory,
+    countStoryRecordings,
+    updateStory,
+    reimportStory,
+    reorderStories,
+    deleteStory,
+} = require('../stories');
+
+// Story files are small; keep them in memory so they can be decoded strictly as UTF-8
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'text/plain' || file.originalname.match(/\.txt$/i)) {
+            cb(null, true);
+        } else {
+            const error = new Error('Story file must be a .txt file');
+            error.statusCode = 400;
+            cb(error);
+        }
+    },
+});
+
+// Story text and title from a JSON body or a multipart upload (file + form fields)
+function readStoryBody(req) {
+    const body = { ...req.body };
+    if (body.title_from_file !== undefined) {
+        body.title_from_file = body.title_from_file === true || body.title_from_file === 'true';
+    }
+    if (req.file) {
+        const text = decodeStoryFile(req.file.buffer);
+        if (text === null) {
+            return { error: 'Story file is not valid UTF-8; save it as UTF-8 and upload it again' };
+        }
+        body.text = text;
+        // Multipart filenames arrive as latin1
+        body.source_file = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+    }
+    return { body };
+}
 
 // GET /api/stories - List all stories with stats
-// If userId query parameter is provided, returns user-specific progress
-router.get('/', async (req, res, next) => {
+// Includes the caller's own progress when they hold the contributor role
+router.get('/', requireRole('contributor', 'reviewer'), async (req, res, next) => {
     try {
-        const { userId } = req.query;
-        
         let stories;
         
-        if (userId) {
+        if (req.user.roles.includes('contributor')) {
             // User-specific progress
-            const normalizedUserId = userId.toLowerCase().trim();
-            
             stories = await queryAll(`
                 SELECT
                     s.id,
@@ -42,11 +90,11 @@ router.get('/', async (req, res, next) => {
                         1
                     ) as completion_pct
                 FROM stories s
-                LEFT JOIN sentences se ON se.story_id = s.id
+                LEFT JOIN sentences se ON se.story_id = s.id AND se.retired_at IS NULL
                 LEFT JOIN recordings r ON r.sentence_id = se.id
                 GROUP BY s.id
-                ORDER BY s.id ASC
-            `, [normalizedUserId]);
+                ORDER BY s.display_order ASC, s.id ASC
+            `, [req.user.email]);
         } else {
             // Global stats (all users)
             stories = await queryAll(`
@@ -64,10 +112,10 @@ router.get('/', async (req, res, next) => {
                         1
                     ) as completion_pct
                 FROM stories s
-                LEFT JOIN sentences se ON se.story_id = s.id
+                LEFT JOIN sentences se ON se.story_id = s.id AND se.retired_at IS NULL
                 LEFT JOIN recordings r ON r.sentence_id = se.id
                 GROUP BY s.id
-                ORDER BY s.id ASC
+                ORDER BY s.display_order ASC, s.id ASC
             `);
         }
 
@@ -79,7 +127,7 @@ router.get('/', async (req, res, next) => {
             approved_recordings: Number(s.approved_recordings || 0),
             sentences_with_recordings: Number(s.sentences_with_recordings || 0),
             completion_pct: Number(s.completion_pct || 0),
-            // User-specific fields (if userId was provided)
+            // User-specific fields (if logged in)
             user_recordings: s.user_recordings !== undefined ? Number(s.user_recordings || 0) : undefined,
             user_sentences_recorded: s.user_sentences_recorded !== undefined ? Number(s.user_sentences_recorded || 0) : undefined,
             user_completion_pct: s.user_completion_pct !== undefined ? Number(s.user_completion_pct || 0) : undefined,
@@ -91,7 +139,7 @@ router.get('/', async (req, res, next) => {
 });
 
 // GET /api/stories/:id - Get story details with all sentences
-router.get('/:id', validateStoryId, async (req, res, next) => {
+router.get('/:id', requireRole('contributor', 'reviewer'), validateStoryId, async (req, res, next) => {
     try {
         const story = await queryOne(
             'SELECT * FROM stories WHERE id = $1',
@@ -112,6 +160,7 @@ router.get('/:id', validateStoryId, async (req, res, next) => {
                 (SELECT COUNT(*) FROM recordings WHERE sentence_id = sentences.id) as recording_count
             FROM sentences
             WHERE story_id = $1
+            AND retired_at IS NULL
             ORDER BY order_in_story ASC`,
             [req.storyId]
         );
@@ -131,4 +180,220 @@ router.get('/:id', validateStoryId, async (req, res, next) => {
     }
 });
 
+// POST /api/stories/preview - Split a story without saving it (used by story-import.html)
+// Body: as for POST /api/stories; title is optional. With `sentences` nothing is re-split,
+// so edited sentences only get their IAST and length checks refreshed.
+router.post('/preview', requireRole('admin'), upload.single('file'), async (req, res, next) => {
+    try {
+        const { body, error } = readStoryBody(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { story, errors } = validateStoryInput(body, { partial: true });
+        if (!story.text && !story.sentences && errors.length === 0) {
+            errors.push('text (or sentences) is required');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+
+        const sentences = buildSentences(story).map(row => ({
+            ...row,
+            ...checkSentenceLength(row.text_devanagari),
+        }));
+        res.json({
+            title: story.title || null,
+            language: story.language || 'konkani',
+            script: story.script,
+            numbers_as_words: !!story.numbers_as_words,
+            source_file: story.source_file || null,
+            max_recording_seconds: MAX_RECORDING_SECONDS,
+            too_long_count: sentences.filter(s => s.length_warning === 'too_long').length,
+            sentences,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/stories - Create a story
+// Body: JSON { title, text or sentences, language?, script?, numbers_as_words? } or multipart with a .txt `file` and title (or title_from_file=true)
+// script is devanagari, kannada, romi or malayalam (default: detected from the text)
+// numbers_as_words: write numbers out as words (१२ = बारा); the sentence as written is kept in text_written
+router.post('/', requireRole('admin'), upload.single('file'), async (req, res, next) => {
+    try {
+        const { body, error } = readStoryBody(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { story, errors } = validateStoryInput(body);
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+
+        const created = await createStory(story);
+
+        console.log(`📚 Story ${created.id} "${created.title}" created by ${req.user.email} (${created.total_sentences} sentences)`);
+        res.status(201).json({ story: created });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/stories/order - Reorder the story list
+// Body: { story_ids: [3, 1, 2, ...] } listing every story once
+router.put('/order', requireRole('admin'), async (req, res, next) => {
+    try {
+        const { story_ids } = req.body;
+        if (!Array.isArray(story_ids) || !story_ids.every(id => Number.isInteger(id))) {
+            return res.status(400).json({ error: 'story_ids must be an array of story ids' });
+        }
+        if (new Set(story_ids).size !== story_ids.length) {
+            return res.status(400).json({ error: 'story_ids must not contain duplicates' });
+        }
+
+        const existing = await queryAll('SELECT id FROM stories');
+        const missing = existing.map(s => s.id).filter(id => !story_ids.includes(id));
+        const unknown = story_ids.filter(id => !existing.some(s => s.id === id));
+        if (missing.length > 0 || unknown.length > 0) {
+            return res.status(400).json({
+                error: 'story_ids must list every story exactly once',
+                missing,
+                unknown,
+            });
+        }
+
+        const stories = await reorderStories(story_ids);
+        res.json({ stories });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PATCH /api/stories/:id - Edit a story
+// Body: JSON { title?, language?, text? or sentences? } or multipart with a .txt `file`.
+// New text replaces every sentence, so it is refused once the story has recordings.
+router.patch('/:id', requireRole('admin'), validateStoryId, upload.single('file'), async (req, res, next) => {
+    try {
+        const { body, error } = readStoryBody(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { story, errors } = validateStoryInput(body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+        if (Object.keys(story).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update: send title, language or text' });
+        }
+
+        if (story.text !== undefined || story.sentences !== undefined) {
+            const recordingCount = await countStoryRecordings(req.storyId);
+            if (recordingCount > 0) {
+                return res.status(409).json({
+                    error: `Story has ${recordingCount} recording(s); its text can no longer be replaced (use POST /api/stories/${req.storyId}/reimport)`,
+                    recording_count: recordingCount,
+                });
+            }
+        }
+
+        const updated = await updateStory(req.storyId, story);
+        if (!updated) {
+            return res.status(404).json({ error: 'Story not found' });
+        }
+
+        res.json({ story: updated });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/stories/:id/reimport - Re-import a story without losing recordings
+// Body: JSON { text or sentences, dry_run?, min_similarity? } or multipart with a .txt `file`.
+// Returns the diff against the current sentences; with dry_run=true nothing is changed.
+router.post('/:id/reimport', requireRole('admin'), validateStoryId, upload.single('file'), async (req, res, next) => {
+    try {
+        const { body, error } = readStoryBody(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { story, errors } = validateStoryInput(body, { partial: true });
+        if (!story.text && !story.sentences && errors.length === 0) {
+            errors.push('text (or sentences) is required');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+
+        let minSimilarity;
+        if (body.min_similarity !== undefined) {
+            minSimilarity = parseFloat(body.min_similarity);
+            if (!(minSimilarity > 0 && minSimilarity <= 1)) {
+                return res.status(400).json({ error: 'min_similarity must be a number between 0 and 1' });
+            }
+        }
+        const dryRun = body.dry_run === true || body.dry_run === 'true';
+
+        const result = await reimportStory(req.storyId, story, {
+            editor: req.user.email,
+            minSimilarity,
+            dryRun,
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Story not found' });
+        }
+
+        if (!dryRun) {
+            const { keep, edit, insert, retire } = result.summary;
+            console.log(`📚 Story ${req.storyId} re-imported by ${req.user.email} (${keep} kept, ${edit} edited, ${insert} new, ${retire} retired)`);
+        }
+        res.json({
+            dry_run: dryRun,
+            story: result.story,
+            summary: result.summary,
+            operations: result.operations.map(op => ({
+                action: op.action,
+                sentence_id: op.sentence ? op.sentence.id : null,
+                old_order: op.sentence ? op.sentence.order_in_story : null,
+                old_text: op.sentence ? op.sentence.text_devanagari : null,
+                order_in_story: op.order_in_story,
+                text: op.text,
+                similarity: op.similarity === null ? null : Math.round(op.similarity * 100) / 100,
+                recording_count: op.sentence ? op.sentence.recording_count : 0,
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/stories/:id - Delete a story and its sentences
+// A story with recordings is only deleted with ?force=true, which deletes the recordings and their audio too.
+router.delete('/:id', requireRole('admin'), validateStoryId, async (req, res, next) => {
+    try {
+        const story = await queryOne('SELECT id FROM stories WHERE id = $1', [req.storyId]);
+        if (!story) {
+            return res.status(404).json({ error: 'Story not found' });
+        }
+
+        const recordingCount = await countStoryRecordings(req.storyId);
+        if (recordingCount > 0 && req.query.force !== 'true') {
+            return res.status(409).json({
+                error: `Story has ${recordingCount} recording(s); add ?force=true to delete them too`,
+                recording_count: recordingCount,
+            });
+        }
+
+        const result = await deleteStory(req.storyId, req.user.email);
+        console.log(`🗑️  Story ${req.storyId} deleted by ${req.user.email} (${result.recordings_deleted} recordings)`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * Transliteration API routes
+ * POST /api/transliterate - Convert Konkani text between scripts and Latin schemes, word by word
+ * Lets the story editor accept text typed in Roman script and the recorder show a reading aid.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { TRANSLITERATION_SCHEMES, transliterate } = require('../utils/transliteration');
+
+const MAX_TEXT_LENGTH = 20000;
+
+// POST /api/transliterate
+// Body: { text, from?, to?, rules? }
+//   from: auto (default) or one of TRANSLITERATION_SCHEMES; auto tells IAST from Romi by its diacritics
+//   to: devanagari (default) or one of TRANSLITERATION_SCHEMES
+//   rules: apply transliteration_rules.json to Latin output (default true)
+//   phonology: write Latin output as pronounced (default: phonology_schemes in transliteration_rules.json)
+// Response: { text, from, to, phonology, tokens: [{ source, text }] }
+router.post('/', requireAuth, (req, res, next) => {
+    try {
+        const { text, from = 'auto', to = 'devanagari', rules = true, phonology } = req.body;
+        if (typeof text !== 'string') {
+            return res.status(400).json({ error: 'text must be a string' });
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({ error: `text must be at most ${MAX_TEXT_LENGTH} characters` });
+        }
+        if (from !== 'auto' && !TRANSLITERATION_SCHEMES.includes(from)) {
+            return res.status(400).json({ error: `from must be auto or one of ${TRANSLITERATION_SCHEMES.join(', ')}` });
+        }
+        if (!TRANSLITERATION_SCHEMES.includes(to)) {
+            return res.status(400).json({ error: `to must be one of ${TRANSLITERATION_SCHEMES.join(', ')}` });
+        }
+        if (typeof rules !== 'boolean') {
+            return res.status(400).json({ error: 'rules must be true or false' });
+        }
+
+        if (phonology !== undefined && typeof phonology !== 'boolean') {
+            return res.status(400).json({ error: 'phonology must be true or false' });
+        }
+
+        res.json(transliterate(text, { from, to, rules, phonology }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
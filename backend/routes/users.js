@@ -1,21 +1,62 @@
 /**
  * User Progress API routes
- * GET /api/users/:email/progress - Get user's recording progress and stats
+ * GET /api/users/:email/progress    - Get user's recording progress and stats
+ * GET /api/users/:email/rerecordings - Sentences reviewers asked the user to record again
+ * GET /api/users/:email/profile      - Optional speaker profile (and the allowed values)
+ * PUT /api/users/:email/profile      - Save the speaker profile (requires consent; the speaker only)
+ * DELETE /api/users/:email/profile   - Withdraw consent and delete the speaker profile
+ * GET /api/users/:email/export       - Zip of all my recordings, metadata and consent history
+ * POST /api/users/:email/erasure     - Erase my account, recordings and audio
+ * (only for the logged-in user's own email; admins may act on anyone's account)
  */
 
 const express = require('express');
 const router = express.Router();
+const path = require('path');
+const archiver = require('archiver');
+const storage = require('../storage');
 const { query, queryOne } = require('../db');
+const { requireSelf } = require('../middleware/auth');
+const { normalizeEmail } = require('../utils/auth');
+const { getRerecordingRequests } = require('../rerecording');
+const { PROFILE_OPTIONS, PROFILE_FIELDS, validateSpeakerProfile } = require('../utils/speakerProfile');
+const { collectUserData, eraseUser } = require('../dataRights');
+const { clearSessionCookie } = require('../sessions');
+
+const PROFILE_COLUMNS = `${PROFILE_FIELDS.join(', ')}, consented_at, updated_at`;
+
+// After requireSelf: req.targetUser is the account named in the URL, which for admins
+// need not be their own (404 if there is no such account)
+async function loadTargetUser(req, res, next) {
+    try {
+        const email = normalizeEmail(req.params.email);
+        if (email === req.user.email) {
+            req.targetUser = req.user;
+            return next();
+        }
+        req.targetUser = await queryOne('SELECT id, email, display_name FROM users WHERE email = $1', [email]);
+        if (!req.targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// The speaker's own account only: admins may not act for them (e.g. consent to a profile)
+function requireOwnAccount(req, res, next) {
+    if (normalizeEmail(req.params.email) !== req.user.email) {
+        return res.status(403).json({ error: 'Only the speaker can share their profile' });
+    }
+    next();
+}
 
 // GET /api/users/:email/progress
 // Returns user's overall progress and statistics
-router.get('/:email/progress', async (req, res, next) => {
+router.get('/:email/progress', requireSelf, loadTargetUser, async (req, res, next) => {
     try {
-        const email = req.params.email.toLowerCase().trim();
-
-        if (!email || !email.includes('@')) {
-            return res.status(400).json({ error: 'Valid email required' });
-        }
+        const email = req.targetUser.email;
 
         // Get user's recording statistics
         const stats = await queryOne(`
@@ -39,6 +80,7 @@ router.get('/:email/progress', async (req, res, next) => {
                             SELECT COUNT(*) 
                             FROM sentences 
                             WHERE story_id = s2.story_id
+                            AND retired_at IS NULL
                         ) THEN true 
                         ELSE false 
                     END as completed
@@ -100,4 +142,165 @@ router.get('/:email/progress', async (req, res, next) => {
     }
 });
 
+// GET /api/users/:email/rerecordings
+// Recordings flagged for re-recording whose flag is still open (latest take per sentence)
+router.get('/:email/rerecordings', requireSelf, loadTargetUser, async (req, res, next) => {
+    try {
+        const recordings = await getRerecordingRequests(req.targetUser.email);
+        res.json({ recordings });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/users/:email/profile
+// profile is null when the speaker has not shared one
+router.get('/:email/profile', requireSelf, loadTargetUser, async (req, res, next) => {
+    try {
+        const profile = await queryOne(
+            `SELECT ${PROFILE_COLUMNS} FROM speaker_profiles WHERE user_id = $1`,
+            [req.targetUser.id]
+        );
+        res.json({ profile: profile || null, options: PROFILE_OPTIONS });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/users/:email/profile
+// Body: { consent: true, age_band?, gender?, native_dialect?, region?, language_status?, device_type? }
+// Replaces the whole profile; omitted fields are cleared.
+router.put('/:email/profile', requireSelf, requireOwnAccount, async (req, res, next) => {
+    try {
+        const { profile, errors } = validateSpeakerProfile(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; '), errors });
+        }
+
+        const values = PROFILE_FIELDS.map(field => profile[field]);
+        const saved = await queryOne(
+            `INSERT INTO speaker_profiles (user_id, ${PROFILE_FIELDS.join(', ')})
+             VALUES ($1, ${PROFILE_FIELDS.map((_, i) => `$${i + 2}`).join(', ')})
+             ON CONFLICT (user_id) DO UPDATE SET
+                ${PROFILE_FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(',\n                ')},
+                updated_at = NOW()
+             RETURNING ${PROFILE_COLUMNS}`,
+            [req.user.id, ...values]
+        );
+
+        res.json({ message: 'Speaker profile saved', profile: saved });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/users/:email/profile
+// Withdraws consent: the profile is deleted and no longer exported
+router.delete('/:email/profile', requireSelf, loadTargetUser, async (req, res, next) => {
+    try {
+        const result = await query('DELETE FROM speaker_profiles WHERE user_id = $1', [req.targetUser.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'No speaker profile found' });
+        }
+        res.json({ message: 'Speaker profile deleted' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add a stream to the archive and wait until it has been written
+function appendEntry(archive, source, name) {
+    return new Promise((resolve, reject) => {
+        const onEntry = (entry) => {
+            if (entry.name !== name) return;
+            archive.off('entry', onEntry);
+            archive.off('error', reject);
+            resolve();
+        };
+        archive.on('entry', onEntry);
+        archive.once('error', reject);
+        archive.append(source, { name });
+    });
+}
+
+// GET /api/users/:email/export
+// Streams a zip with data.json (account, speaker profile, consent history, recordings,
+// audit events, story progress, votes cast) and the audio of every recording under audio/
+router.get('/:email/export', requireSelf, loadTargetUser, async (req, res, next) => {
+    let archive = null;
+    try {
+        const data = await collectUserData(req.targetUser);
+
+        // Only add files that exist, so a missing object doesn't break the stream halfway
+        data.missing_audio = [];
+        for (const recording of data.recordings) {
+            recording.export_audio_path = null;
+            if (await storage.exists(recording.audio_filepath)) {
+                recording.export_audio_path = `audio/${recording.id}${path.extname(recording.audio_filepath) || '.wav'}`;
+            } else {
+                data.missing_audio.push(recording.id);
+            }
+        }
+
+        const filename = `konkani-collector-data-${new Date().toISOString().slice(0, 10)}.zip`;
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        archive = archiver('zip', { zlib: { level: 6 } });
+        archive.on('warning', (err) => console.warn('Export archive warning:', err.message));
+        archive.on('error', (err) => {
+            console.error('Export archive error:', err);
+            res.destroy(err);
+        });
+        archive.pipe(res);
+
+        archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+        for (const recording of data.recordings) {
+            if (!recording.export_audio_path) continue;
+            // One file at a time, so large exports don't open every file (or S3 request) at once
+            await appendEntry(archive, await storage.getStream(recording.audio_filepath), recording.export_audio_path);
+        }
+
+        await archive.finalize();
+        console.log(`📦 Exported data for ${req.targetUser.email} (${data.recordings.length} recording(s))`);
+    } catch (error) {
+        if (archive && res.headersSent) {
+            console.error('Error exporting user data:', error);
+            archive.abort();
+            res.destroy(error);
+            return;
+        }
+        next(error);
+    }
+});
+
+// POST /api/users/:email/erasure
+// Body: { confirm_email } - must repeat the email of the account being erased
+// Deletes audio from storage, then recordings, profile, consents and the account itself.
+// The erasure is recorded in erasure_requests (by email hash only, requested_by 'self' or
+// the admin's email) and, when users erase themselves, the session ends.
+router.post('/:email/erasure', requireSelf, loadTargetUser, async (req, res, next) => {
+    try {
+        const self = req.targetUser.id === req.user.id;
+        if (normalizeEmail(req.body.confirm_email) !== req.targetUser.email) {
+            return res.status(400).json({ error: `confirm_email must match ${self ? 'your account email' : req.targetUser.email}` });
+        }
+
+        const erasure = await eraseUser(req.targetUser, self ? 'self' : req.user.email);
+        console.log(`🧹 Erasure ${erasure.id} ${erasure.status}: ${erasure.recordings_deleted} recording(s), ${erasure.files_deleted} file(s)`);
+
+        if (self) clearSessionCookie(res);
+        res.json({
+            message: self ? 'Your account and recordings have been erased' : `${req.targetUser.email} and their recordings have been erased`,
+            erasure_id: erasure.id,
+            status: erasure.status,
+            recordings_deleted: erasure.recordings_deleted,
+            files_deleted: erasure.files_deleted,
+            completed_at: erasure.completed_at,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
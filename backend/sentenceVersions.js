@@ -0,0 +1,179 @@
+/**
+ * Sentence text versions (sentences.text_version, sentence_versions, recordings.sentence_version)
+ * Editing a sentence stores its new text as the next version. Recordings keep the version the
+ * speaker read, so a recording made before an edit can be found, re-verified by a reviewer
+ * against the new text, or flagged for re-recording.
+ */
+
+const { queryAll, transaction } = require('./db');
+const { devanagariToIAST } = require('./utils/transliterate-canonical');
+const { logRecordingEvent } = require('./recordingEvents');
+const { scriptVariants } = require('./utils/konkaniScripts');
+const { toPhonemes } = require('./utils/g2p');
+
+/**
+ * SQL condition: the recording was read against an older text of its sentence
+ * @param {string} recordingRef - Alias of the recordings table, e.g. 'r'
+ * @param {string} sentenceRef - Alias of the sentences table, e.g. 's'
+ * @returns {string}
+ */
+function textChangedSql(recordingRef, sentenceRef) {
+    return `(${recordingRef}.sentence_version < ${sentenceRef}.text_version)`;
+}
+
+/**
+ * The text version a speaker read, as sent with an upload; anything missing or invalid
+ * means the current text
+ * @param {*} requested - sentence_version from the request body
+ * @param {number} current - sentences.text_version
+ * @returns {number}
+ */
+function readSentenceVersion(requested, current) {
+    const version = parseInt(requested);
+    return version >= 1 && version <= current ? version : current;
+}
+
+/**
+ * Store a new text version of a sentence inside an open transaction
+ * @param {object} client - Transaction client (from db.transaction)
+ * @param {object} sentence - The sentences row, locked FOR UPDATE
+ * @param {object} edit - { text, editor, note?, variants?, written? } - variants default to conversions
+ *   of text; written is the text as the author wrote it when text spells out its numbers
+ * @returns {Promise<object>} - { sentence, recordings_to_reverify }
+ */
+async function applySentenceEdit(client, sentence, { text, editor, note = null, variants = null, written = null }) {
+    const iast = devanagariToIAST(text);
+
+    // Sentences created after migration 014 have no version row until their first edit
+    await client.query(
+        `INSERT INTO sentence_versions (sentence_id, version, text_devanagari, text_iast, created_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (sentence_id, version) DO NOTHING`,
+        [sentence.id, sentence.text_version, sentence.text_devanagari, sentence.text_iast, sentence.created_at]
+    );
+
+    const version = sentence.text_version + 1;
+    await client.query(
+        `INSERT INTO sentence_versions (sentence_id, version, text_devanagari, text_iast, edited_by, edit_note)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [sentence.id, version, text, iast, editor, note]
+    );
+
+    const updated = await client.query(
+        `UPDATE sentences
+         SET text_devanagari = $2,
+             text_iast = $3,
+             char_count = $4,
+             text_version = $5,
+             text_variants = $6,
+             text_phonemes = $7,
+             text_written = $8,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [sentence.id, text, iast, text.length, version, JSON.stringify(variants || scriptVariants(text)), toPhonemes(text), written]
+    );
+
+    const affected = await client.query(
+        `SELECT COUNT(*)::int AS count FROM recordings
+         WHERE sentence_id = $1 AND status <> 'deleted'`,
+        [sentence.id]
+    );
+
+    return { sentence: updated.rows[0], recordings_to_reverify: affected.rows[0].count };
+}
+
+/**
+ * Replace a sentence's text with a new version
+ * @param {number} sentenceId
+ * @param {object} edit - { text, editor, note? }
+ * @returns {Promise<object|null>} - { sentence, recordings_to_reverify }, or null if the sentence does not exist
+ */
+async function editSentenceText(sentenceId, edit) {
+    return await transaction(async (client) => {
+        const current = await client.query(
+            'SELECT * FROM sentences WHERE id = $1 FOR UPDATE',
+            [sentenceId]
+        );
+        const sentence = current.rows[0];
+        if (!sentence) return null;
+
+        return await applySentenceEdit(client, sentence, edit);
+    });
+}
+
+/**
+ * Every version of a sentence's text, with how many recordings were read against each
+ * @param {number} sentenceId
+ * @returns {Promise<object[]>}
+ */
+async function getSentenceVersions(sentenceId) {
+    return await queryAll(
+        `SELECT
+            sv.version,
+            sv.text_devanagari,
+            sv.text_iast,
+            sv.edited_by,
+            sv.edit_note,
+            sv.created_at,
+            (SELECT COUNT(*) FROM recordings r
+             WHERE r.sentence_id = sv.sentence_id
+               AND r.sentence_version = sv.version
+               AND r.status <> 'deleted')::int AS recording_count
+         FROM sentence_versions sv
+         WHERE sv.sentence_id = $1
+         ORDER BY sv.version DESC`,
+        [sentenceId]
+    );
+}
+
+/**
+ * Confirm that a recording still matches its sentence's current text
+ * @param {number} recordingId
+ * @param {string} actor - Email of the reviewer
+ * @returns {Promise<object|null>} - { recording, changed }, or null if the recording does not exist.
+ *   changed is false when the recording already matched the current version.
+ */
+async function reverifyRecording(recordingId, actor) {
+    return await transaction(async (client) => {
+        // Locked so two reviewers cannot both re-verify (and log) the same recording
+        const current = await client.query(
+            `SELECT r.id, r.sentence_version, s.text_version
+             FROM recordings r
+             JOIN sentences s ON s.id = r.sentence_id
+             WHERE r.id = $1
+             FOR UPDATE OF r`,
+            [recordingId]
+        );
+        const found = current.rows[0];
+        if (!found) return null;
+        if (found.sentence_version >= found.text_version) {
+            return { recording: found, changed: false };
+        }
+
+        const result = await client.query(
+            `UPDATE recordings
+             SET sentence_version = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING id, sentence_id, sentence_version, status, needs_rerecording`,
+            [recordingId, found.text_version]
+        );
+        await logRecordingEvent({
+            recordingId,
+            eventType: 'text_reverify',
+            actor,
+            oldValue: { sentence_version: found.sentence_version },
+            newValue: { sentence_version: found.text_version },
+        }, client);
+        return { recording: result.rows[0], changed: true };
+    });
+}
+
+module.exports = {
+    textChangedSql,
+    readSentenceVersion,
+    applySentenceEdit,
+    editSentenceText,
+    getSentenceVersions,
+    reverifyRecording,
+};
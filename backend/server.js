@@ -8,6 +8,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { loadSession, requireRole } = require('./middleware/auth');
 
 // Initialize Express app
 const app = express();
@@ -24,17 +25,24 @@ app.use(express.static(path.join(__dirname, '../public')));
 // Serve uploaded audio files
 app.use('/recordings', express.static(path.join(__dirname, '../uploads/recordings')));
 
+// Resolve the logged-in user (if any) for every API request
+app.use('/api', loadSession);
+
 // API Routes
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/stories', require('./routes/stories'));
 app.use('/api/sentences', require('./routes/sentences'));
 app.use('/api/recordings', require('./routes/recordings'));
+app.use('/api/review-queue', require('./routes/reviewQueue'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/consent', require('./routes/consent'));
 app.use('/api/programmatic', require('./routes/programmatic'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/transliterate', require('./routes/transliterate'));
 
 // Test endpoints (disable in production)
 if (process.env.ENABLE_TEST_ENDPOINTS === 'true') {
-    app.use('/api/test', require('./routes/test'));
+    app.use('/api/test', requireRole('admin'), require('./routes/test'));
     console.log('⚠️  Test endpoints enabled at /api/test/*');
 }
 
@@ -0,0 +1,99 @@
+/**
+ * Login session store
+ * Sessions live in PostgreSQL (user_sessions); the client only holds the raw token,
+ * either as an HttpOnly cookie (web UI) or a bearer token (programmatic API).
+ */
+
+const { query, queryOne } = require('./db');
+const { generateToken, hashToken } = require('./utils/auth');
+
+const SESSION_COOKIE = 'kc_session';
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+
+/**
+ * Create a new session for a user
+ * @param {number} userId
+ * @returns {Promise<{token: string, expires_at: Date}>}
+ */
+async function createSession(userId) {
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await query(
+        `INSERT INTO user_sessions (token_hash, user_id, expires_at)
+         VALUES ($1, $2, $3)`,
+        [hashToken(token), userId, expiresAt]
+    );
+    await query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [userId]);
+
+    return { token, expires_at: expiresAt };
+}
+
+/**
+ * Look up the user behind a session token
+ * @param {string} token
+ * @returns {Promise<object|null>} - { id, email, display_name, roles } or null if invalid/expired
+ */
+async function findSessionUser(token) {
+    if (!token) return null;
+
+    return await queryOne(
+        `UPDATE user_sessions us
+         SET last_seen_at = NOW()
+         FROM users u
+         WHERE us.token_hash = $1
+           AND us.expires_at > NOW()
+           AND u.id = us.user_id
+         RETURNING u.id, u.email, u.display_name,
+                   ARRAY(SELECT role FROM user_roles WHERE user_id = u.id ORDER BY role) AS roles`,
+        [hashToken(token)]
+    );
+}
+
+/**
+ * Grant a role to a user (no-op if already granted)
+ * @param {number} userId
+ * @param {string} role
+ * @param {string} grantedBy - Email of the granting admin, or a marker like 'signup'
+ */
+async function grantRole(userId, role, grantedBy) {
+    await query(
+        `INSERT INTO user_roles (user_id, role, granted_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, role) DO NOTHING`,
+        [userId, role, grantedBy]
+    );
+}
+
+/**
+ * Invalidate a session token
+ * @param {string} token
+ */
+async function destroySession(token) {
+    if (!token) return;
+    await query('DELETE FROM user_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+function setSessionCookie(res, session) {
+    res.cookie(SESSION_COOKIE, session.token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        expires: session.expires_at,
+        path: '/',
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    createSession,
+    findSessionUser,
+    destroySession,
+    grantRole,
+    setSessionCookie,
+    clearSessionCookie,
+};
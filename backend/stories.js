@@ -0,0 +1,383 @@
+/**
+ * Story management (stories, sentences)
+ * Used by POST/PATCH/DELETE /api/stories. Story text is split with the same rules as
+ * scripts/import-story.js; sentences get their IAST transliteration, phonemes, char_count and
+ * script variants here. A story written in another script is converted to Devanagari sentence by sentence,
+ * and with numbers_as_words its numbers are written out as words (the written text is kept in
+ * text_written).
+ * Re-importing a story that already has recordings goes through reimportStory(), which keeps
+ * matching sentences instead of replacing them.
+ */
+
+const { queryOne, queryAll, transaction } = require('./db');
+const storage = require('./storage');
+const { splitIntoSentences } = require('./utils/sentenceSplitter');
+const { devanagariToIAST } = require('./utils/transliterate-canonical');
+const { logRecordingEvent } = require('./recordingEvents');
+const { applySentenceEdit } = require('./sentenceVersions');
+const { alignSentences, summarizeAlignment } = require('./utils/sentenceAlignment');
+const { fitSentencesToLimit } = require('./utils/longSentences');
+const { CANONICAL_SCRIPT, toDevanagari, scriptVariants } = require('./utils/konkaniScripts');
+const { toPhonemes } = require('./utils/g2p');
+const { expandNumbers } = require('./utils/konkaniNumbers');
+
+// Devanagari sentence as it is read aloud
+function spokenText(devanagari, { numbersAsWords = false } = {}) {
+    return numbersAsWords ? expandNumbers(devanagari) : devanagari;
+}
+
+/**
+ * Sentence rows (with IAST, phonemes, char_count and script variants) for a list of sentences
+ * @param {string[]} sentences
+ * @param {string} [script='devanagari'] - Script the sentences are written in
+ * @param {object} [options]
+ * @param {boolean} [options.numbersAsWords=false] - Write numbers out as words (see utils/konkaniNumbers)
+ * @returns {object[]} - [{ order_in_story, text_devanagari, text_written, text_iast, text_phonemes, char_count, text_variants }]
+ */
+function toSentenceRows(sentences, script = CANONICAL_SCRIPT, { numbersAsWords = false } = {}) {
+    return sentences.map((original, i) => {
+        const written = toDevanagari(original, script);
+        const sentence = spokenText(written, { numbersAsWords });
+        let iast = '';
+        try {
+            iast = devanagariToIAST(sentence);
+        } catch (error) {
+            console.warn(`⚠️  Transliteration failed for sentence ${i + 1}: ${error.message}`);
+        }
+        return {
+            order_in_story: i + 1,
+            text_devanagari: sentence,
+            text_written: sentence === written ? null : written,
+            text_iast: iast,
+            text_phonemes: toPhonemes(sentence),
+            char_count: sentence.length,
+            // The author's spelling is only kept while it says the same as the Devanagari
+            text_variants: scriptVariants(sentence, sentence === written ? { script, text: original } : null),
+        };
+    });
+}
+
+/**
+ * Sentence rows for a story given as text (split on the server) or as edited sentences
+ * With story.long_sentences ({ mode, maxSeconds }, see utils/longSentences) sentences over the
+ * reading-time limit are split into segments; their rows carry parent, segment_index and segment_count.
+ * Text in another script (story.script) is split and fitted in that script, then converted.
+ * @param {object} story - { text } or { sentences }, and optionally script, numbers_as_words and long_sentences
+ * @returns {object[]}
+ */
+function buildSentences(story) {
+    const script = story.script || CANONICAL_SCRIPT;
+    const options = { numbersAsWords: !!story.numbers_as_words };
+    const sentences = story.sentences || splitIntoSentences(story.text);
+    if (!story.long_sentences) return toSentenceRows(sentences, script, options);
+
+    const fitted = fitSentencesToLimit(sentences, story.long_sentences);
+    return toSentenceRows(fitted.map(f => f.text), script, options).map((row, i) => ({
+        ...row,
+        parent: fitted[i].parent && spokenText(toDevanagari(fitted[i].parent, script), options),
+        segment_index: fitted[i].segment_index,
+        segment_count: fitted[i].segment_count,
+    }));
+}
+
+// Segments of a split sentence share one sentence_parents row; returns each sentence's parent id (or null)
+async function insertParents(client, storyId, sentences) {
+    const parentIds = [];
+    let parent = null;
+    for (const s of sentences) {
+        if (s.parent && (s.segment_index === 1 || !parent || parent.text !== s.parent)) {
+            const [row] = toSentenceRows([s.parent]);
+            const inserted = await client.query(
+                `INSERT INTO sentence_parents (story_id, text_devanagari, text_iast, char_count, segment_count)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING id`,
+                [storyId, row.text_devanagari, row.text_iast, row.char_count, s.segment_count]
+            );
+            parent = { id: inserted.rows[0].id, text: s.parent };
+        }
+        parentIds.push(s.parent ? parent.id : null);
+    }
+    return parentIds;
+}
+
+// parentIds: from insertParents, when the parents were already inserted
+async function insertSentences(client, storyId, sentences, parentIds = null) {
+    const parents = parentIds || await insertParents(client, storyId, sentences);
+    await client.query(
+        `INSERT INTO sentences (story_id, order_in_story, text_devanagari, text_iast, char_count, parent_id, segment_index, text_variants, text_phonemes, text_written)
+         SELECT $1, * FROM UNNEST($2::int[], $3::text[], $4::text[], $5::int[], $6::int[], $7::int[], $8::jsonb[], $9::text[], $10::text[])`,
+        [
+            storyId,
+            sentences.map(s => s.order_in_story),
+            sentences.map(s => s.text_devanagari),
+            sentences.map(s => s.text_iast),
+            sentences.map(s => s.char_count),
+            parents,
+            sentences.map(s => s.segment_index || null),
+            sentences.map(s => JSON.stringify(s.text_variants || {})),
+            sentences.map(s => s.text_phonemes || null),
+            sentences.map(s => s.text_written || null),
+        ]
+    );
+}
+
+/**
+ * Create a story and its sentences; new stories go to the end of the story list
+ * @param {object} story - { title, text or sentences, language, script?, source_file? }
+ * @returns {Promise<object>} - The stories row
+ */
+async function createStory(story) {
+    const sentences = buildSentences(story);
+
+    return await transaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO stories (title, source_file, language, total_sentences, source_script, display_order)
+             VALUES ($1, $2, $3, $4, $5, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM stories))
+             RETURNING *`,
+            [story.title, story.source_file || null, story.language, sentences.length, story.script || CANONICAL_SCRIPT]
+        );
+        const created = result.rows[0];
+        await insertSentences(client, created.id, sentences);
+        return created;
+    });
+}
+
+/**
+ * Number of recordings (any status) of a story's sentences
+ * @param {number} storyId
+ * @returns {Promise<number>}
+ */
+async function countStoryRecordings(storyId) {
+    const row = await queryOne(
+        `SELECT COUNT(*)::int AS count
+         FROM recordings r
+         JOIN sentences s ON s.id = r.sentence_id
+         WHERE s.story_id = $1`,
+        [storyId]
+    );
+    return row.count;
+}
+
+/**
+ * Update a story's title/language and, when text or sentences are given, replace all of its
+ * sentences. Replacing them is only safe while the story has no recordings; callers check that.
+ * @param {number} storyId
+ * @param {object} changes - { title?, language?, text? or sentences?, script?, source_file? }
+ * @returns {Promise<object|null>} - The updated stories row, or null if it does not exist
+ */
+async function updateStory(storyId, changes) {
+    const replacing = changes.text !== undefined || changes.sentences !== undefined;
+    const sentences = replacing ? buildSentences(changes) : null;
+
+    return await transaction(async (client) => {
+        const result = await client.query(
+            `UPDATE stories
+             SET title = COALESCE($2, title),
+                 language = COALESCE($3, language),
+                 source_file = COALESCE($4, source_file),
+                 total_sentences = COALESCE($5, total_sentences),
+                 source_script = COALESCE($6, source_script),
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [
+                storyId,
+                changes.title || null,
+                changes.language || null,
+                changes.source_file || null,
+                sentences ? sentences.length : null,
+                sentences ? changes.script || CANONICAL_SCRIPT : null,
+            ]
+        );
+        const updated = result.rows[0];
+        if (!updated || !sentences) return updated || null;
+
+        await client.query('DELETE FROM sentences WHERE story_id = $1', [storyId]);
+        await client.query('DELETE FROM sentence_parents WHERE story_id = $1', [storyId]);
+        await insertSentences(client, storyId, sentences);
+        return updated;
+    });
+}
+
+/**
+ * Re-import a story's text without losing recordings
+ * The new sentences are aligned against the story's active sentences (see utils/sentenceAlignment):
+ * unchanged sentences are kept with their recordings, changed ones get a new text version (their
+ * recordings go to reviewers to re-verify), new ones are inserted and removed ones are retired.
+ * Segments of split sentences (story.long_sentences) are regrouped under new parents, so a parent
+ * always has the segments of the new text; a retired segment no longer has a parent.
+ * @param {number} storyId
+ * @param {object} story - { text or sentences, script?, source_file? }
+ * @param {object} options - { editor, minSimilarity?, dryRun? }
+ * @returns {Promise<object|null>} - { story, operations, summary }, or null if the story does not exist.
+ *   Each operation's sentence has a recording_count. With dryRun nothing is written.
+ */
+async function reimportStory(storyId, story, { editor, minSimilarity, dryRun = false }) {
+    const rows = buildSentences(story);
+
+    return await transaction(async (client) => {
+        const found = await client.query('SELECT * FROM stories WHERE id = $1 FOR UPDATE', [storyId]);
+        if (!found.rows[0]) return null;
+
+        const current = await client.query(
+            `SELECT s.*,
+                (SELECT COUNT(*) FROM recordings r
+                 WHERE r.sentence_id = s.id AND r.status <> 'deleted')::int AS recording_count
+             FROM sentences s
+             WHERE s.story_id = $1 AND s.retired_at IS NULL
+             ORDER BY s.order_in_story ASC
+             FOR UPDATE OF s`,
+            [storyId]
+        );
+        const operations = alignSentences(current.rows, rows.map(r => r.text_devanagari), { minSimilarity });
+        const summary = summarizeAlignment(operations);
+        if (dryRun) {
+            return { story: found.rows[0], operations, summary };
+        }
+
+        // Retired segments stand alone: their recordings match their own text, not a parent's
+        const retired = operations.filter(op => op.action === 'retire').map(op => op.sentence.id);
+        await client.query(
+            `UPDATE sentences
+             SET retired_at = NOW(), parent_id = NULL, segment_index = NULL, updated_at = NOW()
+             WHERE id = ANY($1::int[])`,
+            [retired]
+        );
+
+        // Split sentences get new parent rows for the new segments, and matched sentences move to
+        // them along with their new positions. Positions are negated first so they can swap
+        // without tripping the unique (story_id, order_in_story) index.
+        const parentIds = await insertParents(client, storyId, rows);
+        const matched = operations.filter(op => op.action === 'keep' || op.action === 'edit');
+        await client.query(
+            `UPDATE sentences SET order_in_story = -order_in_story
+             WHERE story_id = $1 AND retired_at IS NULL`,
+            [storyId]
+        );
+        await client.query(
+            `UPDATE sentences s
+             SET order_in_story = moved.position, parent_id = moved.parent_id, segment_index = moved.segment_index
+             FROM UNNEST($1::int[], $2::int[], $3::int[], $4::int[]) AS moved(id, position, parent_id, segment_index)
+             WHERE s.id = moved.id`,
+            [
+                matched.map(op => op.sentence.id),
+                matched.map(op => op.order_in_story),
+                matched.map(op => parentIds[op.order_in_story - 1]),
+                matched.map(op => rows[op.order_in_story - 1].segment_index || null),
+            ]
+        );
+
+        for (const op of operations.filter(o => o.action === 'edit')) {
+            await applySentenceEdit(client, op.sentence, {
+                text: op.text,
+                variants: rows[op.order_in_story - 1].text_variants,
+                written: rows[op.order_in_story - 1].text_written,
+                editor,
+                note: 'Story re-import',
+            });
+        }
+
+        const inserted = operations.filter(op => op.action === 'insert');
+        await insertSentences(
+            client,
+            storyId,
+            inserted.map(op => rows[op.order_in_story - 1]),
+            inserted.map(op => parentIds[op.order_in_story - 1])
+        );
+        await client.query(
+            `DELETE FROM sentence_parents p
+             WHERE p.story_id = $1
+               AND NOT EXISTS (SELECT 1 FROM sentences s WHERE s.parent_id = p.id)`,
+            [storyId]
+        );
+
+        const updated = await client.query(
+            `UPDATE stories
+             SET total_sentences = $2,
+                 source_file = COALESCE($3, source_file),
+                 source_script = $4,
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [storyId, rows.length, story.source_file || null, story.script || CANONICAL_SCRIPT]
+        );
+
+        return { story: updated.rows[0], operations, summary };
+    });
+}
+
+/**
+ * Set the order of the story list
+ * @param {number[]} storyIds - Every story id, in the new order
+ * @returns {Promise<object[]>} - [{ id, display_order }]
+ */
+async function reorderStories(storyIds) {
+    return await transaction(async (client) => {
+        const result = await client.query(
+            `UPDATE stories s
+             SET display_order = ordered.position, updated_at = NOW()
+             FROM UNNEST($1::int[]) WITH ORDINALITY AS ordered(id, position)
+             WHERE s.id = ordered.id
+             RETURNING s.id, s.display_order`,
+            [storyIds]
+        );
+        return result.rows.sort((a, b) => a.display_order - b.display_order);
+    });
+}
+
+/**
+ * Delete a story with its sentences. Any recordings are deleted too: their audio is removed
+ * from storage and a purge event is kept in the audit log for each.
+ * @param {number} storyId
+ * @param {string} actor - Email of the admin deleting it
+ * @returns {Promise<object|null>} - { story, recordings_deleted, failed_files }, or null if it does not exist
+ */
+async function deleteStory(storyId, actor) {
+    const story = await queryOne('SELECT * FROM stories WHERE id = $1', [storyId]);
+    if (!story) return null;
+
+    const recordings = await queryAll(
+        `SELECT r.*
+         FROM recordings r
+         JOIN sentences s ON s.id = r.sentence_id
+         WHERE s.story_id = $1`,
+        [storyId]
+    );
+
+    const failedFiles = [];
+    for (const recording of recordings) {
+        try {
+            await storage.deleteFile(recording.audio_filepath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️  Story ${storyId}: could not delete ${recording.audio_filepath}: ${error.message}`);
+                failedFiles.push(recording.audio_filepath);
+            }
+        }
+    }
+
+    await transaction(async (client) => {
+        for (const recording of recordings) {
+            await logRecordingEvent({
+                recordingId: recording.id,
+                eventType: 'purge',
+                actor,
+                oldValue: { ...recording, reason: 'story_deleted' },
+            }, client);
+        }
+        // Sentences, recordings, votes, leases and progress cascade
+        await client.query('DELETE FROM stories WHERE id = $1', [storyId]);
+    });
+
+    return { story, recordings_deleted: recordings.length, failed_files: failedFiles };
+}
+
+module.exports = {
+    buildSentences,
+    createStory,
+    countStoryRecordings,
+    updateStory,
+    reimportStory,
+    reorderStories,
+    deleteStory,
+};
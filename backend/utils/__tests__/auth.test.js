@@ -0,0 +1,75 @@
+const {
+  normalizeEmail,
+  isValidEmail,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  hasRole,
+  parseCookies,
+} = require('../auth');
+
+describe('Auth helpers', () => {
+  test('normalizeEmail lowercases and trims', () => {
+    expect(normalizeEmail('  Someone@Example.COM ')).toBe('someone@example.com');
+    expect(normalizeEmail(undefined)).toBe('');
+  });
+
+  test('isValidEmail rejects strings without a domain', () => {
+    expect(isValidEmail('a@b.org')).toBe(true);
+    expect(isValidEmail('not-an-email')).toBe(false);
+    expect(isValidEmail('a @b.org')).toBe(false);
+  });
+
+  test('hashPassword output verifies only with the same password', async () => {
+    const stored = await hashPassword('bhopala-123');
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+    await expect(verifyPassword('bhopala-123', stored)).resolves.toBe(true);
+    await expect(verifyPassword('wrong-password', stored)).resolves.toBe(false);
+  });
+
+  test('verifyPassword is false for accounts without a password', async () => {
+    await expect(verifyPassword('anything', null)).resolves.toBe(false);
+    await expect(verifyPassword('anything', 'md5$abc')).resolves.toBe(false);
+  });
+
+  test('generateToken returns distinct url-safe tokens', () => {
+    const a = generateToken();
+    const b = generateToken();
+    expect(a).not.toBe(b);
+    expect(a).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  });
+
+  test('hashToken is a stable sha256 hex digest', () => {
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken('abc')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('parseCookies reads name=value pairs and decodes values', () => {
+    expect(parseCookies('kc_session=abc%3D; theme=dark')).toEqual({ kc_session: 'abc=', theme: 'dark' });
+    expect(parseCookies('')).toEqual({});
+    expect(parseCookies('broken; a=1')).toEqual({ a: '1' });
+  });
+});
+
+describe('Role checks (hasRole)', () => {
+  const contributor = { roles: ['contributor'] };
+  const reviewer = { roles: ['contributor', 'reviewer'] };
+  const admin = { roles: ['admin'] };
+
+  test('matches any of the requested roles', () => {
+    expect(hasRole(contributor, 'contributor')).toBe(true);
+    expect(hasRole(contributor, 'reviewer')).toBe(false);
+    expect(hasRole(reviewer, 'contributor', 'reviewer')).toBe(true);
+  });
+
+  test('admin implies every role', () => {
+    expect(hasRole(admin, 'reviewer')).toBe(true);
+    expect(hasRole(admin, 'contributor')).toBe(true);
+  });
+
+  test('anonymous users have no roles', () => {
+    expect(hasRole(null, 'contributor')).toBe(false);
+    expect(hasRole({}, 'contributor')).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+const { getReviewConfig, resolveConsensus } = require('../consensus');
+const { fleissKappa, cohensKappa, summarizeAgreement } = require('../agreement');
+
+const config = { quorum: 2, panelSize: 3 };
+const approve = { vote: 'approve' };
+const reject = (reason) => ({ vote: 'reject', rejection_reason: reason });
+
+describe('resolveConsensus', () => {
+  test('stays pending until a side reaches the quorum', () => {
+    expect(resolveConsensus([], config).status).toBe('pending');
+    expect(resolveConsensus([approve], config).status).toBe('pending');
+    expect(resolveConsensus([approve, reject('misread')], config).status).toBe('pending');
+  });
+
+  test('promotes when the quorum agrees', () => {
+    expect(resolveConsensus([approve, approve], config)).toEqual({
+      status: 'approved',
+      approvals: 2,
+      rejections: 0,
+      rejection_reason: null,
+    });
+    expect(resolveConsensus([approve, reject('misread'), approve], config).status).toBe('approved');
+  });
+
+  test('rejects with the most common reason', () => {
+    const result = resolveConsensus(
+      [reject('clipped'), approve, reject('background_noise'), reject('background_noise')],
+      { quorum: 3, panelSize: 5 }
+    );
+    expect(result.status).toBe('rejected');
+    expect(result.rejection_reason).toBe('background_noise');
+  });
+
+  test('sends votes that can no longer reach a quorum to adjudication', () => {
+    expect(resolveConsensus([approve, reject('misread')], { quorum: 2, panelSize: 2 }).status).toBe('disputed');
+    expect(resolveConsensus([approve, reject('misread'), approve, reject('misread')], { quorum: 3, panelSize: 4 }).status)
+      .toBe('disputed');
+  });
+
+  test('a quorum of 1 behaves like a single reviewer', () => {
+    expect(resolveConsensus([reject('silent')], { quorum: 1, panelSize: 1 }).status).toBe('rejected');
+  });
+});
+
+describe('getReviewConfig', () => {
+  test('defaults to single-reviewer mode with 2 of 3', () => {
+    expect(getReviewConfig({})).toEqual({ mode: 'single', quorum: 2, panelSize: 3 });
+  });
+
+  test('panel size is never smaller than the quorum', () => {
+    expect(getReviewConfig({ REVIEW_MODE: 'consensus', REVIEW_QUORUM: '3', REVIEW_PANEL_SIZE: '2' }))
+      .toEqual({ mode: 'consensus', quorum: 3, panelSize: 3 });
+  });
+});
+
+describe('agreement statistics', () => {
+  test('cohensKappa matches the textbook example', () => {
+    const pairs = [
+      ...Array(20).fill(['yes', 'yes']),
+      ...Array(5).fill(['yes', 'no']),
+      ...Array(10).fill(['no', 'yes']),
+      ...Array(15).fill(['no', 'no']),
+    ];
+    expect(cohensKappa(pairs)).toBeCloseTo(0.4, 5);
+  });
+
+  test('perfect agreement is 1 and no data is null', () => {
+    expect(fleissKappa([['approve', 'approve'], ['reject', 'reject', 'reject']])).toBe(1);
+    expect(fleissKappa([['approve']])).toBeNull();
+    expect(cohensKappa([])).toBeNull();
+  });
+
+  test('systematic disagreement is negative', () => {
+    expect(fleissKappa([['approve', 'reject'], ['reject', 'approve']])).toBeLessThan(0);
+  });
+
+  test('summarizeAgreement groups votes by recording and reviewer pair', () => {
+    const votes = [];
+    for (let id = 1; id <= 6; id++) {
+      votes.push({ item: id, rater: 'a@x.org', rating: 'approve' });
+      votes.push({ item: id, rater: 'b@x.org', rating: id === 6 ? 'reject' : 'approve' });
+    }
+    votes.push({ item: 7, rater: 'a@x.org', rating: 'approve' });
+
+    const summary = summarizeAgreement(votes);
+    expect(summary.items).toBe(6);
+    expect(summary.ratings).toBe(12);
+    expect(summary.pairs).toHaveLength(1);
+    expect(summary.pairs[0]).toMatchObject({ raters: ['a@x.org', 'b@x.org'], items: 6 });
+    expect(summary.cohen_kappa_mean).toBe(summary.pairs[0].kappa);
+  });
+});
@@ -0,0 +1,52 @@
+const { PHONE_SETS, DEFAULT_PHONE_SET, wordPhonemes, toPhonemes } = require('../g2p');
+
+const TILDE = '\u0303';
+
+describe('toPhonemes', () => {
+  test('drops silent schwas', () => {
+    expect(toPhonemes('घर')).toBe('ɡʱ ə ɾ');
+    expect(toPhonemes('आमचें')).toBe(`a m t\u0361ʃ e${TILDE}`);
+    expect(toPhonemes('मित्र')).toBe('m i t\u032A ɾ ə');
+  });
+
+  test('reads anusvara as the nasal of a following stop and as nasalisation otherwise', () => {
+    expect(toPhonemes('कोंकणी')).toBe('k o ŋ k ə ɳ i');
+    expect(toPhonemes('हांव')).toBe(`ɦ a${TILDE} ʋ`);
+    expect(toPhonemes('चाँद')).toBe(`t\u0361ʃ a${TILDE} d\u032A`);
+  });
+
+  test('reads nukta and candra letters', () => {
+    expect(toPhonemes('ज़मीन')).toBe('z ə m i n');
+    expect(toPhonemes('बॅंक')).toBe('b æ ŋ k');
+    expect(toPhonemes('ऑफिस')).toBe('ɔ pʰ i s');
+  });
+
+  test('separates words and skips punctuation', () => {
+    expect(toPhonemes('" हांव घरा।"')).toBe(`ɦ a${TILDE} ʋ | ɡʱ ə ɾ a`);
+    expect(toPhonemes('')).toBe('');
+  });
+
+  test('writes the X-SAMPA phone set', () => {
+    expect(toPhonemes('हांव घरा।', { phoneSet: 'xsampa' })).toBe('h\\ a~ P | g_h @ 4 a');
+    expect(toPhonemes('कोंकणी', { phoneSet: 'xsampa' })).toBe('k o N k @ n` i');
+  });
+
+  test('rejects an unknown phone set', () => {
+    expect(() => toPhonemes('घर', { phoneSet: 'arpabet' })).toThrow('Unknown phone set');
+  });
+});
+
+describe('phone inventory', () => {
+  test('every phone set covers the same letters', () => {
+    const inventory = require('../phone_inventory.json');
+    const letters = Object.keys(inventory.phone_sets[DEFAULT_PHONE_SET]).sort();
+    PHONE_SETS.forEach((set) => {
+      expect(Object.keys(inventory.phone_sets[set]).sort()).toEqual(letters);
+    });
+  });
+
+  test('the X-SAMPA set is ASCII', () => {
+    wordPhonemes('काय्ळो कड्कड्तचि म्हळालो कृष्ण दुःख ज्ञान', { phoneSet: 'xsampa' }).flat()
+      .forEach(phone => expect(phone).toMatch(/^[\x21-\x7E]+$/));
+  });
+});
@@ -0,0 +1,117 @@
+const { toArabicDigits, cardinal, ordinal, year, numberToWords, expandNumbers } = require('../konkaniNumbers');
+
+describe('cardinal', () => {
+  test.each([
+    [0, 'शून्य'],
+    [6, 'स'],
+    [19, 'एकुणीस'],
+    [99, 'णव्याण्णव'],
+    [100, 'शंबर'],
+    [105, 'शंबर पांच'],
+    [250, 'दोनशें पन्नास'],
+    [1000, 'एक हजार'],
+    [1234, 'एक हजार दोनशें चौतीस'],
+    [100000, 'एक लाख'],
+    [2500000, 'पंचवीस लाख'],
+    [12345678, 'एक कोटी तेवीस लाख पंचेचाळीस हजार सशें अठ्ठ्याहत्तर'],
+  ])('%i = %s', (n, words) => {
+    expect(cardinal(n)).toBe(words);
+  });
+
+  test('rejects negative and fractional numbers', () => {
+    expect(() => cardinal(-1)).toThrow();
+    expect(() => cardinal(2.5)).toThrow();
+  });
+});
+
+describe('numberToWords', () => {
+  test('reads Devanagari and Arabic digits alike', () => {
+    expect(toArabicDigits('२०२४')).toBe('2024');
+    expect(numberToWords('१२')).toBe(numberToWords('12'));
+  });
+
+  test('ignores thousands separators', () => {
+    expect(numberToWords('1,00,000')).toBe('एक लाख');
+    expect(numberToWords('10,000')).toBe('धा हजार');
+  });
+
+  test('reads decimals and leading zeros digit by digit', () => {
+    expect(numberToWords('2.5')).toBe('दोन दशांश पांच');
+    expect(numberToWords('007')).toBe('शून्य शून्य सात');
+  });
+});
+
+describe('ordinal', () => {
+  test('uses the irregular first four and cardinal + व after that', () => {
+    expect([1, 2, 3, 4, 5, 6, 10].map(n => ordinal(n))).toEqual(
+      ['पयलो', 'दुसरो', 'तिसरो', 'चवथो', 'पांचवो', 'सवो', 'धावो']
+    );
+  });
+
+  test('agrees in gender', () => {
+    expect(ordinal(1, 'feminine')).toBe('पयली');
+    expect(ordinal(2, 'neuter')).toBe('दुसरें');
+    expect(() => ordinal(1, 'plural')).toThrow('Unknown gender');
+  });
+});
+
+describe('year', () => {
+  test('reads 1100-1999 in hundreds and other years as cardinals', () => {
+    expect(year(1947)).toBe('एकुणीसशें सत्तेचाळीस');
+    expect(year(1900)).toBe('एकुणीसशें');
+    expect(year(2024)).toBe('दोन हजार चोवीस');
+  });
+});
+
+describe('expandNumbers', () => {
+  test('reads written ordinals with their gender', () => {
+    expect(expandNumbers('तो 1लो आयलो, ती २री आनी तें 5वें.'))
+      .toBe('तो पयलो आयलो, ती दुसरी आनी तें पांचवें.');
+    expect(expandNumbers('3rd')).toBe('तिसरो');
+  });
+
+  test('reads dates in either digit set', () => {
+    expect(expandNumbers('15/08/1947 दिसा')).toBe('पंदरा ऑगस्ट एकुणीसशें सत्तेचाळीस दिसा');
+    expect(expandNumbers('०१-०१-२०२४')).toBe('एक जानेवारी दोन हजार चोवीस');
+  });
+
+  test('reads times, keeping the case ending of वरां', () => {
+    expect(expandNumbers('10:30 वरां येता')).toBe('धा वरां तीस मिनटां येता');
+    expect(expandNumbers('7:00 वरांक')).toBe('सात वरांक');
+    expect(expandNumbers('सकाळीं ६:१५.')).toBe('सकाळीं स वरां पंदरा मिनटां.');
+  });
+
+  test('reads H.MM before वरां as a time, and as a decimal otherwise', () => {
+    expect(expandNumbers('12.30 वरां')).toBe('बारा वरां तीस मिनटां');
+    expect(expandNumbers('७.०५ वरांक')).toBe('सात वरां पांच मिनटांक');
+    expect(expandNumbers('12.30 किलो')).toBe('बारा दशांश तीन शून्य किलो');
+  });
+
+  test('reads a year before वर्सा or सालांत as a year', () => {
+    expect(expandNumbers('1947 वर्सा')).toBe('एकुणीसशें सत्तेचाळीस वर्सा');
+    expect(expandNumbers('२०२४ सालांत')).toBe('दोन हजार चोवीस सालांत');
+    expect(expandNumbers('1000 वर्सां')).toBe('एक हजार वर्सां');
+    expect(expandNumbers('1947 लोक')).toBe('एक हजार णवशें सत्तेचाळीस लोक');
+  });
+
+  test('reads rupee amounts', () => {
+    expect(expandNumbers('₹25.50 दिले')).toBe('पंचवीस रुपया पन्नास पयशे दिले');
+    expect(expandNumbers('रु. 1,250/- आनी Rs 5')).toBe('एक हजार दोनशें पन्नास रुपया आनी पांच रुपया');
+    expect(expandNumbers('गुरु 5')).toBe('गुरु पांच');
+  });
+
+  test('reads impossible dates and times as plain numbers', () => {
+    expect(expandNumbers('32/13/2020')).toBe('बत्तीस/तेरा/दोन हजार वीस');
+    expect(expandNumbers('25:70')).toBe('पंचवीस:सत्तर');
+  });
+
+  test('replaces every number in a sentence', () => {
+    expect(expandNumbers('ताणें 2.5 किलो आनी १२ आंबे हाडले.'))
+      .toBe('ताणें दोन दशांश पांच किलो आनी बारा आंबे हाडले.');
+  });
+
+  test('leaves text without digits alone', () => {
+    expect(expandNumbers('एक दोन तीन')).toBe('एक दोन तीन');
+    expect(expandNumbers(null)).toBe('');
+  });
+});
@@ -0,0 +1,65 @@
+const { detectScript, detectScheme, toDevanagari, fromDevanagari, scriptVariants } = require('../konkaniScripts');
+
+describe('detectScript', () => {
+  test.each([
+    ['हांव घरा वता।', 'devanagari'],
+    ['ಹಾಂವ ಘರಾ ವತಾ.', 'kannada'],
+    ['ഹാംവ ഘരാ വതാ.', 'malayalam'],
+    ['Hanv ghora vota.', 'romi'],
+    ['123 !?', null],
+  ])('%s is %s', (text, script) => {
+    expect(detectScript(text)).toBe(script);
+  });
+
+  test('goes by the majority of letters', () => {
+    expect(detectScript('हांव घरा वता (ghor)')).toBe('devanagari');
+  });
+});
+
+test('detectScheme tells IAST from Romi by its diacritics', () => {
+  expect(detectScheme('koṃkaṇī bhāṣā')).toBe('iast');
+  expect(detectScheme('Konknni bhas')).toBe('romi');
+  expect(detectScheme('कोंकणी')).toBe('devanagari');
+  expect(toDevanagari('koṃkaṇī', 'iast')).toBe('कोंकणी');
+  expect(fromDevanagari('कोंकणी', 'iast')).toBe('koṅkaṇī');
+});
+
+describe('Kannada and Malayalam', () => {
+  const text = 'एकु दिवसु आज्जी ज़ोरु ऴ';
+
+  test('Kannada round trip keeps nukta and ऴ', () => {
+    const kannada = fromDevanagari(text, 'kannada');
+    expect(kannada).toMatch(/[\u0C80-\u0CFF]/);
+    expect(toDevanagari(kannada, 'kannada')).toBe(text);
+  });
+
+  test('Malayalam round trip drops the nukta only', () => {
+    const malayalam = fromDevanagari(text, 'malayalam');
+    expect(malayalam).toMatch(/[\u0D00-\u0D7F]/);
+    expect(toDevanagari(malayalam, 'malayalam')).toBe(text.replace('\u093C', ''));
+  });
+
+  test('short e and o read as Devanagari ए and ओ', () => {
+    expect(toDevanagari('ಎಕು ಒಂದು ಕೊಂಕಣಿ', 'kannada')).toBe('एकु ओंदु कोंकणि');
+  });
+
+  test('dandas become full stops', () => {
+    expect(fromDevanagari('घर।', 'kannada')).toBe('ಘರ.');
+  });
+});
+
+test('devanagari passes through and unknown scripts throw', () => {
+  expect(toDevanagari('घर', 'devanagari')).toBe('घर');
+  expect(fromDevanagari('घर', 'devanagari')).toBe('घर');
+  expect(() => toDevanagari('ghor', 'latin')).toThrow(/Unsupported script/);
+});
+
+describe('scriptVariants', () => {
+  test('has every variant script', () => {
+    expect(scriptVariants('घर')).toEqual({ kannada: 'ಘರ', romi: 'ghor', malayalam: 'ഘര' });
+  });
+
+  test('keeps the original text for the script the story was written in', () => {
+    expect(scriptVariants('घर', { script: 'romi', text: 'Ghor' }).romi).toBe('Ghor');
+  });
+});
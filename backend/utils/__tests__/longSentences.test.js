@@ -0,0 +1,42 @@
+const { fitSentencesToLimit } = require('../longSentences');
+
+describe('fitSentencesToLimit', () => {
+  const words = (n) => Array.from({ length: n }, () => 'शब्द').join(' ');
+  const long = `${words(12)}, ${words(12)}, ${words(12)}.`;
+
+  test('flags sentences over the limit without changing them', () => {
+    const result = fitSentencesToLimit(['हांव घरा वता.', long], { maxSeconds: 10 });
+    expect(result.map(r => [r.text, r.parent, r.length_warning])).toEqual([
+      ['हांव घरा वता.', null, null],
+      [long, null, 'too_long'],
+    ]);
+  });
+
+  test('splits sentences over the limit and keeps the original as their parent', () => {
+    const result = fitSentencesToLimit(['हांव घरा वता.', long], { maxSeconds: 10, mode: 'split' });
+    expect(result).toHaveLength(4);
+    expect(result[0].parent).toBeNull();
+    result.slice(1).forEach((segment, i) => {
+      expect(segment.parent).toBe(long);
+      expect(segment.segment_index).toBe(i + 1);
+      expect(segment.segment_count).toBe(3);
+      expect(segment.length_warning).not.toBe('too_long');
+    });
+    expect(result.slice(1).map(r => r.text).join(' ')).toBe(long);
+  });
+
+  test('counts long compound words through the character count', () => {
+    const compound = Array.from({ length: 8 }, () => 'अतिदीर्घसमासशब्दरचनाविस्तार').join(' ');
+    expect(fitSentencesToLimit([compound], { maxSeconds: 5 })[0].length_warning).toBe('too_long');
+  });
+
+  test('leaves a sentence flagged when it has no split point', () => {
+    const result = fitSentencesToLimit([words(40)], { maxSeconds: 10, mode: 'split' });
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({ parent: null, length_warning: 'too_long' });
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => fitSentencesToLimit([], { mode: 'drop' })).toThrow(/Unknown long sentence mode/);
+  });
+});
@@ -0,0 +1,88 @@
+const { devanagariToIAST, applyPhonology } = require('../transliterate-canonical');
+const { transliterate } = require('../transliteration');
+
+const pronounced = text => devanagariToIAST(text, { phonology: true });
+
+describe('Konkani phonology on IAST', () => {
+  test('is on by default, so text_iast is read as pronounced', () => {
+    expect(devanagariToIAST('चल रे भोपळा')).toBe('cal re bhopaḷā');
+    expect(devanagariToIAST('चल रे भोपळा', { phonology: false })).toBe('cala re bhopaḻā');
+  });
+
+  test.each([
+    ['घर', 'ghar'],
+    ['टुनुक', 'ṭunuk'],
+    ['हांव', 'hāṃv'],
+    ['ड', 'ḍa'],
+    ['मित्र', 'mitra'],
+  ])('word-final schwa: %s -> %s', (devanagari, iast) => {
+    expect(pronounced(devanagari)).toBe(iast);
+  });
+
+  test.each([
+    ['आमचें', 'āmceṃ'],
+    ['दिवसु', 'divsu'],
+    ['मगले', 'magle'],
+    ['आय्कयाति', 'āykayāti'],
+  ])('medial schwa: %s -> %s', (devanagari, iast) => {
+    expect(pronounced(devanagari)).toBe(iast);
+  });
+
+  test('only the later of two medial schwas is dropped', () => {
+    expect(applyPhonology('ṭavaṭavī')).toBe('ṭavaṭvī');
+  });
+
+  test.each([
+    ['भोपळा', 'bhopaḷā'],
+    ['घोषणा', 'ghoṣaṇā'],
+    ['करता', 'kartā'],
+  ])('medial schwa after a full vowel is kept before a final ā: %s -> %s', (devanagari, iast) => {
+    expect(pronounced(devanagari)).toBe(iast);
+  });
+
+  test.each([
+    ['कोंकणी', 'koṅkaṇī'],
+    ['पंच', 'pañc'],
+    ['घंटा', 'ghaṇṭā'],
+    ['संत', 'sant'],
+    ['खांब', 'khāmb'],
+    ['संसार', 'saṃsār'],
+    ['आमचें', 'āmceṃ'],
+  ])('anusvara before a stop is its nasal: %s -> %s', (devanagari, iast) => {
+    expect(pronounced(devanagari)).toBe(iast);
+  });
+
+  test('ळ is written ḷ', () => {
+    expect(pronounced('शाळा')).toBe('śāḷā');
+  });
+
+  test('so is ऴ, with or without its own code point', () => {
+    expect(pronounced('एक्ऴि पऴे')).toBe('ekḷi paḷe');
+    expect(pronounced('\u092A\u0933\u093C\u0947')).toBe('paḷe');
+    expect(transliterate('एक्ऴि', { to: 'itrans', phonology: false }).text).toBe('ekLi');
+  });
+});
+
+describe('phonology per scheme', () => {
+  const sentence = 'चल रे भोपळा, कोंकणी घर';
+
+  test.each([
+    ['iast', 'cal re bhopaḷā, koṅkaṇī ghar'],
+    ['iso', 'cal rē bhōpaḷā, kōṅkaṇī ghar'],
+    ['itrans', 'chal re bhopaLA, ko~NkaNI ghar'],
+    ['hk', 'cal re bhopaLA, koGkaNI ghar'],
+  ])('%s', (to, expected) => {
+    const result = transliterate(sentence, { to, phonology: true });
+    expect(result.text).toBe(expected);
+    expect(result.phonology).toBe(true);
+  });
+
+  test('follows phonology_schemes when not given', () => {
+    expect(transliterate('घर', { to: 'iast' })).toMatchObject({ text: 'ghar', phonology: true });
+    expect(transliterate('घर', { to: 'iso' })).toMatchObject({ text: 'ghara', phonology: false });
+  });
+
+  test('does not apply to scripts', () => {
+    expect(transliterate('घर', { to: 'romi', phonology: true })).toMatchObject({ text: 'ghor', phonology: false });
+  });
+});
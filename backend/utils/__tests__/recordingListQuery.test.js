@@ -0,0 +1,107 @@
+const { parseListParams, buildRecordingListQuery, toPage } = require('../recordingListQuery');
+
+describe('parseListParams', () => {
+  test('defaults to the first page sorted by user', () => {
+    const { options, errors } = parseListParams({});
+    expect(errors).toEqual([]);
+    expect(options).toMatchObject({ sort: 'user', order: 'asc', limit: 50, cursor: null, status: [] });
+  });
+
+  test('parses filters', () => {
+    const { options, errors } = parseListParams({
+      status: 'pending,rejected',
+      user: ' Someone@Example.org ',
+      story_id: '3',
+      min_duration: '1.5',
+      needs_rerecording: 'true',
+      text_changed: 'false',
+      to: '2025-01-31',
+    });
+    expect(errors).toEqual([]);
+    expect(options.status).toEqual(['pending', 'rejected']);
+    expect(options.user).toBe('someone@example.org');
+    expect(options.story_id).toBe(3);
+    expect(options.min_duration).toBe(1.5);
+    expect(options.needs_rerecording).toBe(true);
+    expect(options.text_changed).toBe(false);
+    // A plain end date includes the whole day
+    expect(options.to).toBe('2025-02-01T00:00:00.000Z');
+  });
+
+  test('reports invalid values', () => {
+    const { errors } = parseListParams({
+      status: 'maybe',
+      sort: 'random',
+      limit: '1000',
+      from: 'yesterday-ish',
+      needs_rerecording: 'yes',
+      text_changed: '1',
+    });
+    expect(errors).toHaveLength(6);
+  });
+
+  test('rejects cursors from a different sort', () => {
+    const rows = [{ id: 1, cursor_0: '2025-01-01 10:00:00.123456+00', cursor_1: '1' }, { id: 2 }];
+    const { next_cursor } = toPage(rows, { sort: 'created_at', order: 'desc', limit: 1 });
+
+    expect(parseListParams({ sort: 'created_at', order: 'desc', cursor: next_cursor }).options.cursor)
+      .toEqual(['2025-01-01 10:00:00.123456+00', '1']);
+    expect(parseListParams({ sort: 'duration', order: 'desc', cursor: next_cursor }).errors).toHaveLength(1);
+    expect(parseListParams({ cursor: 'not-a-cursor' }).errors).toHaveLength(1);
+  });
+});
+
+describe('buildRecordingListQuery', () => {
+  test('binds every filter as a parameter', () => {
+    const { options } = parseListParams({ status: 'pending', user: 'a@b.org', max_duration: '10' });
+    const { list, count, statusCounts } = buildRecordingListQuery(options, 'reviewer@b.org');
+
+    expect(list.values).toEqual(['reviewer@b.org', ['pending'], 'a@b.org', 10, 51]);
+    expect(list.text).toContain('r.status = ANY($2::text[])');
+    expect(list.text).toContain('LIMIT $5');
+    expect(count.values).toEqual([['pending'], 'a@b.org', 10]);
+    // Status totals ignore the status filter
+    expect(statusCounts.values).toEqual(['a@b.org', 10]);
+    expect(statusCounts.text).not.toContain('r.status = ANY');
+  });
+
+  test('continues after the cursor in the sort direction', () => {
+    const { options } = parseListParams({ sort: 'created_at', order: 'desc' });
+    options.cursor = ['2025-01-01 10:00:00+00', '42'];
+    const { list } = buildRecordingListQuery(options, 'reviewer@b.org');
+
+    expect(list.text).toContain('(r.created_at, r.id) < ($2::timestamptz, $3::int)');
+    expect(list.text).toContain('ORDER BY r.created_at DESC, r.id DESC');
+  });
+
+  test('filters on recordings read against an older sentence text', () => {
+    const { options } = parseListParams({ text_changed: 'true' });
+    const { list } = buildRecordingListQuery(options, 'reviewer@b.org');
+
+    expect(list.values).toEqual(['reviewer@b.org', true, 51]);
+    expect(list.text).toContain('(r.sentence_version < s.text_version) = $2');
+  });
+
+  test('only the latest take per sentence and speaker unless all_takes', () => {
+    const latest = buildRecordingListQuery(parseListParams({}).options, 'r@b.org');
+    const all = buildRecordingListQuery(parseListParams({ all_takes: 'true' }).options, 'r@b.org');
+    expect(latest.list.text).toContain('NOT EXISTS');
+    expect(all.list.text).not.toContain('NOT EXISTS');
+  });
+});
+
+describe('toPage', () => {
+  test('strips cursor columns and only returns a cursor when there is more', () => {
+    const options = { sort: 'story', order: 'asc', limit: 2 };
+    const rows = [
+      { id: 1, cursor_0: '1', cursor_1: '1', cursor_2: '1' },
+      { id: 2, cursor_0: '1', cursor_1: '2', cursor_2: '2' },
+    ];
+
+    expect(toPage(rows, options)).toEqual({ recordings: [{ id: 1 }, { id: 2 }], next_cursor: null });
+
+    const page = toPage([...rows, { id: 3 }], options);
+    expect(page.recordings).toHaveLength(2);
+    expect(parseListParams({ sort: 'story', cursor: page.next_cursor }).options.cursor).toEqual(['1', '2', '2']);
+  });
+});
@@ -0,0 +1,37 @@
+const { REJECTION_REASONS, validateReview } = require('../reviewReasons');
+
+describe('validateReview', () => {
+  test('accepts an approval and a rejection with a reason', () => {
+    expect(validateReview({ status: 'approved' })).toEqual([]);
+    expect(validateReview({ status: 'rejected', rejection_reason: 'clipped', notes: 'end cut off' })).toEqual([]);
+    expect(validateReview({ status: 'pending', notes: '' })).toEqual([]);
+  });
+
+  test('rejects an unknown status', () => {
+    expect(validateReview({ status: 'done' })).toEqual(['status must be one of: pending, approved, rejected, deleted']);
+  });
+
+  test('requires a known reason when rejecting', () => {
+    expect(validateReview({ status: 'rejected' })).toHaveLength(1);
+    expect(validateReview({ status: 'rejected', rejection_reason: 'boring' })[0]).toMatch(/^rejection_reason is required/);
+    REJECTION_REASONS.filter(r => r.code !== 'other').forEach(({ code }) => {
+      expect(validateReview({ status: 'rejected', rejection_reason: code })).toEqual([]);
+    });
+  });
+
+  test('requires notes with the reason "other"', () => {
+    expect(validateReview({ status: 'rejected', rejection_reason: 'other', notes: '  ' }))
+      .toEqual(['notes are required when rejection_reason is "other"']);
+    expect(validateReview({ status: 'rejected', rejection_reason: 'other', notes: 'dog barking' })).toEqual([]);
+  });
+
+  test('allows a reason only when rejecting', () => {
+    expect(validateReview({ status: 'approved', rejection_reason: 'clipped' }))
+      .toEqual(['rejection_reason is only allowed when status is "rejected"']);
+  });
+
+  test('limits the length of the notes', () => {
+    expect(validateReview({ status: 'approved', notes: 'x'.repeat(2000) })).toEqual([]);
+    expect(validateReview({ status: 'approved', notes: 'x'.repeat(2001) })).toEqual(['notes must be at most 2000 characters']);
+  });
+});
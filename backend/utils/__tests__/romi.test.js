@@ -0,0 +1,63 @@
+const { devanagariToRomi, romiToDevanagari } = require('../romi');
+
+describe('devanagariToRomi', () => {
+  test.each([
+    ['घर', 'ghor'],
+    ['आमचें', 'amchem'],
+    ['कोंकणी', 'konknni'],
+    ['हांव', 'hanv'],
+    ['ज़ोरु', 'zoru'],
+    ['शाळा', 'xalla'],
+  ])('%s -> %s', (devanagari, romi) => {
+    expect(devanagariToRomi(devanagari)).toBe(romi);
+  });
+
+  test('keeps spacing and turns danda and Devanagari digits into ASCII', () => {
+    expect(devanagariToRomi('घर १२। हांव')).toBe('ghor 12. hanv');
+  });
+});
+
+describe('romiToDevanagari', () => {
+  // Romi does not mark where an inherent vowel was dropped, so the cluster gets a virama
+  test.each([
+    ['ghor', 'घर'],
+    ['amchem', 'आम्चें'],
+    ['ghora', 'घरा'],
+    ['hanv', 'हांव'],
+    ['Xalla', 'शाळा'],
+  ])('%s -> %s', (romi, devanagari) => {
+    expect(romiToDevanagari(romi)).toBe(devanagari);
+  });
+
+  test('reads o as ो before a cluster, a nasal or a vowel', () => {
+    expect(romiToDevanagari('Konknni')).toBe('कोंक्णी');
+    expect(romiToDevanagari('Goem')).toBe('गोएं');
+    expect(romiToDevanagari('chol re bhopla')).toBe('चल रे भोप्ला');
+    expect(romiToDevanagari('mhojo')).toBe('म्हजो');
+  });
+
+  test('leaves punctuation and digits alone', () => {
+    expect(romiToDevanagari('Ghor, 12!')).toBe('घर, 12!');
+  });
+});
+
+test('Romi written by devanagariToRomi survives a round trip through Devanagari', () => {
+  const words = ['ghor', 'amchem', 'konknni', 'hanv', 'zoru', 'xalla', 'eku divsu', 'ajji'];
+  words.forEach((romi) => {
+    expect(devanagariToRomi(romiToDevanagari(romi))).toBe(romi);
+  });
+});
+
+test('ो survives a round trip through Romi', () => {
+  // Dropped inherent vowels come back as a virama
+  const words = [
+    ['कोंकणी', 'कोंक्णी'],
+    ['भोपळा', 'भोप्ळा'],
+    ['गोंय', 'गोंय'],
+    ['बोलता', 'बोल्ता'],
+    ['सोडलो', 'सोड्लो'],
+  ];
+  words.forEach(([devanagari, back]) => {
+    expect(romiToDevanagari(devanagariToRomi(devanagari))).toBe(back);
+  });
+});
@@ -0,0 +1,47 @@
+const { compileRules, applyRuleSet } = require('../ruleEngine');
+
+const apply = (text, rules) => applyRuleSet(text, compileRules(rules));
+
+describe('applyRuleSet', () => {
+  test('rewrites every match in one pass', () => {
+    expect(apply('ghara ghara', [{ from: 'a', to: 'o' }])).toBe('ghoro ghoro');
+  });
+
+  test('right context with a word boundary: word-final rules', () => {
+    expect(apply('ghara bhopaḻā cala', [{ from: 'a', to: '', left: '[^aeiouāīū]', right: '#' }]))
+      .toBe('ghar bhopaḻā cal');
+  });
+
+  test('left context with a word boundary: word-initial rules', () => {
+    expect(apply('jaoru raja', [{ from: 'j', to: 'z', left: '#' }])).toBe('zaoru raja');
+  });
+
+  test('contexts are matched against the input, not earlier rewrites', () => {
+    const rules = [
+      { from: 'a', to: 'b' },
+      { from: 'b', to: 'c', left: 'b' },
+    ];
+    expect(apply('aab', rules)).toBe('bbb');
+  });
+
+  test('the highest priority wins, then the longest match, then the earlier rule', () => {
+    expect(apply('kh', [{ from: 'k', to: 'K' }, { from: 'kh', to: 'X' }])).toBe('X');
+    expect(apply('kh', [{ from: 'k', to: 'K', priority: 1 }, { from: 'kh', to: 'X' }])).toBe('Kh');
+    expect(apply('k', [{ from: 'k', to: '1' }, { from: 'k', to: '2' }])).toBe('1');
+  });
+
+  test('an escaped # or one inside a character class is literal', () => {
+    expect(apply('a#b', [{ from: 'b', to: 'B', left: '\\#' }])).toBe('a#B');
+    expect(apply('a#b', [{ from: 'b', to: 'B', left: '[#]' }])).toBe('a#B');
+  });
+
+  test('Devanagari boundaries count marks as part of the word', () => {
+    // The virama is a mark, so क् is not at the end of the word in क्ष
+    expect(apply('क्ष क', [{ from: 'क', to: 'K', right: '#' }])).toBe('क्ष K');
+  });
+
+  test('rejects rules without a pattern or with an invalid one', () => {
+    expect(() => compileRules([{ to: 'x' }])).toThrow(/no "from" pattern/);
+    expect(() => compileRules([{ from: '(' }])).toThrow(/not a valid pattern/);
+  });
+});
@@ -0,0 +1,71 @@
+const { sentenceSimilarity, alignSentences, summarizeAlignment } = require('../sentenceAlignment');
+
+describe('sentenceSimilarity', () => {
+  test('is 1 for identical text, ignoring extra whitespace', () => {
+    expect(sentenceSimilarity('हांव घरा वता.', '  हांव  घरा वता. ')).toBe(1);
+  });
+
+  test('is high for a corrected typo and low for a different sentence', () => {
+    expect(sentenceSimilarity('ताणें आपल्या आवयक उलो मारलो.', 'ताणें आपल्या आवयक आपयलें.')).toBeGreaterThan(0.6);
+    expect(sentenceSimilarity('ताणें आपल्या आवयक उलो मारलो.', 'पावस पडलो.')).toBeLessThan(0.3);
+  });
+});
+
+describe('alignSentences', () => {
+  const existing = [
+    { id: 10, order_in_story: 1, text_devanagari: 'एक दीस एक राजा आसलो.' },
+    { id: 11, order_in_story: 2, text_devanagari: 'ताका तीन चलिये आशिल्ले.' },
+    { id: 12, order_in_story: 3, text_devanagari: 'राजा म्हातारो जालो.' },
+  ];
+  const actions = (ops) => ops.map(op => [op.action, op.sentence && op.sentence.id, op.order_in_story]);
+
+  test('keeps every sentence when nothing changed', () => {
+    const ops = alignSentences(existing, existing.map(s => s.text_devanagari));
+    expect(actions(ops)).toEqual([['keep', 10, 1], ['keep', 11, 2], ['keep', 12, 3]]);
+  });
+
+  test('treats a small correction as an edit of the same sentence', () => {
+    const ops = alignSentences(existing, ['एक दीस एक राजा आसलो.', 'ताका तीन चली आशिल्ले.', 'राजा म्हातारो जालो.']);
+    expect(actions(ops)).toEqual([['keep', 10, 1], ['edit', 11, 2], ['keep', 12, 3]]);
+    expect(ops[1].text).toBe('ताका तीन चली आशिल्ले.');
+  });
+
+  test('inserts new sentences and renumbers the ones after them', () => {
+    const ops = alignSentences(existing, [
+      'एक दीस एक राजा आसलो.',
+      'तो खूब गिरेस्त आशिल्लो.',
+      'ताका तीन चलिये आशिल्ले.',
+      'राजा म्हातारो जालो.',
+    ]);
+    expect(actions(ops)).toEqual([['keep', 10, 1], ['insert', null, 2], ['keep', 11, 3], ['keep', 12, 4]]);
+  });
+
+  test('retires removed sentences', () => {
+    const ops = alignSentences(existing, ['एक दीस एक राजा आसलो.', 'राजा म्हातारो जालो.']);
+    expect(actions(ops)).toEqual([['keep', 10, 1], ['retire', 11, null], ['keep', 12, 2]]);
+  });
+
+  test('replaces an unrelated sentence instead of editing it', () => {
+    const ops = alignSentences(existing, ['एक दीस एक राजा आसलो.', 'पावस पडलो.', 'राजा म्हातारो जालो.']);
+    expect(summarizeAlignment(ops)).toEqual({ keep: 2, edit: 0, insert: 1, retire: 1 });
+  });
+
+  test('does not match sentences out of order', () => {
+    const ops = alignSentences(existing, ['राजा म्हातारो जालो.', 'एक दीस एक राजा आसलो.']);
+    const summary = summarizeAlignment(ops);
+    expect(summary.keep).toBe(1);
+    expect(summary.insert).toBe(1);
+    expect(summary.retire).toBe(2);
+  });
+
+  test('honours minSimilarity', () => {
+    const texts = ['एक दीस एक राजा आसलो.', 'ताका तीन चली आशिल्ले.', 'राजा म्हातारो जालो.'];
+    expect(summarizeAlignment(alignSentences(existing, texts, { minSimilarity: 0.99 })))
+      .toEqual({ keep: 2, edit: 0, insert: 1, retire: 1 });
+  });
+
+  test('handles empty lists', () => {
+    expect(summarizeAlignment(alignSentences([], ['नवो.']))).toEqual({ keep: 0, edit: 0, insert: 1, retire: 0 });
+    expect(summarizeAlignment(alignSentences(existing, []))).toEqual({ keep: 0, edit: 0, insert: 0, retire: 3 });
+  });
+});
@@ -0,0 +1,25 @@
+const { MAX_RECORDING_SECONDS, estimateReadingSeconds, checkSentenceLength } = require('../sentenceDuration');
+
+describe('checkSentenceLength', () => {
+  const words = (n) => Array.from({ length: n }, () => 'शब्द').join(' ');
+
+  test('estimates reading time from the word count', () => {
+    expect(estimateReadingSeconds('एक दोन तीन')).toBeCloseTo(1.35);
+    expect(checkSentenceLength('एक दोन तीन')).toEqual({ word_count: 3, estimated_seconds: 1.4, length_warning: null });
+  });
+
+  test('warns about sentences close to or over the recording cap', () => {
+    expect(MAX_RECORDING_SECONDS).toBe(30);
+    expect(checkSentenceLength(words(60)).length_warning).toBe('near_limit');
+    expect(checkSentenceLength(words(70)).length_warning).toBe('too_long');
+  });
+
+  test('honours SECONDS_PER_WORD', () => {
+    process.env.SECONDS_PER_WORD = '1';
+    try {
+      expect(checkSentenceLength(words(31)).length_warning).toBe('too_long');
+    } finally {
+      delete process.env.SECONDS_PER_WORD;
+    }
+  });
+});
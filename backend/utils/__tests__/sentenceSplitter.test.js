@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { splitIntoSentences, splitLongSentence } = require('../sentenceSplitter');
+
+const readStory = (file) => fs.readFileSync(path.join(__dirname, '..', '..', '..', file), 'utf-8');
+const wordCount = (s) => s.split(/\s+/).filter(Boolean).length;
+
+describe('splitIntoSentences', () => {
+  test('splits on danda, double danda and newlines', () => {
+    expect(splitIntoSentences('एक वाक्य। दुसरें वाक्य॥\nतिसरें वाक्य'))
+      .toEqual(['एक वाक्य।', 'दुसरें वाक्य॥', 'तिसरें वाक्य']);
+  });
+
+  test('keeps a quoted utterance together and ends the sentence at the closing quote', () => {
+    const text = 'गुब्चीने भित्तर्थाव्नु निम्गिले - " कोण तें?" काय्ळो कड्कड्तचि म्हळालो , " हांव! काय्ळो!"';
+    expect(splitIntoSentences(text)).toEqual([
+      'गुब्चीने भित्तर्थाव्नु निम्गिले - " कोण तें?"',
+      'काय्ळो कड्कड्तचि म्हळालो , " हांव! काय्ळो!"',
+    ]);
+  });
+
+  test('merges standalone punctuation into the previous sentence', () => {
+    expect(splitIntoSentences('तो आयलो।\n!')).toEqual(['तो आयलो। !']);
+  });
+
+  test('keeps runs of punctuation with their sentence', () => {
+    expect(splitIntoSentences('छुक बुक ...... तो आयलो?! हय।'))
+      .toEqual(['छुक बुक ......', 'तो आयलो?!', 'हय।']);
+  });
+
+  test('joins a quote that spans lines into one line', () => {
+    expect(splitIntoSentences('तो म्हणालो "देवा!\nमाका पाव।" मागीर गेलो।'))
+      .toEqual(['तो म्हणालो "देवा! माका पाव।"', 'मागीर गेलो।']);
+  });
+
+  test('treats a quote left open at a paragraph break as an ordinary character', () => {
+    expect(splitIntoSentences('"कल्ले बाळा सांग! केद्ना येता?\n\nदुसरो परिच्छेद। "हय!"'))
+      .toEqual(['"कल्ले बाळा सांग!', 'केद्ना येता?', 'दुसरो परिच्छेद।', '"हय!"']);
+  });
+
+  test('pairs curly quotes', () => {
+    expect(splitIntoSentences('ती म्हणाली “हांव येता. तूं राव!” तो हांसलो.'))
+      .toEqual(['ती म्हणाली “हांव येता. तूं राव!”', 'तो हांसलो.']);
+  });
+
+  test('does not split after abbreviations or inside decimal numbers', () => {
+    expect(splitIntoSentences('डॉ. शेणय आयलो. ताणें 2.5 किलो हाडलें.'))
+      .toEqual(['डॉ. शेणय आयलो.', 'ताणें 2.5 किलो हाडलें.']);
+  });
+
+  describe('options', () => {
+    test('danda: false keeps dandas inside the sentence', () => {
+      expect(splitIntoSentences('एक। दोन। तीन', { danda: false })).toEqual(['एक। दोन। तीन']);
+    });
+
+    test('newlines: false joins lines until a terminator', () => {
+      expect(splitIntoSentences('एक वाक्य\nचालू आसा।\nदुसरें', { newlines: false }))
+        .toEqual(['एक वाक्य चालू आसा।', 'दुसरें']);
+    });
+
+    test('punctuation sets which marks end a sentence', () => {
+      expect(splitIntoSentences('कोण? हांव! बरें.', { punctuation: '?' }))
+        .toEqual(['कोण?', 'हांव! बरें.']);
+    });
+
+    test('quotes: false splits inside quotes', () => {
+      expect(splitIntoSentences('तो म्हणालो "कोण? हांव!"', { quotes: false }))
+        .toEqual(['तो म्हणालो "कोण?', 'हांव!"']);
+    });
+
+    test('abbreviations can be replaced', () => {
+      expect(splitIntoSentences('पा. फ्रान्सिस आयलो.', { abbreviations: ['पा'] }))
+        .toEqual(['पा. फ्रान्सिस आयलो.']);
+      expect(splitIntoSentences('डॉ. शेणय आयलो.', { abbreviations: [] }))
+        .toEqual(['डॉ.', 'शेणय आयलो.']);
+    });
+
+    test('maxWords splits long sentences at commas', () => {
+      const text = 'एक दोन तीन चार, पांच स सात आठ, णव धा इकरा बारा.';
+      expect(splitIntoSentences(text, { maxWords: 6 }))
+        .toEqual(['एक दोन तीन चार,', 'पांच स सात आठ,', 'णव धा इकरा बारा.']);
+      expect(splitIntoSentences(text)).toEqual([text]);
+    });
+  });
+});
+
+describe('splitLongSentence', () => {
+  test('prefers the comma nearest the middle', () => {
+    expect(splitLongSentence('एक, दोन तीन चार, पांच स सात आठ', { maxWords: 5 }))
+      .toEqual(['एक, दोन तीन चार,', 'पांच स सात आठ']);
+  });
+
+  test('splits long quoted dialogue between utterances before commas', () => {
+    expect(splitLongSentence('" कल्लें? माक्का खात्त तूं, अय्यो देवा! मगले हात पाय सुक्किल्ले!"', { maxWords: 7 }))
+      .toEqual(['" कल्लें? माक्का खात्त तूं, अय्यो देवा!', 'मगले हात पाय सुक्किल्ले!"']);
+  });
+
+  test('falls back to splitting before a conjunction', () => {
+    expect(splitLongSentence('तो घरा गेलो आनी जेवण करून न्हिदलो', { maxWords: 5 }))
+      .toEqual(['तो घरा गेलो', 'आनी जेवण करून न्हिदलो']);
+  });
+
+  test('does not leave pieces shorter than minWords', () => {
+    expect(splitLongSentence('एक, दोन तीन चार पांच स', { maxWords: 4, minWords: 2 }))
+      .toEqual(['एक, दोन तीन चार पांच स']);
+  });
+
+  test('returns the sentence unchanged when there is no split point or no limit', () => {
+    const sentence = 'एक दोन तीन चार पांच स सात आठ';
+    expect(splitLongSentence(sentence, { maxWords: 4 })).toEqual([sentence]);
+    expect(splitLongSentence(sentence)).toEqual([sentence]);
+  });
+});
+
+describe('story fixtures', () => {
+  const fixtures = [
+    ['story1.txt', 61],
+    ['story2.txt', 46],
+    ['story3.txt', 41],
+    ['story4.txt', 42],
+    ['story5.txt', 37],
+    ['story6.txt', 70],
+  ];
+
+  test.each(fixtures)('%s splits into %i sentences', (file, count) => {
+    expect(splitIntoSentences(readStory(file))).toHaveLength(count);
+  });
+
+  test.each(fixtures)('%s loses no text', (file) => {
+    const text = readStory(file);
+    expect(splitIntoSentences(text).join('').replace(/\s/g, '')).toBe(text.replace(/\s/g, ''));
+  });
+
+  test.each(fixtures)('%s has no empty, multi-line or punctuation-only sentences', (file) => {
+    splitIntoSentences(readStory(file)).forEach((sentence) => {
+      expect(sentence).toBe(sentence.trim());
+      expect(sentence).not.toMatch(/\n/);
+      expect(sentence).toMatch(/[\u0900-\u097F]/);
+    });
+  });
+
+  test.each(fixtures)('%s: maxWords only leaves longer sentences that have no split point', (file) => {
+    const maxWords = 15;
+    splitIntoSentences(readStory(file), { maxWords }).forEach((sentence) => {
+      if (wordCount(sentence) > maxWords) {
+        expect(splitLongSentence(sentence, { maxWords })).toEqual([sentence]);
+      }
+    });
+  });
+
+  test('story3 keeps a quote spanning two lines as one sentence', () => {
+    const sentences = splitIntoSentences(readStory('story3.txt'));
+    expect(sentences).toContain(
+      'होडाने आवाहन केल्लें -"देवा! माक्का कल्याक सोणु घाल्लें? माक्का तुज्जेरि प्रीति आस्स- हांव लेक्लें तुल्याग्थाव्नु मुक्ति खण्डित मेळ्तलें।"'
+    );
+  });
+
+  test('story2: an unclosed quote does not swallow the following paragraphs', () => {
+    const sentences = splitIntoSentences(readStory('story2.txt'));
+    expect(Math.max(...sentences.map(wordCount))).toBeLessThan(20);
+  });
+});
@@ -0,0 +1,42 @@
+const { validateSpeakerProfile, toManifestSpeaker } = require('../speakerProfile');
+
+describe('validateSpeakerProfile', () => {
+  test('requires consent', () => {
+    const { errors } = validateSpeakerProfile({ age_band: '25-34' });
+    expect(errors).toEqual(['consent must be true to store a speaker profile']);
+    expect(validateSpeakerProfile({ consent: 'yes' }).errors).toHaveLength(1);
+  });
+
+  test('every field is optional and missing fields are cleared', () => {
+    const { profile, errors } = validateSpeakerProfile({ consent: true, native_dialect: 'karwari', region: '  Karwar ' });
+    expect(errors).toEqual([]);
+    expect(profile).toEqual({
+      age_band: null,
+      gender: null,
+      native_dialect: 'karwari',
+      language_status: null,
+      device_type: null,
+      region: 'Karwar',
+    });
+  });
+
+  test('rejects values outside the vocabulary', () => {
+    const { errors } = validateSpeakerProfile({
+      consent: true,
+      age_band: '12',
+      gender: 'unknown',
+      language_status: 'L3',
+      region: 'x'.repeat(101),
+    });
+    expect(errors).toHaveLength(4);
+  });
+});
+
+describe('toManifestSpeaker', () => {
+  test('uses a pseudonymous speaker id and only shares consented profiles', () => {
+    expect(toManifestSpeaker({ speaker_user_id: 7, has_profile: true, gender: 'female', region: 'Goa' }))
+      .toMatchObject({ speaker_id: 'spk_7', gender: 'female', region: 'Goa', age_band: null });
+    expect(toManifestSpeaker({ speaker_user_id: 8, has_profile: false, gender: 'male' }))
+      .toMatchObject({ speaker_id: 'spk_8', gender: null });
+  });
+});
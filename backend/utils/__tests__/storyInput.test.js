@@ -0,0 +1,62 @@
+const { decodeStoryFile, titleFromText, validateStoryInput } = require('../storyInput');
+
+describe('decodeStoryFile', () => {
+  test('decodes UTF-8 and drops a byte order mark', () => {
+    const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('भोलागली रेलयात्रा', 'utf8')]);
+    expect(decodeStoryFile(buffer)).toBe('भोलागली रेलयात्रा');
+  });
+
+  test('rejects text in another encoding', () => {
+    expect(decodeStoryFile(Buffer.from('caf\xe9', 'latin1'))).toBeNull();
+  });
+});
+
+describe('validateStoryInput', () => {
+  test('requires title and text when creating, and defaults the language', () => {
+    expect(validateStoryInput({}).errors).toHaveLength(2);
+    const { story, errors } = validateStoryInput({ title: ' काय्ळो आनी गुब्ची ', text: 'एक।\r\nदोन।' });
+    expect(errors).toEqual([]);
+    expect(story).toEqual({ title: 'काय्ळो आनी गुब्ची', text: 'एक।\nदोन।', script: 'devanagari', language: 'konkani' });
+  });
+
+  test('can take the title from the first line of the text', () => {
+    const { story } = validateStoryInput({ text: '\n  रोहन होड ज़ाल्लो!\nएक।', title_from_file: true });
+    expect(story.title).toBe('रोहन होड ज़ाल्लो!');
+    expect(titleFromText('   \n')).toBeNull();
+  });
+
+  test('rejects titles mangled by an encoding problem', () => {
+    expect(validateStoryInput({ title: '????? ????', text: 'एक।' }).errors).toHaveLength(1);
+    expect(validateStoryInput({ title: 'भ�लगल', text: 'एक।' }).errors).toHaveLength(1);
+  });
+
+  test('accepts sentences that were already split and edited', () => {
+    const { story, errors } = validateStoryInput({ sentences: [' एक  वाक्य। ', 'दुसरें।'], title_from_file: true });
+    expect(errors).toEqual([]);
+    expect(story.sentences).toEqual(['एक वाक्य।', 'दुसरें।']);
+    expect(story.title).toBe('एक वाक्य।');
+    expect(validateStoryInput({ title: 'x', sentences: ['एक।', ' '] }).errors).toEqual(['sentence 2 is empty']);
+    expect(validateStoryInput({ title: 'x', text: 'एक।', sentences: ['एक।'] }).errors).toHaveLength(1);
+  });
+
+  test('detects the script of the text unless one is given', () => {
+    expect(validateStoryInput({ title: 'x', text: 'Eku dis.' }).story.script).toBe('romi');
+    expect(validateStoryInput({ title: 'x', sentences: ['ಒಂದು ದಿವಸ.'] }).story.script).toBe('kannada');
+    expect(validateStoryInput({ title: 'x', text: 'Eku dis.', script: 'devanagari' }).story.script).toBe('devanagari');
+    expect(validateStoryInput({ title: 'x', text: 'एक।', script: 'tamil' }).errors).toHaveLength(1);
+  });
+
+  test('accepts numbers_as_words from JSON or a form field', () => {
+    expect(validateStoryInput({ title: 'x', text: '१२ आंबे।', numbers_as_words: true }).story.numbers_as_words).toBe(true);
+    expect(validateStoryInput({ title: 'x', text: '१२ आंबे।', numbers_as_words: 'true' }).story.numbers_as_words).toBe(true);
+    expect(validateStoryInput({ title: 'x', text: '१२ आंबे।', numbers_as_words: 'false' }).story).not.toHaveProperty('numbers_as_words');
+    expect(validateStoryInput({ title: 'x', text: '१२ आंबे।', numbers_as_words: 'yes' }).errors)
+      .toEqual(['numbers_as_words must be true or false']);
+  });
+
+  test('only checks the fields given when updating', () => {
+    expect(validateStoryInput({ language: 'konkani' }, { partial: true }))
+      .toEqual({ story: { language: 'konkani' }, errors: [] });
+    expect(validateStoryInput({ title: '' }, { partial: true }).errors).toHaveLength(1);
+  });
+});
@@ -0,0 +1,52 @@
+const { normalizeText } = require('../textNormalizer');
+
+const NUKTA = '\u093C';
+const ZWNJ = '\u200C';
+
+describe('normalizeText', () => {
+  test('removes punctuation and collapses spaces by default', () => {
+    expect(normalizeText('सिंहु म्हळालो, "ऐ आज्जी! ज़ोरु भूक लाग्ल्या माका!"'))
+      .toBe('सिंहु म्हळालो ऐ आज्जी ज़ोरु भूक लाग्ल्या माका');
+    expect(normalizeText('तीन- चार दिवस। “हय”॥')).toBe('तीन चार दिवस हय');
+  });
+
+  test('maps punctuation to ASCII', () => {
+    expect(normalizeText('तो म्हणालो “हांव येता…” – हय।', { punctuation: 'map' }))
+      .toBe('तो म्हणालो "हांव येता..." - हय.');
+  });
+
+  test('keeps punctuation when asked', () => {
+    expect(normalizeText('कोण? हांव!', { punctuation: 'keep' })).toBe('कोण? हांव!');
+  });
+
+  test('expands numbers in both digit sets unless turned off', () => {
+    expect(normalizeText('१२ आंबे आनी 3 केळीं.')).toBe('बारा आंबे आनी तीन केळीं');
+    expect(normalizeText('१२ आंबे.', { numbers: false })).toBe('१२ आंबे');
+  });
+
+  test('applies NFC and drops zero-width characters', () => {
+    expect(normalizeText(`सा${ZWNJ}ंगात्ति`)).toBe('सांगात्ति');
+    expect(normalizeText('ऴ'.normalize('NFD'))).toBe('ऴ');
+  });
+
+  test('moves a nukta typed after the vowel sign back to its consonant', () => {
+    expect(normalizeText(`जो${NUKTA}रु`)).toBe(`ज${NUKTA}ोरु`);
+  });
+
+  test('nukta: remove drops every nukta', () => {
+    expect(normalizeText('ज़ोरु फ़ूल एक्ऴि', { nukta: 'remove' })).toBe('जोरु फूल एक्ळि');
+  });
+
+  test('writes chandrabindu as anusvara unless kept', () => {
+    expect(normalizeText('चाँद')).toBe('चांद');
+    expect(normalizeText('चाँद', { chandrabindu: 'keep' })).toBe('चाँद');
+  });
+
+  test('composes अ + candra sign', () => {
+    expect(normalizeText('अॉफिस')).toBe('ऑफिस');
+  });
+
+  test('rejects an unknown punctuation mode', () => {
+    expect(() => normalizeText('हय', { punctuation: 'strip' })).toThrow('Unknown punctuation mode');
+  });
+});
@@ -0,0 +1,79 @@
+const { devanagariToIAST, iastToDevanagari } = require('../transliterate-canonical');
+const { romiToDevanagari, devanagariToRomi } = require('../romi');
+
+describe('iastToDevanagari', () => {
+  test.each([
+    'घर',
+    'आमचें',
+    'कोंकणी',
+    'हांव',
+    'शाळा',
+    'एकु दिवसु',
+    'क्षण',
+    'ज्ञान',
+    'ओंकार',
+    'तो म्हणालो, "कोण?"',
+  ])('%s survives a round trip through letter-for-letter IAST', (devanagari) => {
+    expect(iastToDevanagari(devanagariToIAST(devanagari, { phonology: false }))).toBe(devanagari);
+  });
+
+  test.each([
+    'घर',
+    'कोंकणी',
+    'हांव',
+    'शाळा',
+    'एकु',
+    'मित्र',
+    'क्षण',
+    'ज्ञान',
+    'ओंकार',
+    'गांवान्तु',
+    'तो म्हणालो, "कोण?"',
+  ])('%s survives a round trip through the stored IAST', (devanagari) => {
+    expect(iastToDevanagari(devanagariToIAST(devanagari))).toBe(devanagari);
+  });
+
+  test('reads IAST written as pronounced', () => {
+    expect(iastToDevanagari('ghar koṅkaṇī hāṅg camkuñcāk')).toBe('घर कोंकणी हांग चम्कुंचाक');
+    expect(iastToDevanagari('ghar', { phonology: false })).toBe('घर्');
+  });
+
+  test('keeps a dropped medial schwa out, which spells the same pronunciation', () => {
+    expect(iastToDevanagari('āmceṃ divsu')).toBe('आम्चें दिव्सु');
+    expect(devanagariToIAST('आम्चें दिव्सु')).toBe(devanagariToIAST('आमचें दिवसु'));
+  });
+
+  test('reads "oṃ" inside a word as ों, not ॐ', () => {
+    expect(iastToDevanagari('goṃya')).toBe('गोंय');
+  });
+
+  test('accepts capitals and ISO 15919 spellings', () => {
+    expect(iastToDevanagari('Koṁkaṇī BHĀṢĀ')).toBe('कोंकणी भाषा');
+    expect(iastToDevanagari('gharō')).toBe('घरो');
+  });
+
+  test('reads ḷ as ळ, so phonology output reads back', () => {
+    expect(iastToDevanagari('bhopḷā')).toBe('भोप्ळा');
+    ['शाळा', 'काळो', 'डोळे'].forEach((devanagari) => {
+      expect(iastToDevanagari(devanagariToIAST(devanagari, { phonology: true }))).toBe(devanagari);
+    });
+  });
+
+  test('leaves punctuation and digits as typed', () => {
+    expect(iastToDevanagari('ghara 12!')).toBe('घर 12!');
+    expect(iastToDevanagari('')).toBe('');
+  });
+});
+
+describe('romiToDevanagari', () => {
+  test.each([
+    'ghor',
+    'hanv',
+    'xalla',
+    'eku divsu',
+    'ajji',
+    'mhojem ghor, tujem ghor.',
+  ])('%s survives a round trip through Devanagari', (romi) => {
+    expect(devanagariToRomi(romiToDevanagari(romi))).toBe(romi);
+  });
+});
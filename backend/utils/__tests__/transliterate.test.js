@@ -6,11 +6,11 @@ describe('Transliteration helper (devanagariToIAST)', () => {
   });
 
   test('should transliterate फ with nukta (फ़) using IAST (no nukta conversion)', () => {
-    expect(devanagariToIAST('फ़ूल')).toBe('phaūla');
+    expect(devanagariToIAST('फ़ूल')).toBe('phaūl');
   });
 
   test('should transliterate qa (क़) using IAST (no nukta conversion)', () => {
-    expect(devanagariToIAST('क़िताब')).toBe('kaitāba');
+    expect(devanagariToIAST('क़िताब')).toBe('kaitāb');
   });
 
   test('should transliterate ड़ (ḍa) (no diacritical overrides)', () => {
@@ -0,0 +1,44 @@
+const { transliterate } = require('../transliteration');
+const { devanagariToIAST } = require('../transliterate-canonical');
+
+const sentence = 'कोंकणी भाषा, शाळा।';
+
+describe('transliterate', () => {
+  test.each([
+    ['iast', 'koṅkaṇī bhāṣā, śāḷā'],
+    ['iso', 'kōṁkaṇī bhāṣā, śāḷā'],
+    ['itrans', 'koMkaNI bhAShA, shALA|'],
+    ['hk', 'koMkaNI bhASA, zALA|'],
+  ])('Devanagari to %s', (to, expected) => {
+    expect(transliterate(sentence, { from: 'devanagari', to }).text).toBe(expected);
+  });
+
+  test.each(['iast', 'iso', 'itrans', 'hk'])('%s converts back to the same Devanagari letters', (scheme) => {
+    const latin = transliterate(sentence, { to: scheme }).text;
+    expect(transliterate(latin, { from: scheme }).text.replace(/[।|]/g, '')).toBe(sentence.replace('।', ''));
+  });
+
+  test('IAST with rules is the canonical text_iast', () => {
+    expect(transliterate('ज़ोरु', { to: 'iast' }).text).toBe(devanagariToIAST('ज़ोरु'));
+    expect(transliterate(sentence, { to: 'iast', rules: false, phonology: false }).text).toBe('koṃkaṇī bhāṣā, śāḻā।');
+  });
+
+  test('returns one token per word and keeps the spacing of the input', () => {
+    const result = transliterate('koṃkaṇī  bhāṣā\nghara');
+    expect(result.from).toBe('iast');
+    expect(result.text).toBe('कोंकणी  भाषा\nघर');
+    expect(result.tokens).toEqual([
+      { source: 'koṃkaṇī', text: 'कोंकणी' },
+      { source: 'bhāṣā', text: 'भाषा' },
+      { source: 'ghara', text: 'घर' },
+    ]);
+  });
+
+  test('converts between two non-Devanagari schemes through Devanagari', () => {
+    expect(transliterate('ghor', { from: 'romi', to: 'kannada' }).text).toBe('ಘರ');
+  });
+
+  test('rejects unknown schemes', () => {
+    expect(() => transliterate('घर', { to: 'klingon' })).toThrow(/Unsupported scheme/);
+  });
+});
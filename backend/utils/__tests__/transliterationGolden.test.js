@@ -0,0 +1,11 @@
+const golden = require('./fixtures/transliteration-golden.json');
+const { devanagariToIAST } = require('../transliterate-canonical');
+
+// Regenerate with: node scripts/update-transliteration-golden.js (see --check for a diff first)
+test('IAST of every story sentence matches the golden file', () => {
+  const changed = golden
+    .filter(entry => devanagariToIAST(entry.devanagari) !== entry.iast)
+    .map(entry => ({ devanagari: entry.devanagari, expected: entry.iast, actual: devanagariToIAST(entry.devanagari) }));
+  expect(changed).toEqual([]);
+  expect(golden.length).toBeGreaterThan(250);
+});
@@ -0,0 +1,136 @@
+/**
+ * Inter-annotator agreement statistics
+ * Fleiss' kappa over all multiply-reviewed recordings, and Cohen's kappa for each pair of
+ * reviewers who voted on the same recordings. Shown in the admin stats.
+ */
+
+/**
+ * Fleiss' kappa (supports a varying number of raters per item)
+ * @param {Array<Array<string>>} items - Ratings per item, e.g. [['approve', 'reject'], ...]
+ * @returns {number|null} - null when there are no items with at least 2 ratings
+ */
+function fleissKappa(items) {
+    const rated = items.filter(ratings => ratings.length >= 2);
+    if (rated.length === 0) return null;
+
+    const categoryTotals = new Map();
+    let totalRatings = 0;
+    let sumAgreement = 0;
+
+    for (const ratings of rated) {
+        const counts = countBy(ratings);
+        const n = ratings.length;
+        let agreeingPairs = 0;
+        for (const [category, count] of counts) {
+            agreeingPairs += count * (count - 1);
+            categoryTotals.set(category, (categoryTotals.get(category) || 0) + count);
+        }
+        sumAgreement += agreeingPairs / (n * (n - 1));
+        totalRatings += n;
+    }
+
+    const observed = sumAgreement / rated.length;
+    let expected = 0;
+    for (const total of categoryTotals.values()) {
+        expected += (total / totalRatings) ** 2;
+    }
+
+    return kappa(observed, expected);
+}
+
+/**
+ * Cohen's kappa for two raters
+ * @param {Array<[string, string]>} pairs - One [raterA, raterB] rating pair per item
+ * @returns {number|null} - null when there are no pairs
+ */
+function cohensKappa(pairs) {
+    if (pairs.length === 0) return null;
+
+    const n = pairs.length;
+    const agreements = pairs.filter(([a, b]) => a === b).length;
+    const countsA = countBy(pairs.map(([a]) => a));
+    const countsB = countBy(pairs.map(([, b]) => b));
+
+    let expected = 0;
+    for (const [category, countA] of countsA) {
+        expected += (countA / n) * ((countsB.get(category) || 0) / n);
+    }
+
+    return kappa(agreements / n, expected);
+}
+
+/**
+ * Agreement summary for a set of votes
+ * @param {object[]} votes - [{ item, rater, rating }] (e.g. recording_id, reviewer, vote)
+ * @param {object} [options] - { minSharedItems: pairs with fewer shared items are skipped }
+ * @returns {object} - { items, ratings, fleiss_kappa, cohen_kappa_mean, pairs: [{ raters, items, kappa }] }
+ */
+function summarizeAgreement(votes, { minSharedItems = 5 } = {}) {
+    const byItem = new Map();
+    for (const { item, rater, rating } of votes) {
+        if (!byItem.has(item)) byItem.set(item, new Map());
+        byItem.get(item).set(rater, rating);
+    }
+
+    const multiRated = [...byItem.values()].filter(ratings => ratings.size >= 2);
+
+    // Collect shared items per reviewer pair
+    const pairRatings = new Map();
+    for (const ratings of multiRated) {
+        const raters = [...ratings.keys()].sort();
+        for (let i = 0; i < raters.length; i++) {
+            for (let j = i + 1; j < raters.length; j++) {
+                const key = `${raters[i]}\u0000${raters[j]}`;
+                if (!pairRatings.has(key)) pairRatings.set(key, []);
+                pairRatings.get(key).push([ratings.get(raters[i]), ratings.get(raters[j])]);
+            }
+        }
+    }
+
+    const pairs = [];
+    for (const [key, ratingPairs] of pairRatings) {
+        if (ratingPairs.length < minSharedItems) continue;
+        pairs.push({
+            raters: key.split('\u0000'),
+            items: ratingPairs.length,
+            kappa: round(cohensKappa(ratingPairs)),
+        });
+    }
+    pairs.sort((a, b) => b.items - a.items);
+
+    const pairKappas = pairs.map(p => p.kappa).filter(k => k !== null);
+
+    return {
+        items: multiRated.length,
+        ratings: multiRated.reduce((sum, ratings) => sum + ratings.size, 0),
+        fleiss_kappa: round(fleissKappa(multiRated.map(ratings => [...ratings.values()]))),
+        cohen_kappa_mean: pairKappas.length > 0
+            ? round(pairKappas.reduce((sum, k) => sum + k, 0) / pairKappas.length)
+            : null,
+        pairs,
+    };
+}
+
+// (observed - expected) / (1 - expected); perfect agreement on a single category counts as 1
+function kappa(observed, expected) {
+    if (expected >= 1) return observed >= 1 ? 1 : null;
+    return (observed - expected) / (1 - expected);
+}
+
+function countBy(values) {
+    const counts = new Map();
+    for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return counts;
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    fleissKappa,
+    cohensKappa,
+    summarizeAgreement,
+};
@@ -4,6 +4,7 @@
  */
 
 const { getAudioMetadata } = require('./audioConverter');
+const { MAX_RECORDING_SECONDS, countWords, estimateReadingSeconds } = require('./sentenceDuration');
 const fs = require('fs').promises;
 
 /**
@@ -26,6 +27,7 @@ async function validateAudio(filePath, expectedText = '') {
     };
     
     const errors = [];
+    const warnings = []; // Non-fatal findings, stored with the recording to prioritise review
 
     // 1. Check file exists
     try {
@@ -33,7 +35,7 @@ async function validateAudio(filePath, expectedText = '') {
         checks.file_exists = true;
     } catch {
         errors.push('File does not exist');
-        return { valid: false, errors, checks };
+        return { valid: false, errors, warnings, checks };
     }
 
     // 2. Get audio metadata
@@ -47,7 +49,7 @@ async function validateAudio(filePath, expectedText = '') {
         checks.file_size = metadata.file_size;
     } catch (error) {
         errors.push(`Failed to read audio metadata: ${error.message}`);
-        return { valid: false, errors, checks };
+        return { valid: false, errors, warnings, checks };
     }
 
     // 3. Validate format
@@ -72,19 +74,18 @@ async function validateAudio(filePath, expectedText = '') {
         errors.push('Audio file is empty (0 seconds)');
     } else if (checks.duration < 0.5) {
         errors.push(`Audio too short: ${checks.duration.toFixed(2)}s (minimum 0.5s)`);
-    } else if (checks.duration > 30) {
-        errors.push(`Audio too long: ${checks.duration.toFixed(2)}s (maximum 30s)`);
+    } else if (checks.duration > MAX_RECORDING_SECONDS) {
+        errors.push(`Audio too long: ${checks.duration.toFixed(2)}s (maximum ${MAX_RECORDING_SECONDS}s)`);
     }
 
     // 7. Estimate expected duration from text (if provided)
     if (expectedText) {
         // Estimate duration from word count
-        const words = expectedText.trim().split(/\s+/).filter(Boolean).length || 0;
-        const secondsPerWord = parseFloat(process.env.SECONDS_PER_WORD) || 0.45; // ~0.45s per word
-        checks.expected_duration = words * secondsPerWord;
+        const words = countWords(expectedText);
+        checks.expected_duration = estimateReadingSeconds(expectedText);
         // Allow variance (30% to 500% of expected) - more lenient for natural speech variation
         const minDuration = Math.max(0.5, checks.expected_duration * 0.3); // At least 0.5s minimum
-        const maxDuration = Math.min(30, checks.expected_duration * 5.0); // At most 30s maximum
+        const maxDuration = Math.min(MAX_RECORDING_SECONDS, checks.expected_duration * 5.0); // At most the recording cap
         
         if (checks.duration >= minDuration && checks.duration <= maxDuration) {
             checks.duration_reasonable = true;
@@ -92,6 +93,7 @@ async function validateAudio(filePath, expectedText = '') {
             // This is a WARNING, not an error - still allow submission
             // errors.push(`Duration ${checks.duration.toFixed(1)}s outside expected range [${minDuration.toFixed(1)}, ${maxDuration.toFixed(1)}]s for ${words} words`);
             console.warn(`Duration ${checks.duration.toFixed(1)}s outside expected range [${minDuration.toFixed(1)}, ${maxDuration.toFixed(1)}]s for ${words} words - allowing submission`);
+            warnings.push(`Duration ${checks.duration.toFixed(1)}s outside expected range [${minDuration.toFixed(1)}, ${maxDuration.toFixed(1)}]s for ${words} words`);
             checks.duration_reasonable = false; // Mark as false but don't fail validation
         }
     }
@@ -107,10 +109,12 @@ async function validateAudio(filePath, expectedText = '') {
     } else if (checks.file_size < minSize) {
         // WARNING only, not an error
         console.warn(`File size ${checks.file_size} bytes smaller than expected ~${expectedSize.toFixed(0)} bytes - allowing submission`);
+        warnings.push(`File size ${checks.file_size} bytes smaller than expected ~${expectedSize.toFixed(0)} bytes`);
         checks.size_reasonable = false;
     } else {
         // WARNING only, not an error
         console.warn(`File size ${checks.file_size} bytes larger than expected ~${expectedSize.toFixed(0)} bytes - allowing submission`);
+        warnings.push(`File size ${checks.file_size} bytes larger than expected ~${expectedSize.toFixed(0)} bytes`);
         checks.size_reasonable = false;
     }
 
@@ -123,6 +127,7 @@ async function validateAudio(filePath, expectedText = '') {
     return {
         valid: errors.length === 0,
         errors,
+        warnings,
         checks,
         metadata,
     };
@@ -141,7 +146,7 @@ async function quickValidate(filePath) {
             metadata.sample_rate === 16000 &&
             metadata.channels === 1 &&
             metadata.duration > 0.5 &&
-            metadata.duration < 30
+            metadata.duration < MAX_RECORDING_SECONDS
         );
     } catch {
         return false;
@@ -0,0 +1,128 @@
+/**
+ * Authentication helpers
+ * Password hashing (scrypt), session/login token generation and cookie parsing
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Roles a user can hold; 'admin' implicitly has every other role
+const ROLES = ['contributor', 'reviewer', 'admin'];
+
+/**
+ * Normalize an email address (lowercase, trimmed) so it matches recordings.user_id
+ * @param {string} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+    return String(email || '').toLowerCase().trim();
+}
+
+/**
+ * Basic email sanity check (same rule the frontend uses)
+ * @param {string} email
+ * @returns {boolean}
+ */
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+$/.test(normalizeEmail(email));
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} - Encoded as scrypt$<salt>$<hash>
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} stored - Value produced by hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    if (!password || !stored) return false;
+
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const derived = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * Generate a random opaque token (session or magic link)
+ * @returns {string}
+ */
+function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a token for storage; the raw token is only ever held by the client
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check whether a user holds any of the given roles
+ * @param {object} user - req.user ({ roles: string[] })
+ * @param {...string} roles
+ * @returns {boolean}
+ */
+function hasRole(user, ...roles) {
+    const userRoles = (user && user.roles) || [];
+    if (userRoles.includes('admin')) return true;
+    return roles.some(role => userRoles.includes(role));
+}
+
+/**
+ * Parse a Cookie header into a name -> value object
+ * @param {string} header
+ * @returns {object}
+ */
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        if (!name || cookies[name] !== undefined) return;
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+module.exports = {
+    ROLES,
+    MIN_PASSWORD_LENGTH,
+    normalizeEmail,
+    isValidEmail,
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    hasRole,
+    parseCookies,
+};
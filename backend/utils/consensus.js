@@ -0,0 +1,76 @@
+/**
+ * Multi-reviewer consensus
+ * In 'consensus' review mode each reviewer casts approve/reject on a recording and the
+ * recording is only promoted once a quorum agrees (e.g. 2 of 3). Votes that can no longer
+ * reach a quorum send the recording to the adjudication queue (status 'disputed').
+ */
+
+const VOTES = ['approve', 'reject'];
+
+// Recording statuses that voting can produce
+const CONSENSUS_OUTCOMES = ['pending', 'approved', 'rejected', 'disputed'];
+
+/**
+ * Read review settings from the environment
+ * @param {object} [env]
+ * @returns {{ mode: string, quorum: number, panelSize: number }}
+ */
+function getReviewConfig(env = process.env) {
+    const mode = env.REVIEW_MODE === 'consensus' ? 'consensus' : 'single';
+    const quorum = Math.max(1, parseInt(env.REVIEW_QUORUM) || 2);
+    const panelSize = Math.max(quorum, parseInt(env.REVIEW_PANEL_SIZE) || 3);
+    return { mode, quorum, panelSize };
+}
+
+/**
+ * Decide a recording's status from its votes
+ * @param {object[]} votes - [{ vote: 'approve'|'reject', rejection_reason? }]
+ * @param {object} config - { quorum, panelSize }
+ * @returns {{ status: string, approvals: number, rejections: number, rejection_reason: string|null }}
+ */
+function resolveConsensus(votes, { quorum, panelSize }) {
+    const approvals = votes.filter(v => v.vote === 'approve').length;
+    const rejections = votes.filter(v => v.vote === 'reject').length;
+    const remaining = Math.max(0, panelSize - approvals - rejections);
+
+    let status = 'pending';
+    if (approvals >= quorum && rejections >= quorum) {
+        status = 'disputed';
+    } else if (approvals >= quorum) {
+        status = 'approved';
+    } else if (rejections >= quorum) {
+        status = 'rejected';
+    } else if (approvals + remaining < quorum && rejections + remaining < quorum) {
+        // Neither side can reach the quorum with the votes still to come
+        status = 'disputed';
+    }
+
+    return {
+        status,
+        approvals,
+        rejections,
+        rejection_reason: status === 'rejected' ? majorityReason(votes) : null,
+    };
+}
+
+// Most common rejection reason among reject votes (earliest vote wins ties)
+function majorityReason(votes) {
+    const counts = new Map();
+    for (const v of votes) {
+        if (v.vote !== 'reject' || !v.rejection_reason) continue;
+        counts.set(v.rejection_reason, (counts.get(v.rejection_reason) || 0) + 1);
+    }
+
+    let best = null;
+    for (const [reason, count] of counts) {
+        if (best === null || count > counts.get(best)) best = reason;
+    }
+    return best;
+}
+
+module.exports = {
+    VOTES,
+    CONSENSUS_OUTCOMES,
+    getReviewConfig,
+    resolveConsensus,
+};
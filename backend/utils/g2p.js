@@ -0,0 +1,154 @@
+/**
+ * Konkani grapheme-to-phoneme conversion (sentences.text_phonemes)
+ * Devanagari is read letter by letter into IAST and pronounced with the konkani_phonology rules of
+ * transliteration_rules.json (silent schwas dropped, anusvara as the following stop's nasal), then
+ * mapped to phones with phone_inventory.json. The inventory has an IPA and an X-SAMPA-like ASCII
+ * phone set; a phone set maps each pronounced IAST letter to one or more space-separated phones,
+ * and the letters listed under "attach" (nasalisation) are appended to the phone before them.
+ * Nukta and candra letters, which IAST has no spelling for, are read as z (ज़), f (फ़), q (क़),
+ * x (ख़), ġ (ग़), ê (ॅ) and ô (ॉ). Digits, Latin text and punctuation have no phones.
+ */
+
+const inventory = require('./phone_inventory.json');
+const { applyPhonology } = require('./transliterate-canonical');
+
+const PHONE_SETS = Object.keys(inventory.phone_sets);
+const DEFAULT_PHONE_SET = inventory.default;
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ṅ',
+    'च': 'c', 'छ': 'ch', 'ज': 'j', 'झ': 'jh', 'ञ': 'ñ',
+    'ट': 'ṭ', 'ठ': 'ṭh', 'ड': 'ḍ', 'ढ': 'ḍh', 'ण': 'ṇ',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'ś', 'ष': 'ṣ', 'स': 's', 'ह': 'h',
+    'ळ': 'ḻ', 'ऴ': 'ḻ',
+};
+
+// Consonant + nukta; ड़ and ढ़ are read as plain ड and ढ
+const NUKTA_CONSONANTS = { 'क': 'q', 'ख': 'x', 'ग': 'ġ', 'ज': 'z', 'फ': 'f' };
+
+const VOWELS = {
+    'अ': 'a', 'आ': 'ā', 'इ': 'i', 'ई': 'ī', 'उ': 'u', 'ऊ': 'ū', 'ऋ': 'ṛ',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'ê', 'ऑ': 'ô', 'ॲ': 'ê', 'ऎ': 'e', 'ऒ': 'o',
+};
+
+const MATRAS = {
+    'ा': 'ā', 'ि': 'i', 'ी': 'ī', 'ु': 'u', 'ू': 'ū', 'ृ': 'ṛ',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'ê', 'ॉ': 'ô', 'ॆ': 'e', 'ॊ': 'o',
+};
+
+const VIRAMA = '\u094D';
+const NUKTA = '\u093C';
+const SIGNS = { '\u0902': 'ṃ', '\u0901': 'ṁ', '\u0903': 'ḥ' };
+// Candra e and candra o signs
+const CANDRA_SIGNS = ['\u0945', '\u0949'];
+
+// Runs of Devanagari letters and signs (no dandas or digits)
+const DEVANAGARI_WORD = /[\u0900-\u0963\u0971-\u097F]+/g;
+
+// One Devanagari word to IAST, with every inherent vowel written out (phonology removes the silent ones)
+function readWord(word) {
+    const chars = Array.from(word);
+    let out = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        const c = chars[i];
+
+        if (CONSONANTS[c]) {
+            let letter = CONSONANTS[c];
+            if (chars[i + 1] === NUKTA) {
+                letter = NUKTA_CONSONANTS[c] || letter;
+                i++;
+            }
+            const next = chars[i + 1];
+            if (MATRAS[next]) {
+                out += letter + MATRAS[next];
+                i++;
+            } else if (next === VIRAMA) {
+                out += letter;
+                i++;
+            } else {
+                out += `${letter}a`;
+            }
+        } else if (VOWELS[c]) {
+            // अ with a candra sign (अॅ, अॉ) is the open vowel
+            if (c === 'अ' && CANDRA_SIGNS.includes(chars[i + 1])) {
+                out += MATRAS[chars[i + 1]];
+                i++;
+            } else {
+                out += VOWELS[c];
+            }
+        } else if (SIGNS[c]) {
+            out += SIGNS[c];
+        }
+    }
+    return out;
+}
+
+// Letters of a phone set, longest first so "kh" wins over "k"
+const lettersBySet = {};
+function lettersOf(phoneSet) {
+    if (!lettersBySet[phoneSet]) {
+        lettersBySet[phoneSet] = Object.keys(inventory.phone_sets[phoneSet]).sort((a, b) => b.length - a.length);
+    }
+    return lettersBySet[phoneSet];
+}
+
+function toPhones(pronounced, phoneSet) {
+    const table = inventory.phone_sets[phoneSet];
+    const letters = lettersOf(phoneSet);
+    const phones = [];
+    let i = 0;
+    while (i < pronounced.length) {
+        const letter = letters.find(l => pronounced.startsWith(l, i));
+        if (!letter) {
+            i++;
+            continue;
+        }
+        i += letter.length;
+        if (inventory.attach.includes(letter)) {
+            if (phones.length > 0) phones[phones.length - 1] += table[letter];
+        } else {
+            phones.push(...table[letter].split(' ').filter(Boolean));
+        }
+    }
+    return phones;
+}
+
+/**
+ * Phones of each word of a Devanagari text
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.phoneSet] - One of PHONE_SETS (default: "default" in phone_inventory.json)
+ * @returns {string[][]} - One array of phones per word
+ */
+function wordPhonemes(text, { phoneSet = DEFAULT_PHONE_SET } = {}) {
+    if (!PHONE_SETS.includes(phoneSet)) {
+        throw new Error(`Unknown phone set: ${phoneSet}`);
+    }
+    const words = String(text || '').normalize('NFC').match(DEVANAGARI_WORD) || [];
+    return words
+        .map(word => toPhones(applyPhonology(readWord(word)), phoneSet))
+        .filter(phones => phones.length > 0);
+}
+
+/**
+ * Phonemic transcription of a Devanagari text: phones separated by spaces, words by the
+ * inventory's word_separator (e.g. "ɡʱ ə ɾ | j e" for घर ये)
+ * @param {string} text
+ * @param {object} [options] - As for wordPhonemes()
+ * @returns {string}
+ */
+function toPhonemes(text, options = {}) {
+    return wordPhonemes(text, options)
+        .map(phones => phones.join(' '))
+        .join(` ${inventory.word_separator} `);
+}
+
+module.exports = {
+    PHONE_SETS,
+    DEFAULT_PHONE_SET,
+    wordPhonemes,
+    toPhonemes,
+};
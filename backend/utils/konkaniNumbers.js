@@ -0,0 +1,166 @@
+/**
+ * Konkani number words
+ * Numbers in Devanagari (०-९) or Arabic (0-9) digits are read out the way speakers read them aloud:
+ * cardinals in the Indian system (हजार, लाख, कोटी), ordinals (1लो = पयलो, ५वी = पांचवी), dates
+ * (15/08/1947 = पंदरा ऑगस्ट एकुणीसशें सत्तेचाळीस), years (1947 वर्सा), times (10:30 or 10.30 वरां =
+ * धा वरां तीस मिनटां) and rupee amounts (₹25.50 = पंचवीस रुपया पन्नास पयशे). The words are in
+ * konkani_numbers.json.
+ */
+
+const words = require('./konkani_numbers.json');
+
+const DEVANAGARI_ZERO = 0x0966;
+
+const DIGIT = '[0-9\\u0966-\\u096F]';
+// A number as written: digits with optional thousands separators (1,000 or 1,00,000) and decimals
+const AMOUNT = `${DIGIT}+(?:,${DIGIT}{2,3})*(?:\\.${DIGIT}+)?`;
+const NUMBER = new RegExp(AMOUNT, 'gu');
+
+// ₹, रु., Rs. or INR before an amount, optionally followed by "/-"
+const CURRENCY = new RegExp(`(?:₹|(?<![\\p{L}\\p{M}])(?:\u0930\u0941\\.?|Rs\\.?|INR))\\s*(${AMOUNT})(?:/-)?(?!\\p{N})`, 'gu');
+// Day, month and year with the same separator: 15/08/1947, 15-08-47, 15.08.1947
+const DATE = new RegExp(`(?<![\\p{N}/.-])(${DIGIT}{1,2})([/.-])(${DIGIT}{1,2})\\2(${DIGIT}{4}|${DIGIT}{2})(?![\\p{N}/.-]*\\p{N})`, 'gu');
+// Hours and minutes; a following वरां is part of the time (10:30 वरां = धा वरां तीस मिनटां) and
+// its case ending moves to the end (7:30 वरांक = सात वरां तीस मिनटांक)
+const TIME = new RegExp(`(?<![\\p{N}:])(${DIGIT}{1,2}):(${DIGIT}{2})(?![\\p{N}:])(?:\\s*${words.hours}([\\p{L}\\p{M}]*))?`, 'gu');
+// H.MM is a time only before वरां (12.30 वरां); otherwise it is a decimal
+const DOTTED_TIME = new RegExp(`(?<![\\p{N}.,])(${DIGIT}{1,2})\\.(${DIGIT}{2})\\s*${words.hours}([\\p{L}\\p{M}]*)`, 'gu');
+// A year before वर्सा, सालांत etc. (1947 वर्सा = एकुणीसशें सत्तेचाळीस वर्सा)
+const YEAR = new RegExp(`(?<![\\p{N}.,])(${DIGIT}{4})(?=\\s*(?:${words.year_nouns.join('|')}))`, 'gu');
+// Digits with the end of the ordinal word (1लो, 2री, 4थें, ५वो) or an English suffix (1st)
+const ORDINAL = new RegExp(`(${DIGIT}+)(?:[लरथव](\u094B|\u0940|\u0947\u0902)|st|nd|rd|th)(?![\\p{L}\\p{M}])`, 'gu');
+const GENDERS = { '\u094B': 'masculine', '\u0940': 'feminine', '\u0947\u0902': 'neuter' };
+
+/**
+ * Devanagari digits to Arabic digits
+ * @param {string} text
+ * @returns {string}
+ */
+function toArabicDigits(text) {
+    return String(text).replace(/[\u0966-\u096F]/g, d => String(d.charCodeAt(0) - DEVANAGARI_ZERO));
+}
+
+/**
+ * A whole number in words
+ * @param {number} n - A non-negative safe integer
+ * @returns {string} - e.g. 1234 = "एक हजार दोनशें चौतीस"
+ */
+function cardinal(n) {
+    if (!Number.isSafeInteger(n) || n < 0) {
+        throw new Error(`Not a whole number: ${n}`);
+    }
+    if (n < 100) return words.cardinals[n];
+
+    const parts = [];
+    let rest = n;
+    for (const scale of words.scales) {
+        if (rest >= scale.value) {
+            parts.push(`${cardinal(Math.floor(rest / scale.value))} ${scale.word}`);
+            rest %= scale.value;
+        }
+    }
+    if (rest >= 100) {
+        parts.push(words.hundreds[Math.floor(rest / 100)]);
+        rest %= 100;
+    }
+    if (rest > 0) parts.push(words.cardinals[rest]);
+    return parts.join(' ');
+}
+
+// Digit by digit, for decimals and for numbers with a leading zero or too long to read as one
+function digitByDigit(digits) {
+    return Array.from(digits, d => words.cardinals[Number(d)]).join(' ');
+}
+
+/**
+ * A number as written (either digit set, with separators or decimals) in words
+ * @param {string} written - e.g. "१२", "1,00,000" or "2.5"
+ * @returns {string}
+ */
+function numberToWords(written) {
+    const [whole, fraction] = toArabicDigits(written).replace(/,/g, '').split('.');
+    const readAsDigits = (whole.length > 1 && whole.startsWith('0')) || !Number.isSafeInteger(Number(whole));
+    const spoken = readAsDigits ? digitByDigit(whole) : cardinal(Number(whole));
+    return fraction ? `${spoken} ${words.decimal_point} ${digitByDigit(fraction)}` : spoken;
+}
+
+/**
+ * An ordinal in words
+ * @param {number} n - A positive safe integer
+ * @param {string} [gender='masculine'] - masculine (पयलो), feminine (पयली) or neuter (पयलें)
+ * @returns {string}
+ */
+function ordinal(n, gender = 'masculine') {
+    const ending = words.ordinals.endings[gender];
+    if (ending === undefined) {
+        throw new Error(`Unknown gender: ${gender}`);
+    }
+    const stem = words.ordinals.stems[n] || `${cardinal(n)}${words.ordinals.suffix}`;
+    return stem + ending;
+}
+
+/**
+ * A year in words; years from 1100 to 1999 are read in hundreds (1947 = एकुणीसशें सत्तेचाळीस)
+ * @param {number} n
+ * @returns {string}
+ */
+function year(n) {
+    if (n < 1100 || n > 1999) return cardinal(n);
+    const rest = n % 100;
+    return `${cardinal(Math.floor(n / 100))}${words.hundreds_suffix}` + (rest > 0 ? ` ${cardinal(rest)}` : '');
+}
+
+function dateToWords(match, day, separator, month, yearDigits) {
+    const [d, m, y] = [day, month, yearDigits].map(part => Number(toArabicDigits(part)));
+    if (d < 1 || d > 31 || m < 1 || m > 12) return match;
+    return `${cardinal(d)} ${words.months[m - 1]} ${yearDigits.length === 4 ? year(y) : cardinal(y)}`;
+}
+
+function timeToWords(match, hours, minutes, caseEnding = '') {
+    const [h, m] = [hours, minutes].map(part => Number(toArabicDigits(part)));
+    if (h > 23 || m > 59) return match;
+    return `${cardinal(h)} ${words.hours}` + (m > 0 ? ` ${cardinal(m)} ${words.minutes}` : '') + caseEnding;
+}
+
+function yearToWords(match, digits) {
+    const n = Number(toArabicDigits(digits));
+    return n >= 1100 ? year(n) : match;
+}
+
+function currencyToWords(match, amount) {
+    const [rupees, fraction] = toArabicDigits(amount).replace(/,/g, '').split('.');
+    const paise = fraction ? Number(fraction.slice(0, 2).padEnd(2, '0')) : 0;
+    return `${numberToWords(rupees)} ${words.rupees}` + (paise > 0 ? ` ${cardinal(paise)} ${words.paise}` : '');
+}
+
+function ordinalToWords(match, digits, ending) {
+    const n = Number(toArabicDigits(digits));
+    if (n < 1 || !Number.isSafeInteger(n)) return match;
+    return ordinal(n, ending ? GENDERS[ending] : 'masculine');
+}
+
+/**
+ * Replace every number in a text with its words: rupee amounts, dates, times, years and ordinals
+ * first, then any other number as a cardinal
+ * @param {string} text
+ * @returns {string}
+ */
+function expandNumbers(text) {
+    return String(text || '')
+        .replace(CURRENCY, currencyToWords)
+        .replace(DATE, dateToWords)
+        .replace(TIME, timeToWords)
+        .replace(DOTTED_TIME, timeToWords)
+        .replace(YEAR, yearToWords)
+        .replace(ORDINAL, ordinalToWords)
+        .replace(NUMBER, numberToWords);
+}
+
+module.exports = {
+    toArabicDigits,
+    cardinal,
+    ordinal,
+    year,
+    numberToWords,
+    expandNumbers,
+};
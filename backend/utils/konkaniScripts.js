@@ -0,0 +1,144 @@
+/**
+ * Scripts Konkani is written in
+ * Devanagari is the canonical script: sentences are stored, split and transliterated to IAST in
+ * Devanagari. Stories written in Kannada, Malayalam or Romi (Roman) script are converted to
+ * Devanagari on import, and every sentence keeps a variant in each other script for contributors
+ * who read that script more fluently (sentences.text_variants).
+ */
+
+const Sanscript = require('sanscript');
+const { devanagariToRomi, romiToDevanagari } = require('./romi');
+const { devanagariToIAST, iastToDevanagari } = require('./transliterate-canonical');
+
+const CANONICAL_SCRIPT = 'devanagari';
+const SCRIPTS = ['devanagari', 'kannada', 'romi', 'malayalam'];
+const VARIANT_SCRIPTS = SCRIPTS.filter(s => s !== CANONICAL_SCRIPT);
+// Every spelling text can be converted from or to (IAST is stored as sentences.text_iast)
+const SCHEMES = [...SCRIPTS, 'iast'];
+
+const SCRIPT_LABELS = {
+    devanagari: 'देवनागरी',
+    kannada: 'ಕನ್ನಡ',
+    romi: 'Romi',
+    malayalam: 'മലയാളം',
+};
+
+const SCRIPT_RANGES = {
+    devanagari: /[\u0900-\u097F]/g,
+    kannada: /[\u0C80-\u0CFF]/g,
+    malayalam: /[\u0D00-\u0D7F]/g,
+    romi: /[A-Za-z\u00C0-\u024F]/g,
+};
+
+// Letters only IAST uses; Latin text without any of them is read as Romi
+const IAST_LETTERS = /[āīūṛṝḷḹṃṁḥṅñṭḍṇśṣḻ]/i;
+
+// Letters Sanscript does not map between the Brahmic scripts
+const NUKTA = '\u093C';
+const FROM_DEVANAGARI = {
+    kannada: [[/ऴ/g, 'ೞ'], [NUKTA, '\u0CBC'], [/[।॥]/g, '.']],
+    malayalam: [[/ऴ/g, 'ഴ'], [NUKTA, ''], [/[।॥]/g, '.']],
+};
+const TO_DEVANAGARI = {
+    kannada: [[/ೞ/g, 'ऴ'], [/\u0CBC/g, NUKTA]],
+    malayalam: [[/ഴ/g, 'ऴ']],
+};
+// Kannada and Malayalam distinguish short e/o, which Konkani Devanagari does not
+const SHORT_VOWELS = [[/ऎ/g, 'ए'], [/ऒ/g, 'ओ'], [/ॆ/g, 'े'], [/ॊ/g, 'ो']];
+
+function replaceAll(text, replacements) {
+    return replacements.reduce((out, [from, to]) => (
+        typeof from === 'string' ? out.split(from).join(to) : out.replace(from, to)
+    ), text);
+}
+
+/**
+ * The script most of a text's letters are in
+ * @param {string} text
+ * @returns {string|null} - One of SCRIPTS, or null if the text has no letters
+ */
+function detectScript(text) {
+    let best = null;
+    let bestCount = 0;
+    for (const script of SCRIPTS) {
+        const count = (String(text || '').match(SCRIPT_RANGES[script]) || []).length;
+        if (count > bestCount) {
+            best = script;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Like detectScript(), but Latin text is told apart as IAST or Romi
+ * @param {string} text
+ * @returns {string|null} - One of SCHEMES
+ */
+function detectScheme(text) {
+    const script = detectScript(text);
+    return script === 'romi' && IAST_LETTERS.test(String(text).normalize('NFC')) ? 'iast' : script;
+}
+
+/**
+ * Convert Konkani text in any supported script to Devanagari
+ * @param {string} text
+ * @param {string} script - One of SCHEMES
+ * @returns {string}
+ */
+function toDevanagari(text, script) {
+    if (!text) return '';
+    if (script === 'devanagari') return text;
+    if (script === 'romi') return romiToDevanagari(text);
+    if (script === 'iast') return iastToDevanagari(text);
+    if (script === 'kannada' || script === 'malayalam') {
+        const converted = Sanscript.t(replaceAll(text, TO_DEVANAGARI[script]), script, 'devanagari');
+        return replaceAll(converted, SHORT_VOWELS);
+    }
+    throw new Error(`Unsupported script: ${script}`);
+}
+
+/**
+ * Convert Devanagari Konkani to another supported script
+ * @param {string} text
+ * @param {string} script - One of SCHEMES
+ * @returns {string}
+ */
+function fromDevanagari(text, script) {
+    if (!text) return '';
+    if (script === 'devanagari') return text;
+    if (script === 'romi') return devanagariToRomi(text);
+    if (script === 'iast') return devanagariToIAST(text);
+    if (script === 'kannada' || script === 'malayalam') {
+        return Sanscript.t(replaceAll(text, FROM_DEVANAGARI[script]), 'devanagari', script);
+    }
+    throw new Error(`Unsupported script: ${script}`);
+}
+
+/**
+ * A sentence in every variant script
+ * The script a story was written in keeps the author's own spelling instead of a conversion.
+ * @param {string} devanagari - Canonical text
+ * @param {object} [original] - { script, text } as written in the imported story
+ * @returns {object} - { kannada, romi, malayalam }
+ */
+function scriptVariants(devanagari, original = null) {
+    const variants = {};
+    for (const script of VARIANT_SCRIPTS) {
+        variants[script] = original && original.script === script ? original.text : fromDevanagari(devanagari, script);
+    }
+    return variants;
+}
+
+module.exports = {
+    CANONICAL_SCRIPT,
+    SCRIPTS,
+    VARIANT_SCRIPTS,
+    SCHEMES,
+    SCRIPT_LABELS,
+    detectScript,
+    detectScheme,
+    toDevanagari,
+    fromDevanagari,
+    scriptVariants,
+};
@@ -0,0 +1,69 @@
+/**
+ * Over-long sentences
+ * A take longer than the recording cap is rejected by the audio validator, so the importers check
+ * every sentence's expected reading time (sentenceDuration.js) and either flag the ones over the
+ * limit or split them at commas/conjunctions (sentenceSplitter.js). Pieces of a split sentence
+ * remember it as their parent so exports can join the segments again.
+ */
+
+const { splitLongSentence } = require('./sentenceSplitter');
+const { MAX_RECORDING_SECONDS, secondsPerWord, checkSentenceLength } = require('./sentenceDuration');
+
+const LONG_SENTENCE_MODES = ['flag', 'split'];
+
+// Fewest words per piece the splitter is asked for before giving up
+const MIN_SPLIT_WORDS = 2;
+
+/**
+ * Pieces of a sentence that each fit within maxSeconds, if the splitter can find them
+ * Starts from the word budget of the limit and lowers it while a piece is still too long
+ * (char_count can make a piece longer than its word count suggests).
+ * @param {string} text
+ * @param {number} maxSeconds
+ * @returns {string[]}
+ */
+function splitToFit(text, maxSeconds) {
+    let maxWords = Math.max(MIN_SPLIT_WORDS, Math.floor(maxSeconds / secondsPerWord()));
+    let pieces = splitLongSentence(text, { maxWords });
+    while (maxWords > MIN_SPLIT_WORDS && pieces.some(p => checkSentenceLength(p, { maxSeconds }).length_warning === 'too_long')) {
+        maxWords--;
+        pieces = splitLongSentence(text, { maxWords });
+    }
+    return pieces;
+}
+
+/**
+ * Check a story's sentences against the reading-time limit and optionally split long ones
+ * @param {string[]} sentences - In story order
+ * @param {object} [options]
+ * @param {number} [options.maxSeconds=MAX_RECORDING_SECONDS]
+ * @param {string} [options.mode='flag'] - 'flag' only reports, 'split' also splits
+ * @returns {object[]} - In story order: { text, parent, segment_index, segment_count, word_count,
+ *   estimated_seconds, length_warning }. parent is the original sentence (null unless it was split);
+ *   segment_index counts from 1.
+ */
+function fitSentencesToLimit(sentences, { maxSeconds = MAX_RECORDING_SECONDS, mode = 'flag' } = {}) {
+    if (!LONG_SENTENCE_MODES.includes(mode)) {
+        throw new Error(`Unknown long sentence mode "${mode}" (use ${LONG_SENTENCE_MODES.join(' or ')})`);
+    }
+
+    return sentences.flatMap((text) => {
+        const check = checkSentenceLength(text, { maxSeconds });
+        const pieces = mode === 'split' && check.length_warning === 'too_long' ? splitToFit(text, maxSeconds) : [text];
+        if (pieces.length === 1) {
+            return [{ text, parent: null, segment_index: null, segment_count: null, ...check }];
+        }
+        return pieces.map((piece, i) => ({
+            text: piece,
+            parent: text,
+            segment_index: i + 1,
+            segment_count: pieces.length,
+            ...checkSentenceLength(piece, { maxSeconds }),
+        }));
+    });
+}
+
+module.exports = {
+    LONG_SENTENCE_MODES,
+    fitSentencesToLimit,
+};
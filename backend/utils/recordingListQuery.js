@@ -0,0 +1,315 @@
+/**
+ * Query builder for the review listing (GET /api/recordings)
+ * Turns query-string filters, sort options and an opaque cursor into parameterised SQL
+ * with keyset pagination, so the listing never has to load every recording at once.
+ */
+
+const { REVIEW_STATUSES } = require('./reviewReasons');
+const { CONSENSUS_OUTCOMES } = require('./consensus');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const STATUSES = [...new Set([...REVIEW_STATUSES, ...CONSENSUS_OUTCOMES])];
+const VALIDATION_STATUSES = ['pending', 'passed', 'warning', 'failed'];
+
+// Sort columns (with the type used to cast cursor values back); r.id is always the final tiebreaker
+const SORTS = {
+    user: [
+        { expr: 'r.user_id', type: 'text' },
+        { expr: 's.story_id', type: 'int' },
+        { expr: 's.order_in_story', type: 'int' },
+    ],
+    story: [
+        { expr: 's.story_id', type: 'int' },
+        { expr: 's.order_in_story', type: 'int' },
+    ],
+    created_at: [{ expr: 'r.created_at', type: 'timestamptz' }],
+    duration: [{ expr: 'COALESCE(r.duration_seconds, 0)', type: 'float8' }],
+};
+const SORT_KEYS = Object.keys(SORTS);
+
+// Which sentence text version the speaker read; recorded_text is only set when the sentence
+// was edited after recording (shared with the review queue)
+const TEXT_VERSION_COLUMNS = `
+    r.sentence_version,
+    s.text_version as current_sentence_version,
+    r.sentence_version < s.text_version as text_changed,
+    CASE WHEN r.sentence_version < s.text_version THEN (
+        SELECT sv.text_devanagari FROM sentence_versions sv
+        WHERE sv.sentence_id = s.id AND sv.version = r.sentence_version
+    ) END as recorded_text`;
+
+const LIST_COLUMNS = `
+    r.id,
+    r.audio_filepath,
+    r.duration_seconds as duration,
+    r.status,
+    r.created_at,
+    r.user_id,
+    r.reviewed_by,
+    r.reviewed_at,
+    r.rejection_reason,
+    r.review_notes,
+    r.review_method,
+    r.validation_status,
+    r.needs_rerecording,${TEXT_VERSION_COLUMNS},
+    s.id as sentence_id,
+    s.order_in_story,
+    s.text_devanagari as sentence_text,
+    st.id as story_id,
+    st.title as story_title`;
+
+const FROM = `
+    FROM recordings r
+    JOIN sentences s ON r.sentence_id = s.id
+    JOIN stories st ON s.story_id = st.id`;
+
+/**
+ * Parse and validate listing options from a query string
+ * @param {object} query - req.query
+ * @returns {{ options: object, errors: string[] }}
+ */
+function parseListParams(query = {}) {
+    const errors = [];
+    const options = {
+        status: parseList(query.status),
+        validation_status: parseList(query.validation_status),
+        user: query.user ? String(query.user).toLowerCase().trim() : null,
+        story_id: null,
+        from: null,
+        to: null,
+        min_duration: null,
+        max_duration: null,
+        needs_rerecording: null,
+        text_changed: null,
+        all_takes: query.all_takes === 'true',
+        sort: query.sort || 'user',
+        order: (query.order || 'asc').toLowerCase(),
+        limit: DEFAULT_LIMIT,
+        cursor: null,
+    };
+
+    const badStatus = options.status.filter(s => !STATUSES.includes(s));
+    if (badStatus.length > 0) {
+        errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const badValidation = options.validation_status.filter(s => !VALIDATION_STATUSES.includes(s));
+    if (badValidation.length > 0) {
+        errors.push(`validation_status must be one of: ${VALIDATION_STATUSES.join(', ')}`);
+    }
+
+    if (query.story_id !== undefined) {
+        options.story_id = parseInt(query.story_id);
+        if (isNaN(options.story_id)) errors.push('story_id must be a number');
+    }
+
+    for (const key of ['from', 'to']) {
+        if (query[key] === undefined) continue;
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+            errors.push(`${key} must be a date or timestamp`);
+            continue;
+        }
+        // A plain date for `to` includes that whole day
+        if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+            date.setUTCDate(date.getUTCDate() + 1);
+        }
+        options[key] = date.toISOString();
+    }
+
+    for (const key of ['min_duration', 'max_duration']) {
+        if (query[key] === undefined) continue;
+        options[key] = parseFloat(query[key]);
+        if (isNaN(options[key]) || options[key] < 0) errors.push(`${key} must be a non-negative number`);
+    }
+
+    for (const key of ['needs_rerecording', 'text_changed']) {
+        if (query[key] === undefined) continue;
+        if (!['true', 'false'].includes(query[key])) {
+            errors.push(`${key} must be true or false`);
+        } else {
+            options[key] = query[key] === 'true';
+        }
+    }
+
+    if (!SORT_KEYS.includes(options.sort)) {
+        errors.push(`sort must be one of: ${SORT_KEYS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(options.order)) {
+        errors.push('order must be asc or desc');
+    }
+
+    if (query.limit !== undefined) {
+        options.limit = parseInt(query.limit);
+        if (isNaN(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+            errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+        }
+    }
+
+    if (query.cursor) {
+        options.cursor = decodeCursor(query.cursor, options);
+        if (!options.cursor) errors.push('Invalid cursor (it must come from a listing with the same sort and order)');
+    }
+
+    return { options, errors };
+}
+
+/**
+ * Build the page, total-count and per-status count queries
+ * @param {object} options - From parseListParams()
+ * @param {string} viewer - Email of the reviewer (for my_vote)
+ * @returns {{ list: object, count: object, statusCounts: object }} - Each { text, values }
+ */
+function buildRecordingListQuery(options, viewer) {
+    const sortColumns = [...SORTS[options.sort], { expr: 'r.id', type: 'int' }];
+    const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+
+    // Page query
+    const values = [viewer];
+    const where = buildFilters(options, values);
+    if (options.cursor) {
+        const placeholders = sortColumns.map((col, i) => {
+            values.push(options.cursor[i]);
+            return `$${values.length}::${col.type}`;
+        });
+        where.push(`(${sortColumns.map(c => c.expr).join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${placeholders.join(', ')})`);
+    }
+    values.push(options.limit + 1);
+
+    const list = {
+        text: `SELECT ${LIST_COLUMNS},
+                (SELECT COUNT(*) FROM recording_votes v
+                 WHERE v.recording_id = r.id AND v.vote = 'approve')::int as approve_votes,
+                (SELECT COUNT(*) FROM recording_votes v
+                 WHERE v.recording_id = r.id AND v.vote = 'reject')::int as reject_votes,
+                (SELECT v.vote FROM recording_votes v
+                 WHERE v.recording_id = r.id AND v.reviewer = $1) as my_vote,
+                ${sortColumns.map((c, i) => `(${c.expr})::text as cursor_${i}`).join(',\n                ')}
+            ${FROM}
+            ${whereClause(where)}
+            ORDER BY ${sortColumns.map(c => `${c.expr} ${direction}`).join(', ')}
+            LIMIT $${values.length}`,
+        values,
+    };
+
+    // Total (and how many are flagged for re-recording or were read against an older sentence text)
+    // for the current filters (ignores the cursor)
+    const countValues = [];
+    const countWhere = buildFilters(options, countValues);
+    const count = {
+        text: `SELECT COUNT(*)::int AS total,
+                    COUNT(*) FILTER (WHERE r.needs_rerecording)::int AS flagged,
+                    COUNT(*) FILTER (WHERE r.sentence_version < s.text_version)::int AS text_changed
+                ${FROM} ${whereClause(countWhere)}`,
+        values: countValues,
+    };
+
+    // Per-status totals for the same filters minus the status filter (review.html summary)
+    const statusValues = [];
+    const statusWhere = buildFilters({ ...options, status: [] }, statusValues);
+    const statusCounts = {
+        text: `SELECT r.status, COUNT(*)::int AS count ${FROM} ${whereClause(statusWhere)} GROUP BY r.status`,
+        values: statusValues,
+    };
+
+    return { list, count, statusCounts };
+}
+
+/**
+ * Turn the rows of a page query into the response page
+ * @param {object[]} rows - Result of the list query (limit + 1 rows)
+ * @param {object} options - From parseListParams()
+ * @returns {{ recordings: object[], next_cursor: string|null }}
+ */
+function toPage(rows, options) {
+    const hasMore = rows.length > options.limit;
+    const pageRows = rows.slice(0, options.limit);
+    const cursorKeys = Object.keys(pageRows[0] || {}).filter(key => key.startsWith('cursor_'));
+
+    const last = pageRows[pageRows.length - 1];
+    const nextCursor = hasMore && last
+        ? encodeCursor(options, cursorKeys.map(key => last[key]))
+        : null;
+
+    const recordings = pageRows.map(row => {
+        const recording = { ...row };
+        cursorKeys.forEach(key => delete recording[key]);
+        return recording;
+    });
+
+    return { recordings, next_cursor: nextCursor };
+}
+
+function buildFilters(options, values) {
+    const where = [];
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    if (!options.all_takes) {
+        // Only the latest take per sentence per speaker
+        where.push(`NOT EXISTS (
+                SELECT 1 FROM recordings newer
+                WHERE newer.sentence_id = r.sentence_id
+                  AND newer.user_id = r.user_id
+                  AND newer.created_at > r.created_at
+            )`);
+    }
+    if (options.status.length > 0) where.push(`r.status = ANY(${param(options.status)}::text[])`);
+    if (options.validation_status.length > 0) {
+        where.push(`r.validation_status = ANY(${param(options.validation_status)}::text[])`);
+    }
+    if (options.user) where.push(`r.user_id = ${param(options.user)}`);
+    if (options.story_id !== null) where.push(`s.story_id = ${param(options.story_id)}`);
+    if (options.from) where.push(`r.created_at >= ${param(options.from)}::timestamptz`);
+    if (options.to) where.push(`r.created_at < ${param(options.to)}::timestamptz`);
+    if (options.min_duration !== null) where.push(`r.duration_seconds >= ${param(options.min_duration)}`);
+    if (options.max_duration !== null) where.push(`r.duration_seconds <= ${param(options.max_duration)}`);
+    if (options.needs_rerecording !== null) {
+        where.push(`COALESCE(r.needs_rerecording, FALSE) = ${param(options.needs_rerecording)}`);
+    }
+    if (options.text_changed !== null) {
+        where.push(`(r.sentence_version < s.text_version) = ${param(options.text_changed)}`);
+    }
+
+    return where;
+}
+
+function whereClause(where) {
+    return where.length > 0 ? `WHERE ${where.join('\n              AND ')}` : '';
+}
+
+function parseList(value) {
+    if (value === undefined || value === '') return [];
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort, order and last row's sort values
+function encodeCursor(options, values) {
+    return Buffer.from(JSON.stringify({ s: options.sort, o: options.order, v: values })).toString('base64url');
+}
+
+function decodeCursor(cursor, options) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const expectedLength = (SORTS[options.sort] || []).length + 1;
+        if (decoded.s !== options.sort || decoded.o !== options.order) return null;
+        if (!Array.isArray(decoded.v) || decoded.v.length !== expectedLength) return null;
+        if (!decoded.v.every(v => typeof v === 'string')) return null;
+        return decoded.v;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    SORT_KEYS,
+    TEXT_VERSION_COLUMNS,
+    parseListParams,
+    buildRecordingListQuery,
+    toPage,
+};
@@ -0,0 +1,55 @@
+/**
+ * Review vocabulary shared by the review API and review.html
+ * Rejection reasons are stored as codes in recordings.rejection_reason
+ */
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'deleted'];
+
+const REJECTION_REASONS = [
+    { code: 'background_noise', label: 'Background noise' },
+    { code: 'misread', label: 'Misread / wrong words' },
+    { code: 'clipped', label: 'Clipped (start or end cut off)' },
+    { code: 'wrong_sentence', label: 'Wrong sentence recorded' },
+    { code: 'too_quiet', label: 'Too quiet / hard to hear' },
+    { code: 'distorted', label: 'Distorted audio' },
+    { code: 'silent', label: 'Silent or empty' },
+    { code: 'other', label: 'Other (explain in notes)' },
+];
+
+const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * Validate a review update
+ * @param {object} review - { status, rejection_reason, notes }
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateReview({ status, rejection_reason, notes }) {
+    const errors = [];
+
+    if (!REVIEW_STATUSES.includes(status)) {
+        errors.push(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    if (status === 'rejected') {
+        const codes = REJECTION_REASONS.map(r => r.code);
+        if (!codes.includes(rejection_reason)) {
+            errors.push(`rejection_reason is required when rejecting and must be one of: ${codes.join(', ')}`);
+        } else if (rejection_reason === 'other' && !(notes && String(notes).trim())) {
+            errors.push('notes are required when rejection_reason is "other"');
+        }
+    } else if (rejection_reason) {
+        errors.push('rejection_reason is only allowed when status is "rejected"');
+    }
+
+    if (notes && String(notes).length > MAX_NOTES_LENGTH) {
+        errors.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    REJECTION_REASONS,
+    validateReview,
+};
@@ -0,0 +1,242 @@
+/**
+ * Romi (Roman-script Konkani) <-> Devanagari
+ * Romi follows Goan spelling habits rather than a one-to-one scheme: the inherent vowel is written
+ * "o" (घर = ghor) and dropped at the end of a word, long and short vowels look the same, and a
+ * doubled letter marks a retroflex (tt = ट, nn = ण, ll = ळ). Converting is therefore lossy in both
+ * directions. devanagariToRomi() writes one consistent spelling, and romiToDevanagari() reads
+ * that spelling back to the same Romi when converted again. romiToDevanagari() reads "o" as ो
+ * except where Romi writes the inherent vowel of a single consonant before a vowel or the end of
+ * the word (ghor = घर, ghora = घरा, but konknni = कोंक्णी, bhoplla = भोप्ळा, goem = गोएं).
+ */
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ng',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'ny',
+    'ट': 'tt', 'ठ': 'tth', 'ड': 'dd', 'ढ': 'ddh', 'ण': 'nn',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'x', 'ष': 'x', 'स': 's', 'ह': 'h',
+    'ळ': 'll', 'ऴ': 'll',
+};
+
+// Consonant + nukta
+const NUKTA_CONSONANTS = { 'ज': 'z', 'फ': 'f', 'क': 'k', 'ख': 'kh', 'ग': 'g', 'ड': 'dd', 'ढ': 'ddh' };
+
+const VOWELS = {
+    'अ': 'o', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ru',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o', 'ॲ': 'o', 'ऎ': 'e', 'ऒ': 'o',
+};
+
+const MATRAS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ru',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o', 'ॆ': 'e', 'ॊ': 'o',
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const ANUSVARA = 'ं';
+const CHANDRABINDU = 'ँ';
+const VISARGA = 'ः';
+const LABIALS = ['p', 'ph', 'b', 'bh', 'm'];
+
+const isDevanagariLetter = c => /[\u0900-\u0963\u0971-\u097F]/.test(c || '');
+
+// Devanagari as a list of units: consonant (C), vowel or matra (V), inherent vowel (A), nasal (N), other
+function toUnits(text) {
+    const chars = Array.from(text.normalize('NFC'));
+    const units = [];
+
+    for (let i = 0; i < chars.length; i++) {
+        const c = chars[i];
+
+        if (CONSONANTS[c]) {
+            let romi = CONSONANTS[c];
+            if (chars[i + 1] === NUKTA) {
+                romi = NUKTA_CONSONANTS[c] || romi;
+                i++;
+            }
+            units.push({ kind: 'C', romi });
+
+            const next = chars[i + 1];
+            if (MATRAS[next]) {
+                units.push({ kind: 'V', romi: MATRAS[next] });
+                i++;
+            } else if (next === VIRAMA) {
+                i++;
+            } else if (isDevanagariLetter(next)) {
+                // The inherent vowel is silent at the end of a word
+                units.push({ kind: 'A', romi: 'o' });
+            }
+        } else if (VOWELS[c]) {
+            units.push({ kind: 'V', romi: VOWELS[c] });
+        } else if (c === ANUSVARA || c === CHANDRABINDU) {
+            // Written n before a consonant (m before p/b/m) and m at the end of a word
+            const following = CONSONANTS[chars[i + 1]];
+            units.push({ kind: 'N', romi: following && !LABIALS.includes(following) ? 'n' : 'm' });
+        } else if (c === VISARGA) {
+            units.push({ kind: 'N', romi: 'h' });
+        } else if (c === '।' || c === '॥') {
+            units.push({ kind: 'other', romi: '.' });
+        } else if (c >= '०' && c <= '९') {
+            units.push({ kind: 'other', romi: String(c.charCodeAt(0) - '०'.charCodeAt(0)) });
+        } else if (c !== NUKTA && c !== VIRAMA && !/[\u200C\u200D]/.test(c)) {
+            // Zero-width joiners and stray marks have no Romi spelling
+            units.push({ kind: 'other', romi: c });
+        }
+    }
+    return units;
+}
+
+/**
+ * Devanagari Konkani to Romi
+ * Inside a word the inherent vowel is dropped between a vowel+consonant and a consonant+vowel
+ * (आमचें = amchem), as it is in speech.
+ * @param {string} text
+ * @returns {string}
+ */
+function devanagariToRomi(text) {
+    if (!text) return '';
+    const units = toUnits(text);
+    const isVowel = u => u && (u.kind === 'V' || u.kind === 'N' || (u.kind === 'A' && !u.silent));
+
+    // Right to left, so a dropped vowel no longer counts as the vowel after an earlier one
+    for (let j = units.length - 1; j >= 0; j--) {
+        if (units[j].kind !== 'A') continue;
+        if (units[j - 1].kind === 'C' && isVowel(units[j - 2])
+            && units[j + 1] && units[j + 1].kind === 'C' && isVowel(units[j + 2])) {
+            units[j].silent = true;
+        }
+    }
+
+    return units.filter(u => !u.silent).map(u => u.romi).join('');
+}
+
+// Romi consonant spellings, longest first so "chh" wins over "ch" and "c"
+const ROMI_CONSONANTS = [
+    ['chh', 'छ'], ['tth', 'ठ'], ['ddh', 'ढ'],
+    ['kh', 'ख'], ['gh', 'घ'], ['ch', 'च'], ['jh', 'झ'], ['tt', 'ट'], ['dd', 'ड'], ['nn', 'ण'],
+    ['th', 'थ'], ['dh', 'ध'], ['ph', 'फ'], ['bh', 'भ'], ['ll', 'ळ'], ['sh', 'श'],
+    ['k', 'क'], ['g', 'ग'], ['c', 'क'], ['q', 'क'], ['j', 'ज'], ['z', 'ज़'], ['t', 'त'], ['d', 'द'],
+    ['n', 'न'], ['p', 'प'], ['f', 'फ़'], ['b', 'ब'], ['m', 'म'], ['y', 'य'], ['r', 'र'],
+    ['l', 'ल'], ['v', 'व'], ['w', 'व'], ['x', 'श'], ['s', 'स'], ['h', 'ह'],
+];
+
+const ROMI_VOWELS = [
+    ['ai', 'ऐ', 'ै'], ['au', 'औ', 'ौ'],
+    ['a', 'आ', 'ा'], ['e', 'ए', 'े'], ['i', 'इ', 'ि'], ['o', 'अ', ''], ['u', 'उ', 'ु'],
+];
+
+function matchAt(text, i, table) {
+    return table.find(([spelling]) => text.startsWith(spelling, i)) || null;
+}
+
+function tokenize(word) {
+    const tokens = [];
+    let i = 0;
+    while (i < word.length) {
+        const vowel = matchAt(word, i, ROMI_VOWELS);
+        if (vowel) {
+            tokens.push({ type: 'vowel', spelling: vowel[0], independent: vowel[1], matra: vowel[2] });
+            i += vowel[0].length;
+        } else {
+            const consonant = matchAt(word, i, ROMI_CONSONANTS);
+            if (consonant) {
+                tokens.push({ type: 'consonant', spelling: consonant[0], letter: consonant[1] });
+                i += consonant[0].length;
+            } else if (word[i] === '\u0303') {
+                tokens.push({ type: 'nasal' });
+                i++;
+            } else {
+                tokens.push({ type: 'other', text: word[i] });
+                i++;
+            }
+        }
+    }
+    return tokens;
+}
+
+// n/m after a vowel marks nasalisation before a consonant (m only before p/b/m) and at the end of a word
+function isNasalSign(tokens, k) {
+    const token = tokens[k];
+    const prev = tokens[k - 1];
+    const next = tokens[k + 1];
+    if (token.spelling !== 'n' && token.spelling !== 'm') return false;
+    if (!prev || (prev.type !== 'vowel' && prev.type !== 'nasal')) return false;
+    return !next || (next.type === 'consonant' && (token.spelling === 'n' || LABIALS.includes(next.spelling)));
+}
+
+// "o" after a consonant is the inherent vowel when one consonant follows and then a vowel or the
+// end of the word (ghor, ghora); before a cluster, a nasal or a vowel it is ो (bhoplla, konknni, goem)
+function isInherentVowel(tokens, k) {
+    const next = tokens[k + 1];
+    const after = tokens[k + 2];
+    if (!next || next.type !== 'consonant' || isNasalSign(tokens, k + 1)) return false;
+    return !after || after.type === 'vowel';
+}
+
+// One word of Romi (letters only) to Devanagari
+function romiWordToDevanagari(word) {
+    const tokens = tokenize(word);
+    let out = '';
+
+    for (let k = 0; k < tokens.length; k++) {
+        const token = tokens[k];
+        const prev = tokens[k - 1];
+        const next = tokens[k + 1];
+        const last = k === tokens.length - 1;
+
+        if (token.type === 'vowel') {
+            if (prev && prev.type === 'consonant') {
+                // A final "i" is long (-chi = ची)
+                if (token.spelling === 'o') {
+                    out += isInherentVowel(tokens, k) ? '' : 'ो';
+                } else if (token.spelling === 'i' && last) {
+                    out += 'ी';
+                } else {
+                    out += token.matra;
+                }
+            } else {
+                out += token.independent;
+            }
+            continue;
+        }
+
+        if (token.type === 'nasal') {
+            out += ANUSVARA;
+            continue;
+        }
+
+        if (token.type === 'consonant') {
+            if (isNasalSign(tokens, k)) {
+                out += ANUSVARA;
+                continue;
+            }
+            out += token.letter;
+            if (next && next.type === 'consonant') out += VIRAMA;
+            continue;
+        }
+
+        out += token.text;
+    }
+
+    return out;
+}
+
+/**
+ * Romi to Devanagari Konkani
+ * @param {string} text
+ * @returns {string}
+ */
+function romiToDevanagari(text) {
+    if (!text) return '';
+    return text
+        .normalize('NFD')
+        .toLowerCase()
+        .replace(/[a-z\u0303]+/g, romiWordToDevanagari)
+        .normalize('NFC');
+}
+
+module.exports = {
+    devanagariToRomi,
+    romiToDevanagari,
+};
@@ -0,0 +1,120 @@
+/**
+ * Context-sensitive rewrite rules for transliteration
+ * Rules come from transliteration_rules.json, one array per rule set:
+ *   { "from": "a", "to": "", "left": "[kg]", "right": "#", "priority": 10, "note": "..." }
+ * from, left and right are regular expressions; "#" in left/right stands for a word boundary
+ * (start or end of the text, or a character that is not a letter or mark). The text is rewritten
+ * in one left-to-right pass: at each position the rules whose from matches there and whose left
+ * and right contexts match the surrounding input are candidates, and the one with the highest
+ * priority wins (then the longest match, then the earlier rule). Contexts are matched against
+ * the input, not the output of earlier rewrites, so the order of rules in the file does not matter.
+ * A rule set may name character classes ({ "C": "[kgc...]" }) that its patterns use as {C}.
+ */
+
+const LEFT_BOUNDARY = '(?:^|[^\\p{L}\\p{M}])';
+const RIGHT_BOUNDARY = '(?:$|[^\\p{L}\\p{M}])';
+
+// Replace "#" (unless escaped or inside a character class) with a word boundary pattern
+function expandBoundaries(pattern, boundary) {
+    let out = '';
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '\\') {
+            // "\#" is a literal # (unicode-mode patterns do not allow the escape itself)
+            out += pattern[i + 1] === '#' ? '#' : c + (pattern[i + 1] || '');
+            i++;
+        } else if (c === '[') {
+            inClass = true;
+            out += c;
+        } else if (c === ']') {
+            inClass = false;
+            out += c;
+        } else if (c === '#' && !inClass) {
+            out += boundary;
+        } else {
+            out += c;
+        }
+    }
+    return out;
+}
+
+// Replace {Name} with the named class; other braces (quantifiers such as {2}) are left alone
+function expandClasses(pattern, classes) {
+    return pattern.replace(/\{([A-Za-z_]\w*)\}/g, (token, name) => (
+        Object.prototype.hasOwnProperty.call(classes, name) ? `(?:${classes[name]})` : token
+    ));
+}
+
+/**
+ * Compile a rule set
+ * @param {object[]} rules - [{ from, to?, left?, right?, priority? }]
+ * @param {object} [options]
+ * @param {object} [options.classes] - Character classes the patterns refer to as {Name}
+ * @returns {object[]} - Compiled rules for applyRuleSet
+ */
+function compileRules(rules, { classes = {} } = {}) {
+    return (rules || []).map((rule, index) => {
+        if (typeof rule.from !== 'string' || rule.from === '') {
+            throw new Error(`Rule ${index + 1} has no "from" pattern`);
+        }
+        const from = expandClasses(rule.from, classes);
+        const left = rule.left ? `(?<=${expandBoundaries(expandClasses(rule.left, classes), LEFT_BOUNDARY)})` : '';
+        const right = rule.right ? `(?=${expandBoundaries(expandClasses(rule.right, classes), RIGHT_BOUNDARY)})` : '';
+        try {
+            return {
+                index,
+                to: rule.to || '',
+                priority: Number(rule.priority) || 0,
+                pattern: new RegExp(`${left}(?:${from})${right}`, 'uy'),
+            };
+        } catch (error) {
+            throw new Error(`Rule ${index + 1} (${rule.from}) is not a valid pattern: ${error.message}`);
+        }
+    });
+}
+
+// Best rule matching at position i: [length, to] or null
+function matchAt(text, i, compiled) {
+    let best = null;
+    for (const rule of compiled) {
+        rule.pattern.lastIndex = i;
+        const match = rule.pattern.exec(text);
+        if (!match || match[0].length === 0) continue;
+        if (!best
+            || rule.priority > best.priority
+            || (rule.priority === best.priority && match[0].length > best.length)) {
+            best = { priority: rule.priority, length: match[0].length, to: rule.to };
+        }
+    }
+    return best;
+}
+
+/**
+ * Rewrite text with a compiled rule set
+ * @param {string} text
+ * @param {object[]} compiled - From compileRules
+ * @returns {string}
+ */
+function applyRuleSet(text, compiled) {
+    if (!text || compiled.length === 0) return text || '';
+    let out = '';
+    let i = 0;
+    while (i < text.length) {
+        const best = matchAt(text, i, compiled);
+        if (best) {
+            out += best.to;
+            i += best.length;
+        } else {
+            const c = String.fromCodePoint(text.codePointAt(i));
+            out += c;
+            i += c.length;
+        }
+    }
+    return out;
+}
+
+module.exports = {
+    compileRules,
+    applyRuleSet,
+};
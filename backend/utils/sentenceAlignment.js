@@ -0,0 +1,125 @@
+/**
+ * Align a story's new sentence list against its existing sentences
+ * Used by the non-destructive re-import (scripts/import-story.js --reimport and
+ * POST /api/stories/:id/reimport). Sentences are matched in order, preferring the most similar
+ * text, so a corrected typo is an edit of the existing sentence (its recordings are kept)
+ * rather than a delete plus an insert.
+ */
+
+// Below this similarity two sentences are treated as different sentences
+const DEFAULT_MIN_SIMILARITY = 0.6;
+
+function normalize(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function bigrams(text) {
+    const counts = new Map();
+    const chars = Array.from(text.replace(/\s+/g, ''));
+    for (let i = 0; i < chars.length - 1; i++) {
+        const gram = chars[i] + chars[i + 1];
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Similarity of two sentences: Dice coefficient over character bigrams (whitespace ignored)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0 (nothing in common) to 1 (identical)
+ */
+function sentenceSimilarity(a, b) {
+    const left = normalize(a);
+    const right = normalize(b);
+    if (left === right) return 1;
+
+    const leftGrams = bigrams(left);
+    const rightGrams = bigrams(right);
+    let leftTotal = 0;
+    let rightTotal = 0;
+    let shared = 0;
+    leftGrams.forEach(count => { leftTotal += count; });
+    rightGrams.forEach((count, gram) => {
+        rightTotal += count;
+        shared += Math.min(count, leftGrams.get(gram) || 0);
+    });
+    if (leftTotal + rightTotal === 0) return 0;
+    return (2 * shared) / (leftTotal + rightTotal);
+}
+
+/**
+ * Align existing sentences with a new list of sentence texts
+ * Finds the order-preserving matching with the highest total similarity (pairs below
+ * minSimilarity never match). Every existing sentence ends up kept, edited or retired, and
+ * every new text kept, edited or inserted.
+ * @param {object[]} existing - Active sentences in story order: [{ id, order_in_story, text_devanagari }]
+ * @param {string[]} texts - New sentence texts in story order
+ * @param {object} [options]
+ * @param {number} [options.minSimilarity=0.6]
+ * @returns {object[]} - Operations in new story order (retired sentences where they used to be):
+ *   { action: 'keep'|'edit'|'insert'|'retire', sentence, text, order_in_story, similarity }
+ *   sentence is the existing sentence (null for insert); text and order_in_story are the new
+ *   text and position (null for retire)
+ */
+function alignSentences(existing, texts, { minSimilarity = DEFAULT_MIN_SIMILARITY } = {}) {
+    const n = existing.length;
+    const m = texts.length;
+
+    // score[i][j]: best total similarity aligning existing[i..] with texts[j..]
+    const similarity = existing.map(s => texts.map(t => sentenceSimilarity(s.text_devanagari, t)));
+    const score = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            let best = Math.max(score[i + 1][j], score[i][j + 1]);
+            if (similarity[i][j] >= minSimilarity) {
+                best = Math.max(best, score[i + 1][j + 1] + similarity[i][j]);
+            }
+            score[i][j] = best;
+        }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        const sim = i < n && j < m ? similarity[i][j] : 0;
+        if (i < n && j < m && sim >= minSimilarity && score[i][j] === score[i + 1][j + 1] + sim) {
+            operations.push({
+                action: normalize(existing[i].text_devanagari) === normalize(texts[j]) ? 'keep' : 'edit',
+                sentence: existing[i],
+                text: texts[j],
+                order_in_story: j + 1,
+                similarity: sim,
+            });
+            i++;
+            j++;
+        } else if (i < n && (j >= m || score[i][j] === score[i + 1][j])) {
+            operations.push({ action: 'retire', sentence: existing[i], text: null, order_in_story: null, similarity: null });
+            i++;
+        } else {
+            operations.push({ action: 'insert', sentence: null, text: texts[j], order_in_story: j + 1, similarity: null });
+            j++;
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * Count operations by action
+ * @param {object[]} operations - From alignSentences()
+ * @returns {{ keep: number, edit: number, insert: number, retire: number }}
+ */
+function summarizeAlignment(operations) {
+    const summary = { keep: 0, edit: 0, insert: 0, retire: 0 };
+    operations.forEach(op => { summary[op.action]++; });
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_MIN_SIMILARITY,
+    sentenceSimilarity,
+    alignSentences,
+    summarizeAlignment,
+};
@@ -0,0 +1,79 @@
+/**
+ * Reading-time estimates for sentences
+ * Shared by the audio validator (expected duration of a take), the story import preview,
+ * which warns about sentences that cannot be read within the recording length cap, and the
+ * importers, which can split such sentences (see longSentences.js).
+ */
+
+// Longest take the audio validator accepts
+const MAX_RECORDING_SECONDS = 30;
+
+// Above this share of the cap a slower reader is likely to run out of time
+const NEAR_LIMIT_RATIO = 0.8;
+
+// Average Konkani word length in characters (including the following space), measured on the
+// bundled stories; lets char_count catch sentences of few but long compound words
+const CHARS_PER_WORD = 6.5;
+
+function secondsPerWord() {
+    return parseFloat(process.env.SECONDS_PER_WORD) || 0.45; // ~0.45s per word
+}
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+function countWords(text) {
+    return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Expected reading time of a sentence
+ * @param {string} text
+ * @returns {number} - Seconds
+ */
+function estimateReadingSeconds(text) {
+    return countWords(text) * secondsPerWord();
+}
+
+/**
+ * Expected reading time of a sentence from its word count or its char_count, whichever is longer
+ * @param {string} text
+ * @param {number} [charCount] - sentences.char_count (defaults to the text length)
+ * @returns {number} - Seconds
+ */
+function estimateSentenceSeconds(text, charCount = String(text || '').length) {
+    return Math.max(countWords(text), charCount / CHARS_PER_WORD) * secondsPerWord();
+}
+
+/**
+ * How a sentence's expected reading time compares to the recording cap
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.maxSeconds=MAX_RECORDING_SECONDS] - Limit to check against
+ * @returns {{ word_count: number, estimated_seconds: number, length_warning: string|null }}
+ *   length_warning is 'too_long' (over the limit), 'near_limit' or null
+ */
+function checkSentenceLength(text, { maxSeconds = MAX_RECORDING_SECONDS } = {}) {
+    const estimated = estimateSentenceSeconds(text);
+    let warning = null;
+    if (estimated > maxSeconds) {
+        warning = 'too_long';
+    } else if (estimated > maxSeconds * NEAR_LIMIT_RATIO) {
+        warning = 'near_limit';
+    }
+    return {
+        word_count: countWords(text),
+        estimated_seconds: Math.round(estimated * 10) / 10,
+        length_warning: warning,
+    };
+}
+
+module.exports = {
+    MAX_RECORDING_SECONDS,
+    countWords,
+    secondsPerWord,
+    estimateReadingSeconds,
+    estimateSentenceSeconds,
+    checkSentenceLength,
+};
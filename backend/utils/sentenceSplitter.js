@@ -0,0 +1,233 @@
+/**
+ * Sentence splitting for story text
+ * The only segmentation used for stories: scripts/import-story.js, import-all-stories-to-railway.js,
+ * preview-story.js and the story management API (POST/PATCH /api/stories, preview and re-import)
+ * all call splitIntoSentences(), so a preview always matches the import.
+ */
+
+// Words whose trailing '.' is part of the word, not the end of a sentence
+const DEFAULT_ABBREVIATIONS = [
+    'डॉ', 'श्री', 'श्रीमती', 'सौ', 'कु', 'प्रा', 'स्व', 'क्र', 'उदा', 'इ',
+    'Dr', 'Mr', 'Mrs', 'Ms', 'St', 'Fr', 'etc',
+];
+
+// Konkani conjunctions a long sentence may be split before
+const DEFAULT_CONJUNCTIONS = [
+    'आनी', 'आनि', 'पूण', 'पुण', 'पुणि', 'म्हणून', 'म्हूण', 'देखून', 'ज़ाल्यारि', 'जाल्यार',
+];
+
+const DEFAULT_OPTIONS = {
+    danda: true,                        // । and ॥ end a sentence
+    newlines: true,                     // A line break ends a sentence
+    punctuation: '.!?',                 // End a sentence outside quotes; runs such as "...." or "?!" stay together
+    quotes: true,                       // A quoted utterance is kept whole and ends at its closing quote
+    quotePairs: [['"', '"'], ['“', '”']],
+    abbreviations: DEFAULT_ABBREVIATIONS,
+    maxWords: null,                     // Split longer sentences (see splitLongSentence)
+    minWords: 2,                        // Shortest piece an auto-split may leave
+    conjunctions: DEFAULT_CONJUNCTIONS,
+};
+
+const PARAGRAPH_BREAK = /\n[^\S\n]*\n/g;
+const CLOSING_MARKS = '"”’)]';
+
+/**
+ * Positions of quote characters that open or close a quote
+ * Quotes are paired within a paragraph; a quote left open at a blank line (or the end of the text)
+ * is treated as an ordinary character, so a stray quote cannot swallow the rest of the story.
+ * @param {string} text
+ * @param {string[][]} quotePairs - [[open, close], ...]
+ * @returns {Map<number, string>} - index -> 'open' | 'close'
+ */
+function findQuotes(text, quotePairs) {
+    const roles = new Map();
+    const paragraphEnds = [];
+    let match;
+    PARAGRAPH_BREAK.lastIndex = 0;
+    while ((match = PARAGRAPH_BREAK.exec(text)) !== null) {
+        paragraphEnds.push(match.index);
+    }
+    paragraphEnds.push(text.length);
+
+    let start = 0;
+    for (const end of paragraphEnds) {
+        let open = null;
+        for (let i = start; i < end; i++) {
+            const c = text[i];
+            if (open === null) {
+                const pair = quotePairs.find(([opener]) => opener === c);
+                if (pair) open = { index: i, close: pair[1] };
+            } else if (c === open.close) {
+                roles.set(open.index, 'open');
+                roles.set(i, 'close');
+                open = null;
+            }
+        }
+        start = end;
+    }
+    return roles;
+}
+
+// Last word of the text so far, without surrounding brackets or quotes
+function lastWord(text) {
+    const match = text.match(/(\S+)$/);
+    return match ? match[1].replace(/^[("'“‘[]+/, '') : '';
+}
+
+function hasLetter(text) {
+    return /[\p{L}\u0900-\u097F]/u.test(text);
+}
+
+// Word tokens with their positions in the sentence
+function wordTokens(sentence) {
+    return Array.from(sentence.matchAll(/\S+/g), m => ({ word: m[0], index: m.index }));
+}
+
+/**
+ * Split one over-long sentence into pieces of at most maxWords words
+ * Split points are the ends of utterances inside a quote (. ! ? ।) first, then commas (or
+ * semicolons), then the word before a conjunction; of the first kind found, the one nearest the
+ * middle is used and each half is split again if needed. A sentence without a usable split point
+ * is returned as it is.
+ * @param {string} sentence
+ * @param {object} [options] - maxWords, minWords, conjunctions (see DEFAULT_OPTIONS)
+ * @returns {string[]}
+ */
+function splitLongSentence(sentence, options = {}) {
+    const { maxWords, minWords, conjunctions } = { ...DEFAULT_OPTIONS, ...options };
+    const tokens = wordTokens(sentence);
+    if (!maxWords || tokens.length <= maxWords) return [sentence];
+
+    const usable = k => k >= minWords && tokens.length - k >= minWords;
+    const afterTerminator = [];
+    const afterComma = [];
+    const beforeConjunction = [];
+    for (let k = 1; k < tokens.length; k++) {
+        if (!usable(k)) continue;
+        if (/[.!?।॥]$/.test(tokens[k - 1].word)) afterTerminator.push(k);
+        if (/[,;،]$/.test(tokens[k - 1].word)) afterComma.push(k);
+        if (conjunctions.includes(tokens[k].word.replace(/[^\p{L}\p{M}]+/gu, ''))) beforeConjunction.push(k);
+    }
+
+    const candidates = [afterTerminator, afterComma, beforeConjunction].find(list => list.length > 0);
+    if (!candidates) return [sentence];
+
+    const middle = tokens.length / 2;
+    const k = candidates.reduce((best, c) => (Math.abs(c - middle) < Math.abs(best - middle) ? c : best));
+    const at = tokens[k].index;
+    return [
+        ...splitLongSentence(sentence.slice(0, at).trim(), options),
+        ...splitLongSentence(sentence.slice(at).trim(), options),
+    ];
+}
+
+/**
+ * Split text into sentences.
+ *
+ * Rules (each configurable, see DEFAULT_OPTIONS):
+ * 1. Devanagari danda (।), double danda (॥), newlines: always sentence boundaries.
+ * 2. Periods (.), ! and ?: sentence boundaries when outside quoted dialogue, except after an
+ *    abbreviation (डॉ.) or between digits (2.5). A run such as "...." ends one sentence.
+ * 3. When one speaker's quote ends (closing "), that ends the sentence. The next speaker's
+ *    quote starts a new sentence.
+ * 4. With maxWords, longer sentences are split further (see splitLongSentence).
+ *
+ * Inside "...", . ! ? and line breaks are NOT boundaries (whole quote is one utterance).
+ * Text that is only punctuation is joined to the previous sentence.
+ *
+ * @param {string} text - Story text in Devanagari script
+ * @param {object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {string[]} Array of sentence strings
+ */
+function splitIntoSentences(text, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const quoteRoles = opts.quotes ? findQuotes(text, opts.quotePairs) : new Map();
+    const isDanda = c => opts.danda && (c === '।' || c === '॥');
+    const isTerminator = c => opts.punctuation.includes(c);
+
+    const sentences = [];
+    let current = '';
+    let inQuote = false;
+    const flush = () => {
+        const trimmed = current.trim();
+        if (trimmed) sentences.push(trimmed);
+        current = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+
+        if (quoteRoles.has(i)) {
+            current += c;
+            inQuote = quoteRoles.get(i) === 'open';
+            if (!inQuote) flush();
+            continue;
+        }
+
+        if (inQuote) {
+            current += c;
+            continue;
+        }
+
+        if (isDanda(c)) {
+            current += c;
+            while (i + 1 < text.length && isDanda(text[i + 1])) current += text[++i];
+            flush();
+            continue;
+        }
+
+        if (c === '\n' && opts.newlines) {
+            flush();
+            continue;
+        }
+
+        if (isTerminator(c)) {
+            if (c === '.' && /\d/.test(text[i - 1] || '') && /\d/.test(text[i + 1] || '')) {
+                current += c;
+                continue;
+            }
+            if (c === '.' && opts.abbreviations.includes(lastWord(current))) {
+                current += c;
+                continue;
+            }
+            current += c;
+            while (i + 1 < text.length && isTerminator(text[i + 1]) && !quoteRoles.has(i + 1)) current += text[++i];
+            // An unpaired closing quote or bracket right after the mark belongs to this sentence
+            while (i + 1 < text.length && CLOSING_MARKS.includes(text[i + 1]) && !quoteRoles.has(i + 1)) current += text[++i];
+            flush();
+            continue;
+        }
+
+        current += c;
+    }
+    flush();
+
+    const result = [];
+    for (let i = 0; i < sentences.length; i++) {
+        const seg = sentences[i];
+        if (!hasLetter(seg)) {
+            if (result.length > 0) {
+                result[result.length - 1] = (result[result.length - 1] + ' ' + seg).trim();
+            } else if (i + 1 < sentences.length) {
+                sentences[i + 1] = (seg + ' ' + sentences[i + 1]).trim();
+            } else {
+                result.push(seg);
+            }
+        } else {
+            result.push(seg);
+        }
+    }
+
+    // A quote spanning lines becomes one line
+    return result
+        .map(s => s.replace(/\s*\n\s*/g, ' '))
+        .flatMap(s => splitLongSentence(s, opts));
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    DEFAULT_ABBREVIATIONS,
+    DEFAULT_CONJUNCTIONS,
+    splitIntoSentences,
+    splitLongSentence,
+};
@@ -0,0 +1,98 @@
+/**
+ * Speaker profile vocabulary shared by the users API, index.html and the ASR export
+ * Every field is optional; a profile is only stored once the speaker agrees to share it.
+ */
+
+const PROFILE_OPTIONS = {
+    age_band: [
+        { code: '18-24', label: '18–24' },
+        { code: '25-34', label: '25–34' },
+        { code: '35-44', label: '35–44' },
+        { code: '45-54', label: '45–54' },
+        { code: '55-64', label: '55–64' },
+        { code: '65+', label: '65 or older' },
+    ],
+    gender: [
+        { code: 'female', label: 'Female' },
+        { code: 'male', label: 'Male' },
+        { code: 'non_binary', label: 'Non-binary' },
+        { code: 'prefer_not_to_say', label: 'Prefer not to say' },
+    ],
+    native_dialect: [
+        { code: 'goan', label: 'Goan' },
+        { code: 'mangalorean', label: 'Mangalorean' },
+        { code: 'karwari', label: 'Karwari' },
+        { code: 'saraswat', label: 'Saraswat' },
+        { code: 'other', label: 'Other' },
+    ],
+    language_status: [
+        { code: 'L1', label: 'Konkani is my first language (L1)' },
+        { code: 'L2', label: 'I learned Konkani later (L2)' },
+    ],
+    device_type: [
+        { code: 'phone', label: 'Phone' },
+        { code: 'tablet', label: 'Tablet' },
+        { code: 'laptop', label: 'Laptop / desktop built-in mic' },
+        { code: 'headset', label: 'Headset' },
+        { code: 'external_mic', label: 'External microphone' },
+    ],
+};
+
+const PROFILE_FIELDS = [...Object.keys(PROFILE_OPTIONS), 'region'];
+const MAX_REGION_LENGTH = 100;
+
+/**
+ * Validate a profile update
+ * @param {object} body - { consent, age_band?, gender?, native_dialect?, region?, language_status?, device_type? }
+ * @returns {{ profile: object, errors: string[] }} - profile holds every field (null when not given)
+ */
+function validateSpeakerProfile(body = {}) {
+    const errors = [];
+    const profile = {};
+
+    if (body.consent !== true) {
+        errors.push('consent must be true to store a speaker profile');
+    }
+
+    for (const [field, options] of Object.entries(PROFILE_OPTIONS)) {
+        const value = body[field];
+        if (value === undefined || value === null || value === '') {
+            profile[field] = null;
+            continue;
+        }
+        const codes = options.map(o => o.code);
+        if (!codes.includes(value)) {
+            errors.push(`${field} must be one of: ${codes.join(', ')}`);
+        }
+        profile[field] = value;
+    }
+
+    const region = body.region === undefined || body.region === null ? '' : String(body.region).trim();
+    if (region.length > MAX_REGION_LENGTH) {
+        errors.push(`region must be at most ${MAX_REGION_LENGTH} characters`);
+    }
+    profile.region = region || null;
+
+    return { profile, errors };
+}
+
+/**
+ * Per-utterance speaker fields for the ASR manifest
+ * Speakers are identified by a stable pseudonymous id, never by email.
+ * @param {object} row - { speaker_user_id, has_profile, age_band, gender, native_dialect, region, language_status, device_type }
+ * @returns {object}
+ */
+function toManifestSpeaker(row) {
+    const speaker = { speaker_id: row.speaker_user_id ? `spk_${row.speaker_user_id}` : null };
+    for (const field of PROFILE_FIELDS) {
+        speaker[field] = row.has_profile ? (row[field] || null) : null;
+    }
+    return speaker;
+}
+
+module.exports = {
+    PROFILE_OPTIONS,
+    PROFILE_FIELDS,
+    validateSpeakerProfile,
+    toManifestSpeaker,
+};
@@ -0,0 +1,173 @@
+/**
+ * Validation of story text and titles sent to the story management API
+ * Text arrives either as JSON (already UTF-8) or as an uploaded .txt file, which is decoded
+ * strictly so that a file saved in another encoding is rejected instead of stored as mojibake.
+ */
+
+const { SCRIPTS, CANONICAL_SCRIPT, detectScript } = require('./konkaniScripts');
+
+const MAX_TITLE_LENGTH = 200;
+const LANGUAGE_PATTERN = /^[a-z][a-z_-]{1,29}$/;
+
+// Signs of text that went through a lossy encoding (see STORY_IMPORT_PROTECTION.md)
+const REPLACEMENT_CHAR = '\uFFFD';
+const QUESTION_MARK_RUN = /\?{3,}/;
+
+/**
+ * Decode an uploaded story file as UTF-8
+ * @param {Buffer} buffer
+ * @returns {string|null} - The text without a byte order mark, or null when it is not valid UTF-8
+ */
+function decodeStoryFile(buffer) {
+    try {
+        // A leading byte order mark is dropped by the decoder
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * First non-empty line of a story, used as its title when none is given
+ * @param {string} text
+ * @returns {string|null}
+ */
+function titleFromText(text) {
+    return String(text || '').split('\n').map(l => l.trim()).find(l => l.length > 0) || null;
+}
+
+function looksCorrupted(value) {
+    return value.includes(REPLACEMENT_CHAR) || QUESTION_MARK_RUN.test(value);
+}
+
+const MAX_SENTENCES = 5000;
+
+/**
+ * Validate the text of a single sentence (whitespace is collapsed)
+ * @param {*} value
+ * @returns {{ text: string|null, error: string|null }} - error reads after the field name, e.g. 'is empty'
+ */
+function validateSentenceText(value) {
+    const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+    if (!text) return { text: null, error: 'is empty' };
+    if (text.includes(REPLACEMENT_CHAR)) return { text: null, error: 'contains invalid characters' };
+    return { text, error: null };
+}
+
+function validateSentences(sentences, errors) {
+    if (!Array.isArray(sentences) || sentences.length === 0) {
+        errors.push('sentences must be a non-empty array of strings');
+        return null;
+    }
+    if (sentences.length > MAX_SENTENCES) {
+        errors.push(`a story can have at most ${MAX_SENTENCES} sentences`);
+        return null;
+    }
+    const cleaned = [];
+    sentences.forEach((sentence, i) => {
+        const { text, error } = validateSentenceText(sentence);
+        if (error) {
+            errors.push(`sentence ${i + 1} ${error}`);
+        } else {
+            cleaned.push(text);
+        }
+    });
+    return cleaned.length === sentences.length ? cleaned : null;
+}
+
+/**
+ * Validate a story create/update body
+ * The story is given either as text (split into sentences on the server) or as sentences
+ * that were already split and edited, e.g. in the import wizard.
+ * The text may be in any script in konkaniScripts.SCRIPTS; without a script (or with 'auto') it is
+ * detected from the text. With numbers_as_words, numbers in the sentences are written out as words.
+ * @param {object} body - { title?, text?, sentences?, script?, numbers_as_words?, language?, title_from_file?, source_file? }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Update: only the fields given are checked
+ * @returns {{ story: object, errors: string[] }} - story holds the trimmed fields that were given
+ */
+function validateStoryInput(body = {}, { partial = false } = {}) {
+    const errors = [];
+    const story = {};
+
+    if (body.text !== undefined && body.sentences !== undefined) {
+        errors.push('send either text or sentences, not both');
+    } else if (body.text !== undefined) {
+        if (typeof body.text !== 'string' || body.text.trim().length === 0) {
+            errors.push('text must be a non-empty string');
+        } else if (body.text.includes(REPLACEMENT_CHAR)) {
+            errors.push('text contains invalid characters; save the file as UTF-8 and try again');
+        } else {
+            story.text = body.text.replace(/\r\n?/g, '\n');
+        }
+    } else if (body.sentences !== undefined) {
+        const sentences = validateSentences(body.sentences, errors);
+        if (sentences) story.sentences = sentences;
+    } else if (!partial) {
+        errors.push('text (or sentences) is required');
+    }
+
+    if (body.script !== undefined && body.script !== 'auto' && !SCRIPTS.includes(body.script)) {
+        errors.push(`script must be auto or one of ${SCRIPTS.join(', ')}`);
+    } else if (story.text !== undefined || story.sentences !== undefined) {
+        story.script = body.script && body.script !== 'auto'
+            ? body.script
+            : detectScript(story.text || story.sentences.join(' ')) || CANONICAL_SCRIPT;
+    }
+
+    // Multipart forms send booleans as strings
+    if (body.numbers_as_words !== undefined) {
+        if (![true, false, 'true', 'false'].includes(body.numbers_as_words)) {
+            errors.push('numbers_as_words must be true or false');
+        } else if (body.numbers_as_words === true || body.numbers_as_words === 'true') {
+            story.numbers_as_words = true;
+        }
+    }
+
+    let title = body.title;
+    if ((title === undefined || title === '') && body.title_from_file) {
+        title = titleFromText(story.text || (story.sentences && story.sentences[0])) || undefined;
+    }
+    if (title !== undefined) {
+        title = typeof title === 'string' ? title.trim() : '';
+        if (!title) {
+            errors.push('title must be a non-empty string');
+        } else if (title.length > MAX_TITLE_LENGTH) {
+            errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+        } else if (looksCorrupted(title)) {
+            errors.push('title looks corrupted by a text encoding problem; send it as UTF-8');
+        } else {
+            story.title = title;
+        }
+    } else if (!partial) {
+        errors.push('title is required (or set title_from_file to use the first line of the text)');
+    }
+
+    if (body.language !== undefined) {
+        if (typeof body.language !== 'string' || !LANGUAGE_PATTERN.test(body.language)) {
+            errors.push('language must be a lowercase language name, e.g. konkani');
+        } else {
+            story.language = body.language;
+        }
+    } else if (!partial) {
+        story.language = 'konkani';
+    }
+
+    if (body.source_file !== undefined && body.source_file !== null) {
+        if (typeof body.source_file !== 'string' || body.source_file.length > MAX_TITLE_LENGTH) {
+            errors.push(`source_file must be a file name of at most ${MAX_TITLE_LENGTH} characters`);
+        } else {
+            story.source_file = body.source_file;
+        }
+    }
+
+    return { story, errors };
+}
+
+module.exports = {
+    MAX_TITLE_LENGTH,
+    decodeStoryFile,
+    titleFromText,
+    validateSentenceText,
+    validateStoryInput,
+};
@@ -0,0 +1,82 @@
+/**
+ * Transcript normalisation for ASR export
+ * Turns a sentence as written into the words a speaker reads aloud: Unicode NFC, no zero-width
+ * characters, one spelling for nukta and chandrabindu, numbers as Konkani words and punctuation
+ * removed or mapped to ASCII. export-asr-manifest.js and export-recordings.js write the result
+ * next to the raw text_devanagari and can use it as the transcript instead.
+ */
+
+const { expandNumbers } = require('./konkaniNumbers');
+
+const DEFAULT_OPTIONS = {
+    punctuation: 'remove',              // remove | map (to ASCII . , ? ! ' " -) | keep
+    numbers: true,                      // Expand numbers into words (see konkaniNumbers.js)
+    nukta: 'keep',                      // keep | remove (ज़ = ज, ऴ = ळ)
+    chandrabindu: 'anusvara',           // anusvara (ँ = ं) | keep
+};
+
+const PUNCTUATION_MODES = ['remove', 'map', 'keep'];
+
+// Zero-width (non-)joiners, zero-width space, word joiner, BOM and soft hyphen
+const INVISIBLE = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+const NUKTA = '\u093C';
+const CHANDRABINDU = '\u0901';
+const ANUSVARA = '\u0902';
+
+// A nukta typed after the vowel sign or nasal sign instead of right after its consonant
+const MISPLACED_NUKTA = /([\u0915-\u0939])([\u093E-\u094C\u0901-\u0903]+)\u093C/g;
+
+// अ + candra sign, as some keyboards type ऍ and ऑ
+const CANDRA_VOWELS = [[/\u0905\u0945/g, 'ऍ'], [/\u0905\u0949/g, 'ऑ']];
+
+const PUNCTUATION_MAP = [
+    [/[।॥]+/g, '.'],
+    [/[“”„«»]/g, '"'],
+    [/[‘’‚]/g, "'"],
+    [/[\u2010-\u2015]/g, '-'],
+    [/…/g, '...'],
+];
+
+function replaceAll(text, replacements) {
+    return replacements.reduce((out, [from, to]) => out.replace(from, to), text);
+}
+
+// Nukta letters are compared decomposed (NFC keeps क़ as क + nukta but composes ऴ, ऱ and ऩ)
+function normalizeNukta(text, mode) {
+    let out = text.normalize('NFD').replace(MISPLACED_NUKTA, `$1${NUKTA}$2`).replace(/\u093C+/g, NUKTA);
+    if (mode === 'remove') out = out.split(NUKTA).join('');
+    return out.normalize('NFC');
+}
+
+/**
+ * Normalise a sentence for an ASR transcript
+ * @param {string} text
+ * @param {object} [options] - See DEFAULT_OPTIONS
+ * @returns {string}
+ */
+function normalizeText(text, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    if (!PUNCTUATION_MODES.includes(opts.punctuation)) {
+        throw new Error(`Unknown punctuation mode: ${opts.punctuation}`);
+    }
+
+    let out = String(text || '').normalize('NFC').replace(INVISIBLE, '');
+    out = normalizeNukta(out, opts.nukta);
+    out = replaceAll(out, CANDRA_VOWELS);
+    if (opts.chandrabindu === 'anusvara') out = out.split(CHANDRABINDU).join(ANUSVARA);
+    if (opts.numbers) out = expandNumbers(out);
+
+    if (opts.punctuation === 'map') {
+        out = replaceAll(out, PUNCTUATION_MAP);
+    } else if (opts.punctuation === 'remove') {
+        out = out.replace(/[\p{P}\p{S}]+/gu, ' ');
+    }
+    return out.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    PUNCTUATION_MODES,
+    normalizeText,
+};
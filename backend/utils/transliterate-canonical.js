@@ -1,23 +1,46 @@
 /**
- * Canonical transliteration helper — Devanagari -> IAST (Sanscript), then apply diacritical corrections
+ * Canonical transliteration helper — Devanagari -> IAST (Sanscript), then apply diacritical corrections,
+ * and IAST -> Devanagari for text typed in Roman script
  */
 const Sanscript = require('sanscript');
 const fs = require('fs');
 const path = require('path');
+const { compileRules, applyRuleSet } = require('./ruleEngine');
 
-let rules = { diacritical: [] };
+let rules = { diacritical: [], konkani_phonology: [], phonology_classes: {}, phonology_schemes: {} };
 try {
   const fileData = fs.readFileSync(path.join(__dirname, 'transliteration_rules.json'), 'utf8');
   const parsed = JSON.parse(fileData);
   if (parsed && parsed.diacritical) rules.diacritical = parsed.diacritical;
+  if (parsed && parsed.konkani_phonology) rules.konkani_phonology = parsed.konkani_phonology;
+  if (parsed && parsed.phonology_classes) rules.phonology_classes = parsed.phonology_classes;
+  if (parsed && parsed.phonology_schemes) rules.phonology_schemes = parsed.phonology_schemes;
 } catch (_) {}
 
+// Rule format and matching order: see ruleEngine.js
+const diacriticalRules = compileRules(rules.diacritical);
+const phonologyRules = compileRules(rules.konkani_phonology, { classes: rules.phonology_classes });
+
+/**
+ * Whether a Latin scheme applies Konkani phonology by default (phonology_schemes in the rules file)
+ * @param {string} scheme - e.g. 'iast'
+ * @returns {boolean}
+ */
+function usesPhonology(scheme) {
+  return rules.phonology_schemes[scheme] === true;
+}
+
+/**
+ * Konkani pronunciation on IAST: silent schwas dropped, anusvara as the following stop's nasal, ळ as ḷ
+ * @param {string} iastText
+ * @returns {string}
+ */
+function applyPhonology(iastText) {
+  return applyRuleSet(iastText, phonologyRules);
+}
+
 function applyRules(iastText) {
-  let out = iastText;
-  (rules.diacritical || []).forEach(rule => {
-    const re = new RegExp(rule.from, 'g');
-    out = out.replace(re, rule.to || '');
-  });
+  let out = applyRuleSet(iastText, diacriticalRules);
     // Remove stray Devanagari characters and combining marks (if any persisted)
     out = out.replace(/[\u0900-\u097F]/g, '');
     out = out.replace(/[\u0300-\u036F\u1AB0-\u1AFF\u20D0-\u20FF]/g, '');
@@ -25,11 +48,24 @@ function applyRules(iastText) {
   return out;
 }
 
-function devanagariToIAST(text) {
+// ऴ (also written ळ with nukta) is the same Konkani ḷ as ळ; Sanscript has no mapping for it
+const LLA_VARIANTS = /\u0934|\u0933\u093C/g;
+
+/**
+ * Devanagari as Sanscript reads it: ऴ spelled ळ, so it is not lost with the stray characters
+ * @param {string} text
+ * @returns {string}
+ */
+function spellLla(text) {
+  return text.replace(LLA_VARIANTS, '\u0933');
+}
+
+// options.phonology (default: phonology_schemes.iast) reads the IAST as pronounced, e.g. घर = ghar
+function devanagariToIAST(text, { phonology = usesPhonology('iast') } = {}) {
   if (!text) return '';
   try {
-    const base = Sanscript.t(text, 'devanagari', 'iast');
-    return applyRules(base);
+    const base = Sanscript.t(spellLla(text), 'devanagari', 'iast');
+    return phonology ? applyPhonology(applyRules(base)) : applyRules(base);
   } catch (err) {
     console.error('Transliteration error:', err.message || err);
     return '';
@@ -59,4 +95,40 @@ function devanagariToDiacriticLatin(text) {
   }
 }
 
-module.exports = { devanagariToIAST, applyRules, devanagariToDiacriticLatin };
+// IAST letters (after NFC); anything else (punctuation, digits, quotes) is left as typed
+const IAST_WORD = /[a-zāīūṛṝḷḹṃḥṅñṭḍṇśṣḻ]+/g;
+
+// Spellings Sanscript's IAST scheme does not read: ISO 15919 ṁ/ē/ō and the IAST of ळ written with ḷ
+// (as devanagariToIAST writes it with phonology on; Konkani has no vocalic ḷ)
+const IAST_VARIANTS = [[/ṁ/g, 'ṃ'], [/ē/g, 'e'], [/ō/g, 'o'], [/ḷ/g, 'ḻ']];
+
+// What konkani_phonology drops that can be put back: the word-final schwa (ghar = घर) and the anusvara
+// it writes ṅ or ñ (koṅkaṇī = कोंकणी). ṇ, n and m before a stop stay letters (गांवान्तु is spelled
+// both ways), and a dropped medial schwa is not restored: āmceṃ reads आम्चें, pronounced as आमचें.
+const FINAL_CONSONANT = /[kgṅcjñṭḍṇtdnpbmyrlvśṣsḻh]$/;
+const VELAR_PALATAL_NASAL = /ṅ(?=[kg])|ñ(?=[cj])/g;
+
+function iastWordToDevanagari(word, phonology) {
+  const letters = phonology
+    ? word.replace(VELAR_PALATAL_NASAL, 'ṃ').replace(FINAL_CONSONANT, '$&a')
+    : word;
+  // Sanscript reads "oṃ" as the syllable ॐ; inside a word it is ो/ओ + anusvara
+  return Sanscript.t(letters, 'iast', 'devanagari')
+    .replace(/\u094D\u0950/g, '\u094B\u0902')
+    .replace(/\u0950/g, '\u0913\u0902');
+}
+
+// options.phonology (default: phonology_schemes.iast) also reads IAST written as pronounced (see above)
+function iastToDevanagari(text, { phonology = usesPhonology('iast') } = {}) {
+  if (!text) return '';
+  try {
+    let out = text.normalize('NFC').toLowerCase();
+    IAST_VARIANTS.forEach(([from, to]) => { out = out.replace(from, to); });
+    return out.replace(IAST_WORD, word => iastWordToDevanagari(word, phonology));
+  } catch (err) {
+    console.error('Reverse transliteration error:', err.message || err);
+    return '';
+  }
+}
+
+module.exports = { devanagariToIAST, iastToDevanagari, applyRules, applyPhonology, usesPhonology, spellLla, devanagariToDiacriticLatin };
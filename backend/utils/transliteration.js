@@ -0,0 +1,96 @@
+/**
+ * Transliteration between any two schemes, word by word
+ * Backs POST /api/transliterate: the Konkani scripts of konkaniScripts.js plus the Latin schemes
+ * Sanscript offers (IAST, ITRANS, Harvard-Kyoto) and ISO 15919, which is derived from IAST.
+ * Text goes through Devanagari, so any scheme can be converted to any other.
+ */
+
+const Sanscript = require('sanscript');
+const { devanagariToIAST, applyRules, applyPhonology, usesPhonology, spellLla } = require('./transliterate-canonical');
+const { SCHEMES: SCRIPT_SCHEMES, detectScheme, toDevanagari: scriptToDevanagari, fromDevanagari: scriptFromDevanagari } = require('./konkaniScripts');
+
+const SANSCRIPT_SCHEMES = ['itrans', 'hk'];
+const TRANSLITERATION_SCHEMES = [...SCRIPT_SCHEMES, ...SANSCRIPT_SCHEMES, 'iso'];
+const LATIN_SCHEMES = ['iast', 'iso', ...SANSCRIPT_SCHEMES];
+
+// ISO 15919 writes vocalic r/l with a ring below, long e/o with a macron and ळ as ḷ
+const RING = '\u0325';
+const MACRON = '\u0304';
+const IAST_TO_ISO = [
+    [/ḷ/g, `l${RING}`], [/ḹ/g, `l${RING}${MACRON}`], [/ḻ/g, 'ḷ'],
+    [/ṛ/g, `r${RING}`], [/ṝ/g, `r${RING}${MACRON}`],
+    [/ṃ/g, 'ṁ'], [/e/g, 'ē'], [/o/g, 'ō'],
+];
+const ISO_TO_IAST = [
+    [/ḷ/g, 'ḻ'], [/l\u0325\u0304/g, 'ḹ'], [/l\u0325/g, 'ḷ'],
+    [/r\u0325\u0304/g, 'ṝ'], [/r\u0325/g, 'ṛ'],
+    [/ṁ/g, 'ṃ'], [/ē/g, 'e'], [/ō/g, 'o'],
+];
+
+function replaceAll(text, replacements) {
+    return replacements.reduce((out, [from, to]) => out.replace(from, to), text);
+}
+
+function toDevanagari(word, scheme) {
+    if (SANSCRIPT_SCHEMES.includes(scheme)) return Sanscript.t(word, scheme, 'devanagari');
+    if (scheme === 'iso') return scriptToDevanagari(replaceAll(word.normalize('NFC'), ISO_TO_IAST), 'iast');
+    return scriptToDevanagari(word, scheme);
+}
+
+// With rules, IAST is the canonical text_iast (transliteration_rules.json) and ISO builds on it;
+// without, Sanscript's output is returned as it is. Phonology (konkani_phonology) works on IAST,
+// so the other Latin schemes are then converted from the IAST.
+function fromDevanagari(word, scheme, rules, phonology) {
+    if (!LATIN_SCHEMES.includes(scheme)) return scriptFromDevanagari(word, scheme);
+
+    if (phonology) {
+        const base = Sanscript.t(spellLla(word), 'devanagari', 'iast');
+        const iast = applyPhonology(rules ? applyRules(base) : base);
+        if (scheme === 'iast') return iast;
+        // Konkani ḷ is ळ, which the IAST tables (and Sanscript) write ḻ; ḷ there is vocalic l
+        const letters = iast.replace(/ḷ/g, 'ḻ');
+        return scheme === 'iso' ? replaceAll(letters, IAST_TO_ISO) : Sanscript.t(letters, 'iast', scheme);
+    }
+    if (scheme === 'iast' || scheme === 'iso') {
+        const iast = rules ? devanagariToIAST(word, { phonology: false }) : Sanscript.t(spellLla(word), 'devanagari', 'iast');
+        return scheme === 'iso' ? replaceAll(iast, IAST_TO_ISO) : iast;
+    }
+    const out = Sanscript.t(spellLla(word), 'devanagari', scheme);
+    return rules ? applyRules(out) : out;
+}
+
+/**
+ * Transliterate text word by word
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.from='auto'] - One of TRANSLITERATION_SCHEMES, or auto (see konkaniScripts.detectScheme)
+ * @param {string} [options.to='devanagari'] - One of TRANSLITERATION_SCHEMES
+ * @param {boolean} [options.rules=true] - Apply transliteration_rules.json to Latin output
+ * @param {boolean} [options.phonology] - Write Latin output as pronounced (silent schwas dropped,
+ *   anusvara as the following nasal); defaults to phonology_schemes for the target scheme
+ * @returns {object} - { text, from, to, phonology, tokens: [{ source, text }] }; tokens are the words of the
+ *   input (whitespace excluded) with their transliteration, and text joins them with the input's spacing
+ */
+function transliterate(text, { from = 'auto', to = 'devanagari', rules = true, phonology = usesPhonology(to) } = {}) {
+    const source = from === 'auto' ? detectScheme(text) || 'devanagari' : from;
+    for (const scheme of [source, to]) {
+        if (!TRANSLITERATION_SCHEMES.includes(scheme)) {
+            throw new Error(`Unsupported scheme: ${scheme}`);
+        }
+    }
+
+    const tokens = [];
+    const out = String(text || '').split(/(\s+)/).map((part) => {
+        if (!part || /^\s+$/.test(part)) return part;
+        const converted = source === to ? part : fromDevanagari(toDevanagari(part, source), to, rules, phonology);
+        tokens.push({ source: part, text: converted });
+        return converted;
+    }).join('');
+
+    return { text: out, from: source, to, phonology: LATIN_SCHEMES.includes(to) && phonology, tokens };
+}
+
+module.exports = {
+    TRANSLITERATION_SCHEMES,
+    transliterate,
+};
@@ -17,9 +17,17 @@ class RecorderApp {
         this.audioContext = null;
         this.analyser = null;
         this.visualizerAnimationId = null;
+        // Script the contributor reads from; sentences without a variant in it fall back to Devanagari
+        this.readingScript = localStorage.getItem('readingScript') || 'devanagari';
+        // Transliteration shown under the sentence (see POST /api/transliterate)
+        this.readingAid = localStorage.getItem('readingAid') || 'iast';
         
         this.initElements();
-        this.initUserId();
+        this.init();
+    }
+
+    async init() {
+        if (!(await this.initUserId())) return;
         this.displayUserEmail();
         this.loadStoryId();
     }
@@ -41,6 +49,8 @@ class RecorderApp {
         this.remainingText = document.getElementById('remaining-text');
         this.sentenceDevanagari = document.getElementById('sentence-devanagari');
         this.sentenceIast = document.getElementById('sentence-iast');
+        this.scriptSelect = document.getElementById('script-select');
+        this.readingAidSelect = document.getElementById('reading-aid-select');
         this.recordingIndicator = document.getElementById('recording-indicator');
         
         // Buttons
@@ -67,22 +77,84 @@ class RecorderApp {
         this.btnPrevious.addEventListener('click', () => this.navigatePrevious());
         this.btnNext.addEventListener('click', () => this.navigateNext());
         if (this.errorRetryBtn) this.errorRetryBtn.addEventListener('click', () => this.handleErrorRetry());
+        this.scriptSelect.value = this.readingScript;
+        this.scriptSelect.addEventListener('change', () => this.changeScript(this.scriptSelect.value));
+        this.readingAidSelect.value = this.readingAid;
+        this.readingAidSelect.addEventListener('change', () => this.changeReadingAid(this.readingAidSelect.value));
+    }
+
+    changeReadingAid(aid) {
+        this.readingAid = aid;
+        localStorage.setItem('readingAid', aid);
+        if (this.currentSentence) {
+            this.showReadingAid();
+        }
+    }
+
+    async showReadingAid() {
+        const sentence = this.currentSentence;
+        this.sentenceIast.style.display = this.readingAid === 'none' ? 'none' : '';
+        if (this.readingAid === 'none') return;
+
+        try {
+            // Written as pronounced (silent schwas dropped), unlike the stored text_iast
+            const response = await fetch('/api/transliterate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: sentence.text_devanagari, from: 'devanagari', to: this.readingAid, phonology: true })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            // The contributor may have moved on while this was loading
+            if (this.currentSentence !== sentence) return;
+
+            // One span per word, with the Devanagari word as its tooltip
+            this.sentenceIast.textContent = '';
+            data.tokens.forEach((token, i) => {
+                if (i > 0) this.sentenceIast.append(' ');
+                const span = document.createElement('span');
+                span.textContent = token.text;
+                span.title = token.source;
+                this.sentenceIast.append(span);
+            });
+        } catch (error) {
+            console.error('Failed to load reading aid:', error);
+            if (this.currentSentence === sentence) {
+                this.sentenceIast.textContent = sentence.text_iast || '';
+            }
+        }
+    }
+
+    changeScript(script) {
+        this.readingScript = script;
+        localStorage.setItem('readingScript', script);
+        if (this.currentSentence) {
+            this.sentenceDevanagari.textContent = this.sentenceText(this.currentSentence);
+        }
+    }
+
+    sentenceText(sentence) {
+        const variants = sentence.text_variants || {};
+        return variants[this.readingScript] || sentence.text_devanagari;
     }
     
-    initUserId() {
-        // Get user email from session (set on home page)
-        this.userId = sessionStorage.getItem('userEmail');
-        
-        if (!this.userId) {
-            // Redirect to home page if no email found
-            alert('Please enter your email on the home page first.');
-            window.location.href = '/';
-            return;
+    async initUserId() {
+        // Identity comes from the login session (cookie set on the home page)
+        try {
+            const response = await fetch('/api/auth/me');
+            if (response.ok) {
+                const data = await response.json();
+                this.userId = data.user.email;
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to check login session:', error);
         }
         
-        // Ensure email is lowercase
-        this.userId = this.userId.toLowerCase().trim();
-        sessionStorage.setItem('userEmail', this.userId);
+        // Redirect to home page if not logged in
+        alert('Please log in on the home page first.');
+        window.location.href = '/';
+        return false;
     }
     
     displayUserEmail() {
@@ -92,21 +164,39 @@ class RecorderApp {
         }
     }
     
-    loadStoryId() {
+    async loadStoryId() {
         this.storyId = sessionStorage.getItem('selectedStoryId');
         if (!this.storyId) {
             this.showError('No story selected. Please select a story from the home page.');
             return;
         }
+
+        // Recording requires accepted consent (the upload API enforces it too)
+        if (!(await this.hasConsent())) {
+            this.showError('Please read and accept the consent form on the home page before recording.');
+            return;
+        }
         
         this.loadAllSentences();
     }
+
+    async hasConsent() {
+        try {
+            const response = await fetch('/api/consent');
+            if (!response.ok) return true; // Let the upload API decide (e.g. not logged in)
+            const data = await response.json();
+            return data.valid;
+        } catch (error) {
+            console.warn('Could not check consent:', error);
+            return true;
+        }
+    }
     
     async loadAllSentences() {
         try {
             this.showStatus('Loading sentences...', 'info');
             
-            const response = await fetch(`/api/sentences/${this.storyId}/all?userId=${encodeURIComponent(this.userId)}`);
+            const response = await fetch(`/api/sentences/${this.storyId}/all`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -119,8 +209,13 @@ class RecorderApp {
                 return;
             }
             
-            // Start at first unrecorded sentence, or first sentence if all recorded
-            this.currentIndex = this.allSentences.findIndex(s => !s.has_recording);
+            // Start at the sentence in ?sentence=<id> (from the "please redo" list), else at the
+            // first sentence still to record, or the first sentence if all are recorded
+            const requestedId = parseInt(new URLSearchParams(window.location.search).get('sentence'));
+            this.currentIndex = this.allSentences.findIndex(s => s.id === requestedId);
+            if (this.currentIndex === -1) {
+                this.currentIndex = this.allSentences.findIndex(s => this.needsRecording(s));
+            }
             if (this.currentIndex === -1) {
                 this.currentIndex = 0; // All recorded, start at beginning
             }
@@ -132,6 +227,11 @@ class RecorderApp {
             this.showError('Failed to load sentences. Please try again.');
         }
     }
+
+    // Not recorded yet, or a reviewer asked for it to be recorded again
+    needsRecording(sentence) {
+        return !sentence.has_recording || sentence.needs_rerecording;
+    }
     
     loadSentenceAtIndex(index) {
         if (index < 0 || index >= this.allSentences.length) {
@@ -150,12 +250,17 @@ class RecorderApp {
                     sentence_id: sentence.id,
                     text_devanagari: sentence.text_devanagari,
                     text_iast: sentence.text_iast,
+                    text_variants: sentence.text_variants,
+                    text_version: sentence.text_version,
                     story_title: story ? story.title : 'Recording',
                     order: sentence.order_in_story,
                     total: this.allSentences.length,
-                    remaining: this.allSentences.filter(s => !s.has_recording).length,
+                    remaining: this.allSentences.filter(s => this.needsRecording(s)).length,
                     has_recording: sentence.has_recording,
-                    recording_id: sentence.recording_id
+                    recording_id: sentence.recording_id,
+                    needs_rerecording: sentence.needs_rerecording,
+                    rejection_reason: sentence.rejection_reason,
+                    review_notes: sentence.review_notes
                 };
                 this.displaySentence();
             })
@@ -164,12 +269,17 @@ class RecorderApp {
                     sentence_id: sentence.id,
                     text_devanagari: sentence.text_devanagari,
                     text_iast: sentence.text_iast,
+                    text_variants: sentence.text_variants,
+                    text_version: sentence.text_version,
                     story_title: 'Recording',
                     order: sentence.order_in_story,
                     total: this.allSentences.length,
-                    remaining: this.allSentences.filter(s => !s.has_recording).length,
+                    remaining: this.allSentences.filter(s => this.needsRecording(s)).length,
                     has_recording: sentence.has_recording,
-                    recording_id: sentence.recording_id
+                    recording_id: sentence.recording_id,
+                    needs_rerecording: sentence.needs_rerecording,
+                    rejection_reason: sentence.rejection_reason,
+                    review_notes: sentence.review_notes
                 };
                 this.displaySentence();
             });
@@ -189,16 +299,16 @@ class RecorderApp {
     
     async loadNextSentence() {
         // Legacy method - now just navigate to next unrecorded
-        const nextUnrecorded = this.allSentences.findIndex((s, idx) => idx > this.currentIndex && !s.has_recording);
+        const nextUnrecorded = this.allSentences.findIndex((s, idx) => idx > this.currentIndex && this.needsRecording(s));
         if (nextUnrecorded !== -1) {
             this.loadSentenceAtIndex(nextUnrecorded);
         } else {
             // Check if all done
-            if (this.allSentences.every(s => s.has_recording)) {
+            if (!this.allSentences.some(s => this.needsRecording(s))) {
                 this.showCompletion();
             } else {
                 // Loop back to first unrecorded
-                const firstUnrecorded = this.allSentences.findIndex(s => !s.has_recording);
+                const firstUnrecorded = this.allSentences.findIndex(s => this.needsRecording(s));
                 if (firstUnrecorded !== -1) {
                     this.loadSentenceAtIndex(firstUnrecorded);
                 } else {
@@ -213,8 +323,8 @@ class RecorderApp {
         this.recorderSection.style.display = 'block';
         
         this.storyTitleEl.textContent = this.currentSentence.story_title || 'Recording';
-        this.sentenceDevanagari.textContent = this.currentSentence.text_devanagari;
-        this.sentenceIast.textContent = this.currentSentence.text_iast || '';
+        this.sentenceDevanagari.textContent = this.sentenceText(this.currentSentence);
+        this.showReadingAid();
         
         const currentNum = this.currentSentence.order;
         const total = this.currentSentence.total;
@@ -231,7 +341,11 @@ class RecorderApp {
         this.resetRecordingState();
         
         // Set initial status message based on whether sentence has recording
-        if (this.currentSentence.has_recording) {
+        if (this.currentSentence.needs_rerecording) {
+            const reason = this.currentSentence.review_notes
+                || (this.currentSentence.rejection_reason || '').replace(/_/g, ' ');
+            this.showStatus(`🔁 A reviewer asked you to record this sentence again${reason ? `: ${reason}` : ''}`, 'warning');
+        } else if (this.currentSentence.has_recording) {
             this.showStatus('Recording saved successfully!', 'success');
         } else {
             this.showStatus('To be recorded', 'info');
@@ -498,8 +612,10 @@ class RecorderApp {
             console.debug('submitRecording: preparing formData');
             this.showStatus('Uploading recording...', 'info');
             
-            // If re-recording an existing recording, delete the old one first
-            if (this.currentSentence.has_recording && this.currentSentence.recording_id) {
+            // If re-recording an existing recording, delete the old one first. A take flagged by a
+            // reviewer is kept for the review history; uploading the new take clears the flag.
+            if (this.currentSentence.has_recording && this.currentSentence.recording_id
+                && !this.currentSentence.needs_rerecording) {
                 console.debug('Deleting old recording:', this.currentSentence.recording_id);
                 try {
                     await fetch(`/api/recordings/${this.currentSentence.recording_id}`, {
@@ -514,7 +630,10 @@ class RecorderApp {
             const formData = new FormData();
             formData.append('audio', this.recordedBlob, 'recording.webm');
             formData.append('sentence_id', this.currentSentence.sentence_id);
-            formData.append('user_id', this.userId);
+            // Lets reviewers spot takes of a text that was corrected while this page was open
+            if (this.currentSentence.text_version) {
+                formData.append('sentence_version', this.currentSentence.text_version);
+            }
             
             // Upload
             // Debug: print FormData entries (can't directly stringify FormData)
@@ -543,6 +662,7 @@ class RecorderApp {
             // Update local state - mark sentence as recorded
             this.allSentences[this.currentIndex].has_recording = true;
             this.allSentences[this.currentIndex].recording_id = result.recording_id;
+            this.allSentences[this.currentIndex].needs_rerecording = false;
             
             // Wait a moment, then load next sentence
             setTimeout(() => {
@@ -561,6 +681,10 @@ class RecorderApp {
                 this.btnSubmit.textContent = '✓ Submit & Next';
                 return; // do not proceed to next
             }
+            if (error && error.status === 403 && error.body && error.body.consent_required) {
+                this.showError('Please read and accept the consent form on the home page before recording.');
+                return;
+            }
             this.showError('Failed to upload recording. Please try again.');
             this.btnSubmit.disabled = false;
             this.btnSubmit.textContent = '✓ Submit & Next';
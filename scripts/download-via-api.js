@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 /**
  * Download audio files via Railway API endpoint
+ * Audio requires a reviewer login: set API_TOKEN to a session token
+ * (the "token" field returned by POST /api/auth/login).
  */
 
 const fs = require('fs').promises;
@@ -13,7 +15,9 @@ function downloadFile(url, outputPath) {
     return new Promise((resolve, reject) => {
         const protocol = url.startsWith('https') ? https : http;
         
-        protocol.get(url, (response) => {
+        const headers = process.env.API_TOKEN ? { Authorization: `Bearer ${process.env.API_TOKEN}` } : {};
+        
+        protocol.get(url, { headers }, (response) => {
             if (response.statusCode !== 200) {
                 reject(new Error(`Failed to download: ${response.statusCode}`));
                 return;
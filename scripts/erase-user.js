@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Erase a contributor on request (operator version of POST /api/users/:email/erasure)
+ * Deletes their audio from storage, their recordings, profile, consents and account, and
+ * records the erasure in erasure_requests. Also works for emails that recorded before
+ * accounts existed (no users row).
+ *
+ * Usage:
+ *   node scripts/erase-user.js --email someone@example.com --operator admin@example.com --dry-run
+ *   node scripts/erase-user.js --email someone@example.com --operator admin@example.com
+ */
+
+require('dotenv').config();
+const { program } = require('commander');
+const { queryOne } = require('../backend/db');
+const { normalizeEmail } = require('../backend/utils/auth');
+const { eraseUser, findErasures } = require('../backend/dataRights');
+
+program
+    .requiredOption('-e, --email <email>', 'Email of the contributor to erase')
+    .requiredOption('--operator <email>', 'Who is carrying out the request (stored in erasure_requests)')
+    .option('--dry-run', 'Only show what would be erased')
+    .parse();
+
+const options = program.opts();
+
+async function main() {
+    try {
+        const email = normalizeEmail(options.email);
+        const user = await queryOne('SELECT id, email FROM users WHERE email = $1', [email]);
+        const counts = await queryOne(
+            `SELECT
+                (SELECT COUNT(*) FROM recordings WHERE user_id = $1)::int AS recordings,
+                (SELECT COUNT(*) FROM recording_votes WHERE reviewer = $1)::int AS votes`,
+            [email]
+        );
+
+        console.log(`Contributor: ${email}${user ? ` (user id ${user.id})` : ' (no account)'}`);
+        console.log(`  Recordings: ${counts.recordings}`);
+        console.log(`  Votes cast (kept under a pseudonym): ${counts.votes}`);
+
+        const previous = await findErasures(email);
+        if (previous.length > 0) {
+            console.log(`  Previous erasures: ${previous.map(e => `#${e.id} ${e.status} ${e.completed_at ? e.completed_at.toISOString() : ''}`).join(', ')}`);
+        }
+
+        if (!user && counts.recordings === 0) {
+            console.log('Nothing to erase.');
+            process.exit(0);
+        }
+
+        if (options.dryRun) {
+            console.log('\n(dry run - nothing was deleted)');
+            process.exit(0);
+        }
+
+        const erasure = await eraseUser(user || { id: null, email }, normalizeEmail(options.operator));
+        console.log(`\n✓ Erasure #${erasure.id} ${erasure.status}: ${erasure.recordings_deleted} recording(s), ${erasure.files_deleted} file(s) deleted`);
+        if (erasure.failed_files.length > 0) {
+            console.log('⚠️  Could not delete these storage objects (delete them manually):');
+            erasure.failed_files.forEach(file => console.log(`   ${file}`));
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -2,17 +2,30 @@
 /**
  * ASR Manifest Export Script
  * Exports approved recordings to NeMo/HF compatible manifest format
+ * Each utterance carries a pseudonymous speaker_id and, when the speaker shared a
+ * profile, their demographic fields (null otherwise). Speakers who withdrew consent are
+ * never exported, nor are recordings whose sentence was edited after recording until a
+ * reviewer re-verifies them.
  * 
  * Usage:
  *   node scripts/export-asr-manifest.js --output ../konkani_asr/data
+ *   node scripts/export-asr-manifest.js --output ../konkani_asr/data --consensus-only
+ *   node scripts/export-asr-manifest.js --output ../konkani_asr/data --phone-set xsampa
+ *   node scripts/export-asr-manifest.js --output ../konkani_asr/data --text normalized
+ *   node scripts/export-asr-manifest.js --output ../konkani_asr/data --keep-original
  */
 
 require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
 const { program } = require('commander');
-const { query, queryAll } = require('../backend/db');
+const { query, queryOne, queryAll } = require('../backend/db');
 const storage = require('../backend/storage');
+const { toManifestSpeaker } = require('../backend/utils/speakerProfile');
+const { consentWithdrawnSql } = require('../backend/consent');
+const { textChangedSql } = require('../backend/sentenceVersions');
+const { PHONE_SETS, DEFAULT_PHONE_SET, toPhonemes } = require('../backend/utils/g2p');
+const { PUNCTUATION_MODES, normalizeText } = require('../backend/utils/textNormalizer');
 
 // Parse command line arguments
 program
@@ -23,6 +36,13 @@ program
     .option('--min-duration <seconds>', 'Minimum duration', '0.5')
     .option('--max-duration <seconds>', 'Maximum duration', '30')
     .option('--copy-audio', 'Copy audio files (default: symlink)', false)
+    .option('--consensus-only', 'Only export recordings approved by reviewer consensus or adjudication', false)
+    .option('--phone-set <name>', `Phone set of the phonemes field (${PHONE_SETS.join(', ')})`, DEFAULT_PHONE_SET)
+    .option('--text <source>', 'Transcript in the text field: raw (text_devanagari) or normalized', 'raw')
+    .option('--punctuation <mode>', `Punctuation in text_normalized (${PUNCTUATION_MODES.join(', ')})`, 'remove')
+    .option('--keep-digits', 'Do not expand numbers into words in text_normalized', false)
+    .option('--strip-nukta', 'Drop nukta in text_normalized (ज़ = ज)', false)
+    .option('--keep-original', 'Add text_original: the sentence as written, before numbers were written out as words', false)
     .parse();
 
 const options = program.opts();
@@ -57,6 +77,27 @@ function splitRecordings(recordings, trainRatio, devRatio, testRatio) {
     };
 }
 
+/**
+ * Phonemes of a recording's sentence: the stored text_phonemes, or a fresh transcription
+ * for another phone set or a sentence not yet backfilled
+ */
+function phonemesFor(r) {
+    if (options.phoneSet === DEFAULT_PHONE_SET && r.text_phonemes) return r.text_phonemes;
+    return toPhonemes(r.text_devanagari, { phoneSet: options.phoneSet });
+}
+
+/**
+ * Transcript as read aloud (see backend/utils/textNormalizer.js), with the normaliser options
+ * given on the command line
+ */
+function normalizedText(r) {
+    return normalizeText(r.text_devanagari, {
+        punctuation: options.punctuation,
+        numbers: !options.keepDigits,
+        nukta: options.stripNukta ? 'remove' : 'keep',
+    });
+}
+
 /**
  * Write manifest file in JSONL format
  */
@@ -65,10 +106,19 @@ async function writeManifest(filePath, recordings, audioDir) {
         // Relative path from manifest to audio file
         const audioPath = path.join('audio', path.basename(r.audio_filepath));
         
+        const textNormalized = normalizedText(r);
+
         return JSON.stringify({
             audio_filepath: audioPath,
-            text: r.text_devanagari,
-            duration: r.duration_seconds
+            text: options.text === 'normalized' ? textNormalized : r.text_devanagari,
+            text_normalized: textNormalized,
+            phonemes: phonemesFor(r),
+            // Sentences imported with numbers as words keep the written form in text_written
+            ...(options.keepOriginal ? { text_original: r.text_written || r.text_devanagari } : {}),
+            duration: r.duration_seconds,
+            // Segment of a sentence split at import (see sentence_parents)
+            ...(r.parent_id ? { parent_id: r.parent_id, segment_index: r.segment_index } : {}),
+            ...toManifestSpeaker(r)
         });
     });
 
@@ -117,6 +167,15 @@ async function exportManifests() {
         if (Math.abs(trainRatio + devRatio + testRatio - 1.0) > 0.001) {
             throw new Error('Split ratios must sum to 1.0');
         }
+        if (!['raw', 'normalized'].includes(options.text)) {
+            throw new Error(`--text must be raw or normalized, not ${options.text}`);
+        }
+        if (!PUNCTUATION_MODES.includes(options.punctuation)) {
+            throw new Error(`Unknown punctuation mode: ${options.punctuation} (available: ${PUNCTUATION_MODES.join(', ')})`);
+        }
+        if (!PHONE_SETS.includes(options.phoneSet)) {
+            throw new Error(`Unknown phone set: ${options.phoneSet} (available: ${PHONE_SETS.join(', ')})`);
+        }
 
         // 1. Create output directories
         console.log(`Creating directories in: ${outputDir}`);
@@ -132,17 +191,47 @@ async function exportManifests() {
                 r.audio_filepath,
                 r.duration_seconds,
                 r.file_size_bytes,
-                s.text_devanagari
+                r.user_id,
+                s.text_devanagari,
+                s.text_written,
+                s.text_phonemes,
+                s.parent_id,
+                s.segment_index,
+                u.id as speaker_user_id,
+                sp.user_id IS NOT NULL as has_profile,
+                sp.age_band,
+                sp.gender,
+                sp.native_dialect,
+                sp.region,
+                sp.language_status,
+                sp.device_type
              FROM recordings r
              JOIN sentences s ON r.sentence_id = s.id
+             LEFT JOIN users u ON u.email = r.user_id
+             LEFT JOIN speaker_profiles sp ON sp.user_id = u.id
              WHERE r.status = 'approved'
                AND r.validation_status = 'valid'
                AND r.duration_seconds >= $1
                AND r.duration_seconds <= $2
+               AND (NOT $3 OR r.review_method IN ('consensus', 'adjudicated'))
+               AND NOT ${consentWithdrawnSql('r.user_id')}
+               AND NOT ${textChangedSql('r', 's')}
              ORDER BY r.created_at`,
-            [minDuration, maxDuration]
+            [minDuration, maxDuration, options.consensusOnly]
         );
 
+        // The transcript of these would no longer match what was read
+        const unverified = await queryOne(
+            `SELECT COUNT(*)::int AS count
+             FROM recordings r
+             JOIN sentences s ON r.sentence_id = s.id
+             WHERE r.status = 'approved'
+               AND ${textChangedSql('r', 's')}`
+        );
+        if (unverified.count > 0) {
+            console.log(`⚠️  Skipping ${unverified.count} approved recording(s) whose sentence was edited after recording (re-verify them in review.html)`);
+        }
+
         if (!recordings || recordings.length === 0) {
             console.log('No approved recordings found');
             console.log('Nothing to export. Create and approve recordings before running this script.');
@@ -158,6 +247,10 @@ async function exportManifests() {
         console.log(`  Total duration: ${(totalDuration / 60).toFixed(2)} minutes`);
         console.log(`  Total size: ${(totalSize / 1024 / 1024).toFixed(2)} MB`);
 
+        const speakers = new Set(recordings.map(r => r.speaker_user_id || r.user_id));
+        const profiledSpeakers = new Set(recordings.filter(r => r.has_profile).map(r => r.speaker_user_id));
+        console.log(`  Speakers: ${speakers.size} (${profiledSpeakers.size} with a speaker profile)`);
+
         // 4. Split into train/dev/test
         console.log('\nSplitting dataset...');
         const splits = splitRecordings(recordings, trainRatio, devRatio, testRatio);
@@ -223,6 +316,10 @@ async function exportManifests() {
             total_recordings: recordings.length,
             total_duration_minutes: totalDuration / 60,
             total_size_mb: totalSize / 1024 / 1024,
+            speakers: {
+                total: speakers.size,
+                with_profile: profiledSpeakers.size
+            },
             splits: {
                 train: { count: splits.train.length, ratio: trainRatio },
                 dev: { count: splits.dev.length, ratio: devRatio },
@@ -236,6 +333,15 @@ async function exportManifests() {
             duration_range: {
                 min: minDuration,
                 max: maxDuration
+            },
+            consensus_only: options.consensusOnly,
+            phone_set: options.phoneSet,
+            text_source: options.text,
+            keep_original: options.keepOriginal,
+            normalization: {
+                punctuation: options.punctuation,
+                numbers: !options.keepDigits,
+                nukta: options.stripNukta ? 'remove' : 'keep'
             }
         };
 
@@ -2,11 +2,13 @@
 /**
  * Export recordings as audio/text manifest for ASR training
  * Usage:
- *   node scripts/export-recordings.js --limit=4 [--user=you@example.com]
+ *   node scripts/export-recordings.js --limit=4 [--user=you@example.com] [--text=normalized] [--keep-original]
  *
  * Output:
  *   ./exported/audio/<recording_id>.wav
- *   ./exported/manifest.jsonl (JSON Lines with fields: audio_filepath, sentence_text, sentence_text_iast, recording_id, sentence_id, user_id)
+ *   ./exported/manifest.jsonl (JSON Lines with fields: audio_filepath, sentence_text, sentence_text_normalized, sentence_text_iast, sentence_text_phonemes, recording_id, sentence_id, user_id)
+ *   With --text=normalized, sentence_text is sentence_text_normalized (see backend/utils/textNormalizer.js)
+ *   With --keep-original, sentence_text_original is the sentence as written, before numbers were written as words
  */
 
 const fs = require('fs').promises;
@@ -14,6 +16,9 @@ const path = require('path');
 const { pipeline } = require('stream/promises');
 const Storage = require('../backend/storage');
 const { Pool } = require('pg');
+const { consentWithdrawnSql } = require('../backend/consent');
+const { textChangedSql } = require('../backend/sentenceVersions');
+const { normalizeText } = require('../backend/utils/textNormalizer');
 
 // Simple argument parsing
 const argv = {};
@@ -26,6 +31,8 @@ for (let i = 2; i < process.argv.length; i++) {
 }
 const limit = parseInt(argv.limit || argv.l || 4, 10);
 const user = argv.user || argv.u || null;
+const textSource = argv.text === 'normalized' ? 'normalized' : 'raw';
+const keepOriginal = !!argv['keep-original'];
 
 const outDir = path.resolve(__dirname, '../exported');
 const audioDir = path.join(outDir, 'audio');
@@ -43,12 +50,17 @@ async function main() {
                 FROM recordings
             )
             SELECT l.id as recording_id, l.audio_filepath, l.duration_seconds, l.user_id, l.created_at,
-                   s.id as sentence_id, s.text_devanagari as sentence_text, s.text_iast as sentence_text_iast,
+                   s.id as sentence_id, s.text_devanagari as sentence_text, s.text_written as sentence_text_written, s.text_iast as sentence_text_iast,
+                   s.text_phonemes as sentence_text_phonemes,
+                   l.sentence_version, ${textChangedSql('l', 's')} as text_changed,
+                   s.parent_id, s.segment_index, sp.segment_count, sp.text_devanagari as parent_text,
                    st.id as story_id, st.title as story_title
             FROM latest l
             JOIN sentences s ON s.id = l.sentence_id
+            LEFT JOIN sentence_parents sp ON sp.id = s.parent_id
             JOIN stories st ON st.id = s.story_id
             WHERE l.rn = 1
+              AND NOT ${consentWithdrawnSql('l.user_id')}
         `;
 
         const params = [];
@@ -96,13 +108,29 @@ async function main() {
                 continue;
             }
 
+            // Transcript as read aloud: numbers as words, no punctuation
+            const normalized = normalizeText(row.sentence_text);
+
             const manifestEntry = {
                 audio_filepath: `audio/${rid}.wav`,
                 sentence_id: row.sentence_id,
                 recording_id: rid,
                 user_id: row.user_id,
-                sentence_text: row.sentence_text,
+                sentence_text: textSource === 'normalized' ? normalized : row.sentence_text,
+                sentence_text_normalized: normalized,
+                ...(keepOriginal ? { sentence_text_original: row.sentence_text_written || row.sentence_text } : {}),
                 sentence_text_iast: row.sentence_text_iast || null,
+                // Phones of the sentence as written (see backend/utils/g2p.js); null until phonemize-sentences.js has run
+                sentence_text_phonemes: row.sentence_text_phonemes || null,
+                // true when the sentence was edited after recording and not yet re-verified
+                sentence_version: row.sentence_version,
+                text_changed: row.text_changed,
+                // Set when the sentence is one segment of a longer sentence split at import;
+                // join the segments of a parent_id in segment_index order to rebuild it
+                parent_id: row.parent_id,
+                segment_index: row.segment_index,
+                segment_count: row.segment_count,
+                parent_text: row.parent_text,
                 duration_seconds: row.duration_seconds,
                 story_id: row.story_id,
                 story_title: row.story_title
@@ -16,7 +16,7 @@ const options = program.opts();
 (async () => {
   try {
     const storyId = parseInt(options.id, 10);
-    const rows = await queryAll('SELECT order_in_story, id, text_devanagari, text_iast FROM sentences WHERE story_id = $1 ORDER BY order_in_story', [storyId]);
+    const rows = await queryAll('SELECT order_in_story, id, text_devanagari, text_iast FROM sentences WHERE story_id = $1 AND retired_at IS NULL ORDER BY order_in_story', [storyId]);
     const outPath = path.join(process.cwd(), options.out || 'tmp_test.txt');
 
     const lines = rows.map(r => `${r.order_in_story}\t${r.id}\t${r.text_devanagari}` + (r.text_iast ? `\t${r.text_iast}` : ''));
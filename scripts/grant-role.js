@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Grant or revoke a user role from the command line
+ * Use this to bootstrap the first admin; afterwards admins can manage roles
+ * through /api/admin/users/:id/roles (admin.html).
+ *
+ * Usage:
+ *   node scripts/grant-role.js --email someone@example.com --role admin
+ *   node scripts/grant-role.js --email someone@example.com --role reviewer --revoke
+ */
+
+require('dotenv').config();
+const { program } = require('commander');
+const { query, queryOne } = require('../backend/db');
+const { ROLES, normalizeEmail } = require('../backend/utils/auth');
+
+program
+    .requiredOption('-e, --email <email>', 'User email')
+    .requiredOption('-r, --role <role>', `Role (${ROLES.join(', ')})`)
+    .option('--revoke', 'Revoke the role instead of granting it')
+    .parse();
+
+const options = program.opts();
+
+async function main() {
+    try {
+        const email = normalizeEmail(options.email);
+
+        if (!ROLES.includes(options.role)) {
+            throw new Error(`Unknown role '${options.role}'. Use one of: ${ROLES.join(', ')}`);
+        }
+
+        // Create a passwordless account if needed; the user can log in with a magic link
+        const user = await queryOne(
+            `INSERT INTO users (email) VALUES ($1)
+             ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+             RETURNING id, email`,
+            [email]
+        );
+
+        if (options.revoke) {
+            await query('DELETE FROM user_roles WHERE user_id = $1 AND role = $2', [user.id, options.role]);
+            console.log(`✓ Revoked '${options.role}' from ${user.email}`);
+        } else {
+            await query(
+                `INSERT INTO user_roles (user_id, role, granted_by)
+                 VALUES ($1, $2, 'script')
+                 ON CONFLICT (user_id, role) DO NOTHING`,
+                [user.id, options.role]
+            );
+            console.log(`✓ Granted '${options.role}' to ${user.email}`);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -22,6 +22,7 @@ const path = require('path');
 const { program } = require('commander');
 const { query, queryOne } = require('../backend/db');
 const { devanagariToIAST } = require('../backend/utils/transliterate-canonical');
+const { splitIntoSentences } = require('../backend/utils/sentenceSplitter');
 
 program
   .option('--dry-run', 'Preview stories without importing')
@@ -59,38 +60,6 @@ const STORIES = [
   }
 ];
 
-/**
- * Split text into sentences (same logic as import-story.js)
- */
-function splitIntoSentences(text) {
-  let raw = text.split(/[।॥\n]+/).map(s => s.trim());
-  const isStandalonePunc = (s) => {
-    if (!s || s.trim().length === 0) return false;
-    const hasLetter = /[\p{L}\u0900-\u097F]/u.test(s);
-    if (hasLetter) return false;
-    return true;
-  };
-
-  const sentences = [];
-  for (let i = 0; i < raw.length; i++) {
-    const segment = raw[i];
-    if (!segment || segment.length === 0) continue;
-    if (isStandalonePunc(segment)) {
-      if (sentences.length > 0) {
-        sentences[sentences.length - 1] = (sentences[sentences.length - 1] + ' ' + segment).trim();
-      } else if (i + 1 < raw.length && raw[i + 1] && raw[i + 1].length > 0) {
-        raw[i + 1] = (segment + ' ' + raw[i + 1]).trim();
-      } else {
-        sentences.push(segment);
-      }
-    } else {
-      sentences.push(segment);
-    }
-  }
-
-  return sentences.filter(s => s && s.length > 0);
-}
-
 async function importStory(storyConfig) {
   const { file, title, language } = storyConfig;
   
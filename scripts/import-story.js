@@ -5,6 +5,24 @@
  * 
  * Usage:
  *   node scripts/import-story.js --file story1.txt --title "पाव वाट"
+ *   node scripts/import-story.js --file story1.txt --reimport --dry-run
+ *   node scripts/import-story.js --file story1.txt --title-from-file --long-sentences split --max-seconds 25
+ *   node scripts/import-story.js --file kathi-romi.txt --title "Pav vatt" --script romi
+ *   node scripts/import-story.js --file story1.txt --title "पाव वाट" --numbers-as-words
+ *
+ * --reimport updates the existing story (same source_file or title) in place: sentences that are
+ * still in the file keep their recordings, edited ones get a new text version, new ones are added
+ * and removed ones are retired. --dry-run prints the diff without changing anything.
+ *
+ * Sentences that would take longer than --max-seconds to read are reported, or with
+ * --long-sentences split, split at utterance ends, commas or conjunctions. The segments keep
+ * the original sentence as their parent (sentence_parents) so exports can join them again.
+ *
+ * Stories may be written in Devanagari, Kannada, Romi or Malayalam script (--script, detected from
+ * the text by default). Sentences are stored in Devanagari with the other scripts as variants.
+ *
+ * --numbers-as-words writes numbers, dates, times and rupee amounts out as the words speakers read
+ * (see backend/utils/konkaniNumbers.js); the sentence as written is kept in sentences.text_written.
  */
 
 require('dotenv').config();
@@ -12,6 +30,12 @@ const fs = require('fs').promises;
 const path = require('path');
 const { program } = require('commander');
 const { query, queryOne } = require('../backend/db');
+const { splitIntoSentences } = require('../backend/utils/sentenceSplitter');
+const { DEFAULT_MIN_SIMILARITY } = require('../backend/utils/sentenceAlignment');
+const { createStory, reimportStory } = require('../backend/stories');
+const { MAX_RECORDING_SECONDS } = require('../backend/utils/sentenceDuration');
+const { LONG_SENTENCE_MODES, fitSentencesToLimit } = require('../backend/utils/longSentences');
+const { SCRIPTS, CANONICAL_SCRIPT, detectScript } = require('../backend/utils/konkaniScripts');
 
 // Parse command line arguments
 program
@@ -19,114 +43,34 @@ program
     .option('-t, --title <title>', 'Story title (use --title-from-file to use first line of file, avoids encoding issues)')
     .option('--title-from-file', 'Use first non-empty line of story file as title')
     .option('-l, --language <lang>', 'Language', 'konkani')
+    .option('--script <script>', `Script the story is written in: auto or ${SCRIPTS.join(', ')}`, 'auto')
+    .option('--numbers-as-words', 'Write numbers out as words (१२ = बारा), keeping the written sentence in text_written')
+    .option('--max-words <n>', 'Split sentences longer than this at commas or conjunctions')
+    .option('--long-sentences <mode>', 'Sentences that take longer than --max-seconds to read: flag (report them) or split (into segments that keep the original as parent)', 'flag')
+    .option('--max-seconds <n>', 'Reading-time limit for --long-sentences', String(MAX_RECORDING_SECONDS))
     .option('-r, --replace', 'Replace existing story with same source_file or title (deletes existing story and related sentences/recordings)')
+    .option('--reimport', 'Update the existing story with same source_file or title in place, keeping recordings of unchanged sentences')
+    .option('--dry-run', 'With --reimport: print the diff without changing anything')
+    .option('--similarity <ratio>', 'With --reimport: minimum text similarity (0-1) for a changed sentence to count as an edit', String(DEFAULT_MIN_SIMILARITY))
+    .option('--editor <name>', 'With --reimport: recorded as the editor of changed sentences', 'import-story.js')
     .parse();
 
 let options = program.opts();
 
 /**
- * Split text into sentences.
- *
- * Rules:
- * 1. Devanagari danda (।), double danda (॥), newlines: always sentence boundaries.
- * 2. Periods (.), ! and ?: sentence boundaries when outside quoted dialogue.
- * 3. When one speaker's quote ends (closing "), that ends the sentence. The next speaker's
- *    quote starts a new sentence.
- *
- * Inside "...", . ! ? are NOT boundaries (whole quote is one utterance).
- *
- * @param {string} text - Story text in Devanagari script
- * @returns {string[]} Array of sentence strings
+ * Report sentences whose expected reading time exceeds the limit (and how they were split)
  */
-function splitIntoSentences(text) {
-    const sentences = [];
-    let current = '';
-    let inQuote = false;
-
-    for (let i = 0; i < text.length; i++) {
-        const c = text[i];
-
-        if (c === '"') {
-            current += c;
-            inQuote = !inQuote;
-            if (!inQuote) {
-                const trimmed = current.trim();
-                if (trimmed) sentences.push(trimmed);
-                current = '';
-            }
-            continue;
-        }
-
-        if (inQuote) {
-            current += c;
-            continue;
-        }
+function reportLongSentences(sentences, longSentences) {
+    const fitted = fitSentencesToLimit(sentences, longSentences);
+    const tooLong = fitted.filter(f => f.length_warning === 'too_long');
+    const split = new Set(fitted.filter(f => f.parent).map(f => f.parent));
 
-        if (/[।॥]/.test(c)) {
-            current += c;
-            const trimmed = current.trim();
-            if (trimmed) sentences.push(trimmed);
-            current = '';
-            continue;
-        }
-
-        if (c === '\n') {
-            const trimmed = current.trim();
-            if (trimmed) sentences.push(trimmed);
-            current = '';
-            continue;
-        }
-
-        if (/[.!?]/.test(c)) {
-            current += c;
-            const trimmed = current.trim();
-            if (trimmed) sentences.push(trimmed);
-            current = '';
-            continue;
-        }
-
-        current += c;
+    if (split.size > 0) {
+        console.log(`✂️  Split ${split.size} sentence(s) longer than ${longSentences.maxSeconds}s into ${fitted.length - sentences.length + split.size} segments`);
     }
-
-    const trimmed = current.trim();
-    if (trimmed) sentences.push(trimmed);
-
-    const isStandalonePunc = (s) => {
-        if (!s || s.trim().length === 0) return false;
-        const hasLetter = /[\p{L}\u0900-\u097F]/u.test(s);
-        return !hasLetter;
-    };
-
-    const result = [];
-    for (let i = 0; i < sentences.length; i++) {
-        const seg = sentences[i];
-        if (!seg) continue;
-        if (isStandalonePunc(seg)) {
-            if (result.length > 0) {
-                result[result.length - 1] = (result[result.length - 1] + ' ' + seg).trim();
-            } else if (i + 1 < sentences.length) {
-                sentences[i + 1] = (seg + ' ' + sentences[i + 1]).trim();
-            } else {
-                result.push(seg);
-            }
-        } else {
-            result.push(seg);
-        }
-    }
-
-    return result.filter(s => s && s.length > 0);
-}
-
-const { devanagariToIAST } = require('../backend/utils/transliterate-canonical');
-/**
- * Transliterate to IAST using our helper
- */
-function transliterateToIAST(devanagari) {
-    try {
-        return devanagariToIAST(devanagari);
-    } catch (err) {
-        console.error('Transliteration failed for text:', devanagari, err);
-        return '';
+    if (tooLong.length > 0) {
+        console.log(`⚠️  ${tooLong.length} sentence(s) may take longer than ${longSentences.maxSeconds}s to read${longSentences.mode === 'flag' ? ' (use --long-sentences split to split them)' : ' and could not be split'}:`);
+        tooLong.forEach(f => console.log(`   ~${f.estimated_seconds}s: ${f.text}`));
     }
 }
 
@@ -150,14 +94,36 @@ async function importStory() {
             ? content.split('\n').map(l => l.trim()).find(l => l.length > 0) || 'Untitled'
             : (options.title || 'Untitled');
 
+        const script = options.script === 'auto' ? detectScript(content) || CANONICAL_SCRIPT : options.script;
+        if (!SCRIPTS.includes(script)) {
+            throw new Error(`--script must be auto or one of ${SCRIPTS.join(', ')}`);
+        }
+        if (script !== CANONICAL_SCRIPT) {
+            console.log(`Script: ${script} (sentences are converted to Devanagari)`);
+        }
+
         // 2. Split into sentences
-        const sentences = splitIntoSentences(content);
+        const sentences = splitIntoSentences(content, { maxWords: parseInt(options.maxWords) || null });
         console.log(`Found ${sentences.length} sentences`);
 
         if (sentences.length === 0) {
             throw new Error('No sentences found in file');
         }
 
+        const longSentences = { mode: options.longSentences, maxSeconds: parseFloat(options.maxSeconds) };
+        if (!LONG_SENTENCE_MODES.includes(longSentences.mode)) {
+            throw new Error(`--long-sentences must be ${LONG_SENTENCE_MODES.join(' or ')}`);
+        }
+        if (!(longSentences.maxSeconds > 0)) {
+            throw new Error('--max-seconds must be a positive number');
+        }
+        reportLongSentences(sentences, longSentences);
+
+        if (options.reimport) {
+            await reimport(filePath, title, sentences, longSentences, script);
+            process.exit(0);
+        }
+
         // 3. If replace was requested, delete any existing story with the same source_file or title
         if (options.replace) {
             console.log('⚠️ Replace flag detected — searching for existing stories to delete');
@@ -172,38 +138,18 @@ async function importStory() {
             }
         }
 
-        // 4. Insert story
+        // 4. Insert story and sentences
         console.log(`Creating story: "${title}"`);
-        
-        const story = await queryOne(
-            `INSERT INTO stories (title, source_file, language, total_sentences)
-             VALUES ($1, $2, $3, $4)
-             RETURNING id`,
-            [title, path.basename(filePath), options.language, sentences.length]
-        );
-
-        console.log(`✓ Story created with ID: ${story.id}`);
-
-        // 5. Insert sentences
-        console.log('Importing sentences...');
-        
-        for (let i = 0; i < sentences.length; i++) {
-            const text = sentences[i];
-            const iast = transliterateToIAST(text);
-            const charCount = text.length;
-
-            await query(
-                `INSERT INTO sentences (story_id, order_in_story, text_devanagari, text_iast, char_count)
-                 VALUES ($1, $2, $3, $4, $5)`,
-                [story.id, i + 1, text, iast, charCount]
-            );
-
-            // Progress indicator
-            if ((i + 1) % 10 === 0 || (i + 1) === sentences.length) {
-                process.stdout.write(`\r  Imported: ${i + 1}/${sentences.length} sentences`);
-            }
-        }
-        console.log('\n');
+        const story = await createStory({
+            title,
+            source_file: path.basename(filePath),
+            language: options.language,
+            script,
+            sentences,
+            numbers_as_words: !!options.numbersAsWords,
+            long_sentences: longSentences,
+        });
+        console.log(`✓ Story created with ID: ${story.id}\n`);
 
         // 5. Summary
         console.log('='.repeat(50));
@@ -211,7 +157,7 @@ async function importStory() {
         console.log('='.repeat(50));
         console.log(`Story ID: ${story.id}`);
         console.log(`Title: ${title}`);
-        console.log(`Total Sentences: ${sentences.length}`);
+        console.log(`Total Sentences: ${story.total_sentences}`);
         console.log(`Language: ${options.language}`);
         console.log('\nNext steps:');
         console.log(`  1. Open http://localhost:3000/recorder.html`);
@@ -228,5 +174,76 @@ async function importStory() {
     }
 }
 
+const DIFF_MARKS = { keep: '=', edit: '~', insert: '+', retire: '-' };
+
+function printDiff(operations) {
+    operations.forEach(op => {
+        const recordings = op.sentence && op.sentence.recording_count > 0
+            ? ` (${op.sentence.recording_count} recording${op.sentence.recording_count === 1 ? '' : 's'})`
+            : '';
+        if (op.action === 'keep') {
+            const moved = op.sentence.order_in_story !== op.order_in_story ? ` (was #${op.sentence.order_in_story})` : '';
+            console.log(`  ${DIFF_MARKS.keep} #${op.order_in_story}${moved} ${op.text}${recordings}`);
+        } else if (op.action === 'edit') {
+            console.log(`  ${DIFF_MARKS.edit} #${op.order_in_story} (was #${op.sentence.order_in_story}, ${Math.round(op.similarity * 100)}% similar)${recordings}`);
+            console.log(`      old: ${op.sentence.text_devanagari}`);
+            console.log(`      new: ${op.text}`);
+        } else if (op.action === 'insert') {
+            console.log(`  ${DIFF_MARKS.insert} #${op.order_in_story} ${op.text}`);
+        } else {
+            console.log(`  ${DIFF_MARKS.retire} was #${op.sentence.order_in_story} ${op.sentence.text_devanagari}${recordings}`);
+        }
+    });
+}
+
+/**
+ * Update an existing story in place from the new file (--reimport)
+ */
+async function reimport(filePath, title, sentences, longSentences, script) {
+    const minSimilarity = parseFloat(options.similarity);
+    if (!(minSimilarity > 0 && minSimilarity <= 1)) {
+        throw new Error('--similarity must be a number between 0 and 1');
+    }
+
+    const existing = await queryOne('SELECT id, title FROM stories WHERE source_file = $1', [path.basename(filePath)])
+        || await queryOne('SELECT id, title FROM stories WHERE title = $1', [title]);
+    if (!existing) {
+        throw new Error(`No existing story with source_file "${path.basename(filePath)}" or title "${title}" to re-import`);
+    }
+
+    console.log(`${options.dryRun ? '🔍 Dry run: comparing' : 'Re-importing'} story ${existing.id} "${existing.title}"`);
+    const result = await reimportStory(existing.id, {
+        sentences,
+        script,
+        source_file: path.basename(filePath),
+        numbers_as_words: !!options.numbersAsWords,
+        long_sentences: longSentences,
+    }, {
+        editor: options.editor,
+        minSimilarity,
+        dryRun: !!options.dryRun,
+    });
+
+    console.log('');
+    printDiff(result.operations);
+
+    const { keep, edit, insert, retire } = result.summary;
+    const recordingsOf = action => result.operations
+        .filter(op => op.action === action)
+        .reduce((sum, op) => sum + op.sentence.recording_count, 0);
+
+    console.log('');
+    console.log('='.repeat(50));
+    console.log(options.dryRun ? '🔍 Dry run — nothing was changed' : '✅ Re-import Complete!');
+    console.log('='.repeat(50));
+    console.log(`Story ID: ${existing.id}`);
+    console.log(`${DIFF_MARKS.keep} Unchanged: ${keep}`);
+    console.log(`${DIFF_MARKS.edit} Edited:    ${edit} (${recordingsOf('edit')} recordings to re-verify)`);
+    console.log(`${DIFF_MARKS.insert} New:       ${insert}`);
+    console.log(`${DIFF_MARKS.retire} Retired:   ${retire} (${recordingsOf('retire')} recordings kept)`);
+    console.log(`Total Sentences: ${result.operations.filter(op => op.action !== 'retire').length}`);
+    console.log('='.repeat(50));
+}
+
 // Run import
 importStory();
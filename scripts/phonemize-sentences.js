@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const { program } = require('commander');
+const { query, queryAll } = require('../backend/db');
+const { toPhonemes } = require('../backend/utils/g2p');
+
+async function processBatch(options) {
+  const batchSize = parseInt(options.batchSize || '100', 10);
+  const dryRun = !!options.dryRun;
+  const checkpointFile = options.checkpointFile || null;
+  let lastId = parseInt(options.startId || '0', 10);
+  let limit = parseInt(options.limit || '5', 10);
+  const all = options.all || limit === 0;
+  const missingOnly = !!options.missingOnly;
+
+  console.log('Starting phonemic transcription with options:', { all, limit, batchSize, lastId, dryRun, checkpointFile, missingOnly });
+
+  let totalProcessed = 0;
+  while (true) {
+    const thisBatchSize = all ? batchSize : Math.min(batchSize, limit - totalProcessed);
+    if (thisBatchSize <= 0) break;
+
+    const rows = await queryAll(
+      `SELECT id, text_devanagari, text_phonemes FROM sentences
+       WHERE id > $1 AND (NOT $3 OR text_phonemes IS NULL)
+       ORDER BY id LIMIT $2`,
+      [lastId, thisBatchSize, missingOnly]
+    );
+    if (!rows || rows.length === 0) break;
+
+    let count = 0;
+    for (const r of rows) {
+      const phonemes = toPhonemes(r.text_devanagari);
+      if (r.text_phonemes !== phonemes) {
+        if (!dryRun) {
+          await query('UPDATE sentences SET text_phonemes = $1 WHERE id = $2', [phonemes, r.id]);
+        } else if (count < 5) {
+          console.log(`\n${r.id}: ${r.text_devanagari} --> ${phonemes}`);
+        }
+        count++;
+      }
+      lastId = r.id;
+      totalProcessed++;
+    }
+
+    if (checkpointFile) {
+      try { fs.writeFileSync(checkpointFile, JSON.stringify({ lastId })); } catch (e) { console.warn('Could not write checkpoint file:', e); }
+    }
+
+    process.stdout.write(`\rUpdated this batch: ${count}; Total processed: ${totalProcessed}`);
+
+    if (!all && totalProcessed >= limit) break;
+    if (all && rows.length < thisBatchSize) break;
+  }
+  console.log('\nDone.');
+}
+
+(async () => {
+  program
+    .option('-l, --limit <n>', 'Limit number of rows to process (0 = all)', '5')
+    .option('-b, --batch-size <n>', 'Batch size for processing rows', '100')
+    .option('--all', 'Process all rows (alias for --limit 0)')
+    .option('--start-id <n>', 'Start processing from id > startId (default 0)', '0')
+    .option('--checkpoint-file <path>', 'Write progress checkpoint to this file')
+    .option('--missing-only', 'Only fill sentences that have no text_phonemes yet')
+    .option('--dry-run', 'Do not apply DB updates; just report', false);
+  program.parse();
+  const options = program.opts();
+  try {
+    if (options.checkpointFile && fs.existsSync(options.checkpointFile)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(options.checkpointFile, 'utf8'));
+        if (data && data.lastId) options.startId = String(data.lastId);
+      } catch (e) { console.warn('Could not read checkpoint file, starting fresh.'); }
+    }
+    await processBatch(options);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error while transcribing phonemes:', err);
+    process.exit(1);
+  }
+})();
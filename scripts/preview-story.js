@@ -3,6 +3,7 @@
  * Preview story splitting and transliteration
  * Usage:
  *   node scripts/preview-story.js --file story2.txt --title "Title"
+ *   node scripts/preview-story.js --file story2.txt --numbers-as-words
  */
 
 require('dotenv').config();
@@ -10,55 +11,60 @@ const fs = require('fs').promises;
 const path = require('path');
 const { program } = require('commander');
 const { devanagariToIAST } = require('../backend/utils/transliterate-canonical');
+const { toPhonemes } = require('../backend/utils/g2p');
+const { expandNumbers } = require('../backend/utils/konkaniNumbers');
+const { splitIntoSentences } = require('../backend/utils/sentenceSplitter');
+const { MAX_RECORDING_SECONDS } = require('../backend/utils/sentenceDuration');
+const { fitSentencesToLimit } = require('../backend/utils/longSentences');
+const { CANONICAL_SCRIPT, detectScript, toDevanagari, scriptVariants } = require('../backend/utils/konkaniScripts');
 
 program
   .requiredOption('-f, --file <path>', 'Path to story .txt file')
   .option('-t, --title <title>', 'Story title')
+  .option('--max-words <n>', 'Split sentences longer than this at commas or conjunctions')
+  .option('--long-sentences <mode>', 'As for import-story.js: flag or split sentences over --max-seconds', 'flag')
+  .option('--max-seconds <n>', 'Reading-time limit for --long-sentences', String(MAX_RECORDING_SECONDS))
+  .option('--script <script>', 'As for import-story.js: script the story is written in', 'auto')
+  .option('--numbers-as-words', 'As for import-story.js: write numbers out as words')
   .parse();
 
 const options = program.opts();
 
-function splitIntoSentences(text) {
-  let raw = text.split(/[।॥\n]+/).map(s => s.trim());
-  const isStandalonePunc = (s) => {
-    if (!s || s.trim().length === 0) return false;
-    const hasLetter = /[\p{L}\u0900-\u097F]/u.test(s);
-    if (hasLetter) return false;
-    return true;
-  };
-  const sentences = [];
-  for (let i = 0; i < raw.length; i++) {
-    const segment = raw[i];
-    if (!segment || segment.length === 0) continue;
-    if (isStandalonePunc(segment)) {
-      if (sentences.length > 0) {
-        sentences[sentences.length - 1] = (sentences[sentences.length - 1] + ' ' + segment).trim();
-      } else if (i + 1 < raw.length && raw[i + 1] && raw[i + 1].length > 0) {
-        raw[i + 1] = (segment + ' ' + raw[i + 1]).trim();
-      } else {
-        sentences.push(segment);
-      }
-    } else {
-      sentences.push(segment);
-    }
-  }
-  return sentences.filter(s => s && s.length > 0);
-}
-
 async function preview() {
   const filePath = path.resolve(options.file);
   const content = await fs.readFile(filePath, 'utf-8');
-  const sentences = splitIntoSentences(content);
-  const out = sentences.map((s, idx) => ({
-    order_in_story: idx + 1,
-    text_devanagari: s,
-    text_iast: devanagariToIAST(s),
-    char_count: s.length
-  }));
+  const script = options.script === 'auto' ? detectScript(content) || CANONICAL_SCRIPT : options.script;
+  const sentences = splitIntoSentences(content, { maxWords: parseInt(options.maxWords) || null });
+  const fitted = fitSentencesToLimit(sentences, {
+    mode: options.longSentences,
+    maxSeconds: parseFloat(options.maxSeconds) || MAX_RECORDING_SECONDS
+  });
+  const spoken = text => (options.numbersAsWords ? expandNumbers(text) : text);
+  const out = fitted.map((s, idx) => {
+    const written = toDevanagari(s.text, script);
+    const text = spoken(written);
+    return {
+      order_in_story: idx + 1,
+      text_devanagari: text,
+      text_written: text === written ? null : written,
+      text_iast: devanagariToIAST(text),
+      text_phonemes: toPhonemes(text),
+      char_count: text.length,
+      text_variants: scriptVariants(text, { script, text: s.text }),
+      estimated_seconds: s.estimated_seconds,
+      length_warning: s.length_warning,
+      parent: s.parent && spoken(toDevanagari(s.parent, script)),
+      segment_index: s.segment_index
+    };
+  });
   const outPath = path.join(process.cwd(), `story-preview-${path.basename(filePath)}.json`);
   await fs.writeFile(outPath, JSON.stringify({ title: options.title || path.basename(filePath), count: out.length, sentences: out }, null, 2), 'utf-8');
   console.log(`Preview written to: ${outPath}`);
   console.log(`Total sentences: ${out.length}`);
+  const tooLong = out.filter(s => s.length_warning === 'too_long');
+  if (tooLong.length > 0) {
+    console.log(`⚠️  ${tooLong.length} sentence(s) over ${options.maxSeconds}s: ${tooLong.map(s => s.order_in_story).join(', ')}`);
+  }
   console.log('\nSample sentences:');
   out.slice(0, 10).forEach(s => console.log(`${s.order_in_story}. ${s.text_devanagari} --> ${s.text_iast}`));
 }
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Apply a SQL migration file from sql/migrations
+ *
+ * Usage:
+ *   node scripts/run-migration.js --file sql/migrations/003_add_users_and_sessions.sql
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { program } = require('commander');
+const { query } = require('../backend/db');
+
+program
+    .requiredOption('-f, --file <path>', 'Path to migration .sql file')
+    .parse();
+
+const options = program.opts();
+
+async function runMigration() {
+    try {
+        const migrationPath = path.resolve(options.file);
+        console.log(`🔄 Applying migration: ${path.basename(migrationPath)}\n`);
+
+        const sql = fs.readFileSync(migrationPath, 'utf8');
+        await query(sql);
+
+        console.log('✅ Migration completed successfully!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+runMigration();
@@ -4,6 +4,7 @@ const fs = require('fs');
 const { program } = require('commander');
 const { query, queryAll } = require('../backend/db');
 const { devanagariToIAST } = require('../backend/utils/transliterate-canonical');
+const { scriptVariants } = require('../backend/utils/konkaniScripts');
 
 async function processBatch(options) {
   const batchSize = parseInt(options.batchSize || '100', 10);
@@ -12,8 +13,9 @@ async function processBatch(options) {
   let lastId = parseInt(options.startId || '0', 10);
   let limit = parseInt(options.limit || '5', 10);
   const all = options.all || limit === 0;
+  const variants = !!options.variants;
 
-  console.log('Starting transliteration with options:', { all, limit, batchSize, lastId, dryRun, checkpointFile });
+  console.log('Starting transliteration with options:', { all, limit, batchSize, lastId, dryRun, checkpointFile, variants });
 
   let totalProcessed = 0;
   let running = true;
@@ -22,16 +24,21 @@ async function processBatch(options) {
     const thisBatchSize = all ? batchSize : Math.min(batchSize, limit - totalProcessed);
     if (thisBatchSize <= 0) break;
 
-    const rows = await queryAll('SELECT id, text_devanagari, text_iast FROM sentences WHERE id > $1 ORDER BY id LIMIT $2', [lastId, thisBatchSize]);
+    const rows = await queryAll('SELECT id, text_devanagari, text_iast, text_variants FROM sentences WHERE id > $1 ORDER BY id LIMIT $2', [lastId, thisBatchSize]);
     if (!rows || rows.length === 0) break;
 
     let count = 0;
     for (const r of rows) {
       const iast = devanagariToIAST(r.text_devanagari);
-      if (r.text_iast === iast) {
+      // Only fill missing variants: a story imported in another script keeps the author's spelling
+      const missingVariants = variants && Object.keys(r.text_variants || {}).length === 0;
+      if (r.text_iast === iast && !missingVariants) {
         // do nothing
       } else if (!dryRun) {
-        await query('UPDATE sentences SET text_iast = $1 WHERE id = $2', [iast, r.id]);
+        await query(
+          'UPDATE sentences SET text_iast = $1, text_variants = COALESCE($2, text_variants) WHERE id = $3',
+          [iast, missingVariants ? JSON.stringify(scriptVariants(r.text_devanagari)) : null, r.id]
+        );
         count++;
       } else {
         count++;
@@ -61,6 +68,7 @@ async function processBatch(options) {
     .option('--all', 'Process all rows (alias for --limit 0)')
     .option('--start-id <n>', 'Start processing from id > startId (default 0)', '0')
     .option('--checkpoint-file <path>', 'Write progress checkpoint to this file')
+    .option('--variants', 'Also fill in missing Kannada, Romi and Malayalam variants (text_variants)')
     .option('--dry-run', 'Do not apply DB updates; just report', false);
   program.parse();
   const options = program.opts();
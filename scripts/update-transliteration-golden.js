@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Golden-file corpus for the transliteration rules
+ * Splits the bundled stories into sentences and records their IAST (devanagariToIAST) in
+ * backend/utils/__tests__/fixtures/transliteration-golden.json, which the jest suite checks on
+ * every run. After changing transliteration_rules.json, run with --check to see which sentences
+ * change, then without it to accept the new output.
+ *
+ * Usage:
+ *   node scripts/update-transliteration-golden.js --check
+ *   node scripts/update-transliteration-golden.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { program } = require('commander');
+const { splitIntoSentences } = require('../backend/utils/sentenceSplitter');
+const { devanagariToIAST } = require('../backend/utils/transliterate-canonical');
+
+const ROOT = path.join(__dirname, '..');
+const STORIES = ['story1.txt', 'story2.txt', 'story3.txt', 'story4.txt', 'story5.txt', 'story6.txt'];
+const GOLDEN_FILE = path.join(ROOT, 'backend', 'utils', '__tests__', 'fixtures', 'transliteration-golden.json');
+
+program
+  .option('--check', 'Only report sentences whose IAST differs from the golden file')
+  .parse();
+
+const options = program.opts();
+
+function buildCorpus() {
+  const seen = new Set();
+  const corpus = [];
+  for (const file of STORIES) {
+    const text = fs.readFileSync(path.join(ROOT, file), 'utf-8');
+    for (const devanagari of splitIntoSentences(text)) {
+      if (seen.has(devanagari)) continue;
+      seen.add(devanagari);
+      corpus.push({ source: file, devanagari, iast: devanagariToIAST(devanagari) });
+    }
+  }
+  return corpus;
+}
+
+try {
+  const corpus = buildCorpus();
+
+  if (options.check) {
+    const golden = JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf-8'));
+    const expected = new Map(golden.map(entry => [entry.devanagari, entry.iast]));
+    const changed = corpus.filter(entry => expected.has(entry.devanagari) && expected.get(entry.devanagari) !== entry.iast);
+    const added = corpus.filter(entry => !expected.has(entry.devanagari));
+
+    changed.forEach((entry) => {
+      console.log(`~ ${entry.devanagari}`);
+      console.log(`    was: ${expected.get(entry.devanagari)}`);
+      console.log(`    now: ${entry.iast}`);
+    });
+    console.log(`${changed.length === 0 ? '✅' : '⚠️ '} ${changed.length} of ${golden.length} sentences changed, ${added.length} not in the golden file`);
+    process.exit(changed.length === 0 ? 0 : 1);
+  }
+
+  fs.writeFileSync(GOLDEN_FILE, JSON.stringify(corpus, null, 2) + '\n', 'utf-8');
+  console.log(`✅ Wrote ${corpus.length} sentences to ${path.relative(ROOT, GOLDEN_FILE)}`);
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Could not update the golden file:', error.message);
+  process.exit(1);
+}
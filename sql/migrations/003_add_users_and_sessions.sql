@@ -0,0 +1,62 @@
+-- Add contributor accounts and server-issued login sessions
+-- Identity now comes from a session cookie (or bearer token) instead of a
+-- user_id string sent by the client.
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,         -- Always stored lowercase; matches recordings.user_id
+    password_hash TEXT,                 -- NULL for accounts that only use magic-link login
+    display_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_login_at TIMESTAMPTZ
+);
+
+-- Active login sessions (only a SHA-256 hash of the token is stored)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    last_seen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON user_sessions(expires_at);
+
+-- One-time magic-link login tokens
+CREATE TABLE IF NOT EXISTS login_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_tokens_user ON login_tokens(user_id);
+
+-- Keep emails lowercase, same as recordings.user_id
+DROP TRIGGER IF EXISTS normalize_users_email ON users;
+CREATE OR REPLACE FUNCTION normalize_user_email()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.email = LOWER(TRIM(NEW.email));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER normalize_users_email
+    BEFORE INSERT OR UPDATE ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION normalize_user_email();
+
+-- Create passwordless accounts for everyone who has already recorded.
+-- They can claim their account through a magic link.
+INSERT INTO users (email)
+SELECT DISTINCT LOWER(TRIM(user_id))
+FROM recordings
+WHERE user_id LIKE '%@%'
+ON CONFLICT (email) DO NOTHING;
+
+COMMENT ON TABLE users IS 'Contributor accounts';
+COMMENT ON TABLE user_sessions IS 'Server-issued login sessions';
+COMMENT ON TABLE login_tokens IS 'One-time magic-link login tokens';
@@ -0,0 +1,20 @@
+-- Add per-user roles (contributor, reviewer, admin)
+-- Replaces the shared ADMIN_TOKEN; routes check roles through requireRole() middleware.
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('contributor', 'reviewer', 'admin')),
+    granted_by TEXT,                    -- Email of the admin who granted it (or 'migration'/'script')
+    granted_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+
+-- Every existing account can record
+INSERT INTO user_roles (user_id, role, granted_by)
+SELECT id, 'contributor', 'migration'
+FROM users
+ON CONFLICT (user_id, role) DO NOTHING;
+
+COMMENT ON TABLE user_roles IS 'Roles granted to each user (admin implies every other role)';
@@ -0,0 +1,13 @@
+-- Store free-text reviewer notes next to the structured rejection reason
+-- recordings.rejection_reason holds a reason code (see backend/utils/reviewReasons.js);
+-- reviewed_by / reviewed_at are filled automatically by PATCH /api/recordings/:id
+
+ALTER TABLE recordings
+ADD COLUMN IF NOT EXISTS review_notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_recordings_rejection_reason
+ON recordings(rejection_reason)
+WHERE rejection_reason IS NOT NULL;
+
+COMMENT ON COLUMN recordings.rejection_reason IS 'Structured rejection reason code (noise, misread, clipped, ...)';
+COMMENT ON COLUMN recordings.review_notes IS 'Free-text reviewer notes';
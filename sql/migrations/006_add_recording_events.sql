@@ -0,0 +1,19 @@
+-- Audit log for recordings
+-- Every upload, re-upload, status change, flag change and purge is recorded with the
+-- actor and the old/new values, so dataset provenance can be reconstructed later.
+
+CREATE TABLE IF NOT EXISTS recording_events (
+    id BIGSERIAL PRIMARY KEY,
+    recording_id INT NOT NULL,          -- No FK: events must outlive purged recordings
+    event_type TEXT NOT NULL,           -- created, re_upload, status_change, flag_change, purge
+    actor TEXT,                         -- Email of the user who caused the event, or 'system'
+    old_value JSONB,
+    new_value JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recording_events_recording ON recording_events(recording_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_recording_events_type ON recording_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_recording_events_created ON recording_events(created_at DESC);
+
+COMMENT ON TABLE recording_events IS 'Append-only audit log of recording uploads, reviews and purges';
@@ -0,0 +1,29 @@
+-- Multi-reviewer consensus voting (REVIEW_MODE=consensus)
+-- Each reviewer casts one approve/reject vote per recording; the recording is promoted
+-- once REVIEW_QUORUM votes agree. Votes that cannot reach a quorum set status 'disputed'
+-- (the adjudication queue) until an admin decides.
+
+CREATE TABLE IF NOT EXISTS recording_votes (
+    recording_id INT NOT NULL REFERENCES recordings(id) ON DELETE CASCADE,
+    reviewer TEXT NOT NULL,             -- Reviewer email
+    vote TEXT NOT NULL CHECK (vote IN ('approve', 'reject')),
+    rejection_reason TEXT,              -- Reason code when vote = 'reject'
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (recording_id, reviewer)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recording_votes_reviewer ON recording_votes(reviewer);
+
+-- How the current status was decided: 'single' (one reviewer), 'consensus' (quorum of votes)
+-- or 'adjudicated' (admin decision in consensus mode)
+ALTER TABLE recordings
+ADD COLUMN IF NOT EXISTS review_method TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_recordings_disputed
+ON recordings(created_at)
+WHERE status = 'disputed';
+
+COMMENT ON TABLE recording_votes IS 'Per-reviewer approve/reject votes used for consensus review';
+COMMENT ON COLUMN recordings.review_method IS 'single, consensus or adjudicated';
@@ -0,0 +1,21 @@
+-- Review queue leases
+-- POST /api/review-queue/lease hands a batch of pending recordings to one reviewer for
+-- REVIEW_LEASE_MINUTES. A recording has at most one lease; expired leases are ignored and
+-- cleaned up on the next lease request, which returns those recordings to the pool.
+
+CREATE TABLE IF NOT EXISTS review_leases (
+    recording_id INT PRIMARY KEY REFERENCES recordings(id) ON DELETE CASCADE,
+    reviewer TEXT NOT NULL,             -- Reviewer email
+    leased_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_leases_reviewer ON review_leases(reviewer, expires_at);
+CREATE INDEX IF NOT EXISTS idx_review_leases_expires ON review_leases(expires_at);
+
+-- Non-fatal validation findings (unexpected duration or file size), used to prioritise review
+ALTER TABLE recordings
+ADD COLUMN IF NOT EXISTS validation_warnings JSONB;
+
+COMMENT ON TABLE review_leases IS 'Recordings currently assigned to a reviewer by the review queue';
+COMMENT ON COLUMN recordings.validation_warnings IS 'Array of non-fatal validation warnings';
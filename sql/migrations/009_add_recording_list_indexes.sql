@@ -0,0 +1,11 @@
+-- Indexes for the paginated review listing (GET /api/recordings)
+-- Latest-take lookup (newest recording per sentence per speaker) and the sort/filter columns
+
+CREATE INDEX IF NOT EXISTS idx_recordings_sentence_user_created
+ON recordings(sentence_id, user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_recordings_status_created
+ON recordings(status, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_recordings_duration
+ON recordings(duration_seconds);
@@ -0,0 +1,18 @@
+-- Optional per-speaker demographic profile (exported as speaker fields in the ASR manifest)
+-- A row only exists while the speaker agrees to share it; withdrawing deletes the row.
+-- Allowed values are listed in backend/utils/speakerProfile.js.
+
+CREATE TABLE IF NOT EXISTS speaker_profiles (
+    user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    age_band TEXT CHECK (age_band IN ('18-24', '25-34', '35-44', '45-54', '55-64', '65+')),
+    gender TEXT CHECK (gender IN ('female', 'male', 'non_binary', 'prefer_not_to_say')),
+    native_dialect TEXT CHECK (native_dialect IN ('goan', 'mangalorean', 'karwari', 'saraswat', 'other')),
+    region TEXT,
+    language_status TEXT CHECK (language_status IN ('L1', 'L2')),
+    device_type TEXT CHECK (device_type IN ('phone', 'tablet', 'laptop', 'headset', 'external_mic')),
+    consented_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),   -- When the speaker agreed to share the profile
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE speaker_profiles IS 'Optional speaker demographics, stored only with the speaker''s consent';
+COMMENT ON COLUMN speaker_profiles.language_status IS 'L1 = first language, L2 = learned later';
@@ -0,0 +1,45 @@
+-- Informed consent
+-- Consent texts are versioned and immutable; publishing a new version asks every contributor
+-- to accept again. POST /api/recordings requires an accepted, non-withdrawn consent for the
+-- current version. Withdrawing consent queues the speaker's recordings for deletion
+-- (status 'deleted') and excludes them from exports.
+
+CREATE TABLE IF NOT EXISTS consent_texts (
+    id SERIAL PRIMARY KEY,
+    version TEXT NOT NULL UNIQUE,       -- e.g. '1.0'
+    body TEXT NOT NULL,
+    published_by TEXT,                  -- Email of the admin who published it (or 'migration')
+    published_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_consents (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    consent_text_id INT NOT NULL REFERENCES consent_texts(id),
+    accepted_at TIMESTAMPTZ DEFAULT NOW(),
+    withdrawn_at TIMESTAMPTZ,
+    user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_consents_user ON user_consents(user_id, accepted_at DESC);
+
+-- At most one active (non-withdrawn) acceptance per user and version
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_consents_active
+    ON user_consents(user_id, consent_text_id)
+    WHERE withdrawn_at IS NULL;
+
+INSERT INTO consent_texts (version, body, published_by)
+VALUES (
+    '1.0',
+    'By recording, you agree that your voice recordings and the text you read will be collected '
+    'to build an open Konkani speech dataset and speech recognition models. Recordings are stored '
+    'with a pseudonymous speaker id; your email is never published. Your recordings may be shared '
+    'with researchers and included in publicly released datasets and models. You can withdraw your '
+    'consent at any time from the home page: your recordings will then be removed from future '
+    'exports and deleted. Recordings already included in a released dataset cannot be recalled.',
+    'migration'
+)
+ON CONFLICT (version) DO NOTHING;
+
+COMMENT ON TABLE consent_texts IS 'Versioned consent texts (the latest published version is current)';
+COMMENT ON TABLE user_consents IS 'Which consent version each contributor accepted, and any withdrawal';
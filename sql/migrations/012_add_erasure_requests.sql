@@ -0,0 +1,21 @@
+-- Contributor data erasure log
+-- POST /api/users/:email/erasure (or scripts/erase-user.js) deletes a contributor's account,
+-- recordings and audio files. This table records that the erasure happened without keeping
+-- the email itself: only its SHA-256 hash, so a repeated request can be recognised.
+
+CREATE TABLE IF NOT EXISTS erasure_requests (
+    id SERIAL PRIMARY KEY,
+    email_hash TEXT NOT NULL,           -- SHA-256 of the lowercased email
+    requested_by TEXT NOT NULL,         -- 'self', or the email of the admin/operator
+    status TEXT NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed', 'completed_with_errors')),
+    recordings_deleted INT DEFAULT 0,
+    files_deleted INT DEFAULT 0,
+    failed_files JSONB DEFAULT '[]',    -- Storage paths that could not be deleted (retry manually)
+    requested_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_erasure_requests_email_hash ON erasure_requests(email_hash);
+
+COMMENT ON TABLE erasure_requests IS 'Completed contributor erasures (no personal data is kept)';
@@ -0,0 +1,11 @@
+-- Story ordering
+-- Admins can reorder stories through PUT /api/stories/order; the story list is sorted by
+-- display_order. Existing stories keep their current order (by id).
+
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS display_order INT;
+
+UPDATE stories SET display_order = id WHERE display_order IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_stories_display_order ON stories(display_order, id);
+
+COMMENT ON COLUMN stories.display_order IS 'Position in the story list (lowest first; NULL sorts last)';
@@ -0,0 +1,33 @@
+-- Versioned sentence text
+-- PATCH /api/sentences/:id corrects a sentence in place instead of re-importing the story
+-- (which deletes its recordings). Every text a sentence has had is kept in sentence_versions,
+-- and each recording remembers the version the speaker read. A recording whose
+-- sentence_version is older than the sentence's text_version is shown to reviewers to
+-- re-verify (POST /api/recordings/:id/reverify) or flag for re-recording.
+
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS text_version INT NOT NULL DEFAULT 1;
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS sentence_versions (
+    id SERIAL PRIMARY KEY,
+    sentence_id INT NOT NULL REFERENCES sentences(id) ON DELETE CASCADE,
+    version INT NOT NULL,
+    text_devanagari TEXT NOT NULL,
+    text_iast TEXT,
+    edited_by TEXT,                     -- Email of the admin who made the edit (NULL for the original import)
+    edit_note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (sentence_id, version)
+);
+
+-- The current text of every existing sentence is version 1
+INSERT INTO sentence_versions (sentence_id, version, text_devanagari, text_iast, created_at)
+SELECT id, text_version, text_devanagari, text_iast, created_at
+FROM sentences
+ON CONFLICT (sentence_id, version) DO NOTHING;
+
+-- Existing recordings were read against that text
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS sentence_version INT NOT NULL DEFAULT 1;
+
+COMMENT ON TABLE sentence_versions IS 'Every text a sentence has had (version 1 = as imported)';
+COMMENT ON COLUMN recordings.sentence_version IS 'sentence_versions.version the speaker read; older than sentences.text_version = needs re-verification';
@@ -0,0 +1,14 @@
+-- Soft-retired sentences
+-- Re-importing a story (scripts/import-story.js --reimport) keeps the sentences that are still
+-- in the new file and retires the ones that were removed instead of deleting them, so their
+-- recordings stay in the dataset. Retired sentences are no longer offered for recording and
+-- keep their old order_in_story; only active sentences need a unique position.
+
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS retired_at TIMESTAMPTZ;
+
+ALTER TABLE sentences DROP CONSTRAINT IF EXISTS sentences_story_id_order_in_story_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sentences_active_order
+    ON sentences(story_id, order_in_story)
+    WHERE retired_at IS NULL;
+
+COMMENT ON COLUMN sentences.retired_at IS 'Set when a re-import removed the sentence; NULL = active';
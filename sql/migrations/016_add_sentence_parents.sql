@@ -0,0 +1,22 @@
+-- Parents of split sentences
+-- A sentence too long to read within the recording cap can be split into segments at import
+-- (scripts/import-story.js --long-sentences split). The original sentence is kept in
+-- sentence_parents and each segment points to it with its position, so exports can join the
+-- segments (and their recordings) back into the original sentence.
+
+CREATE TABLE IF NOT EXISTS sentence_parents (
+    id SERIAL PRIMARY KEY,
+    story_id INT NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    text_devanagari TEXT NOT NULL,
+    text_iast TEXT,
+    char_count INT,
+    segment_count INT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS parent_id INT REFERENCES sentence_parents(id) ON DELETE SET NULL;
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS segment_index INT;  -- 1-based position within the parent
+
+CREATE INDEX IF NOT EXISTS idx_sentences_parent ON sentences(parent_id) WHERE parent_id IS NOT NULL;
+
+COMMENT ON TABLE sentence_parents IS 'Original text of sentences split into segments to fit the recording cap';
@@ -0,0 +1,12 @@
+-- Konkani script variants
+-- Stories can be imported in Devanagari, Kannada, Romi (Roman) or Malayalam script. Sentences are
+-- always stored in Devanagari (text_devanagari, the canonical text); text_variants holds the same
+-- sentence in the other scripts, keyed by script name, so the recorder can show the script a
+-- contributor reads best. The script the story was written in keeps the author's spelling.
+
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS source_script TEXT NOT NULL DEFAULT 'devanagari';
+
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS text_variants JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN stories.source_script IS 'Script the story text was imported in: devanagari, kannada, romi or malayalam';
+COMMENT ON COLUMN sentences.text_variants IS 'The sentence in other scripts, e.g. {"kannada": "...", "romi": "...", "malayalam": "..."}';
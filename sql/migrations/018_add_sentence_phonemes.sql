@@ -0,0 +1,8 @@
+-- Phonemic transcription of sentences
+-- text_phonemes is the sentence as phones (backend/utils/g2p.js with the default phone set of
+-- phone_inventory.json): phones separated by spaces, words by " | ". Sentences imported before
+-- this migration are NULL until scripts/phonemize-sentences.js fills them.
+
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS text_phonemes TEXT;
+
+COMMENT ON COLUMN sentences.text_phonemes IS 'Phones of text_devanagari, e.g. "ɦ ã ʋ | ɡʱ ə ɾ a" (IPA by default)';
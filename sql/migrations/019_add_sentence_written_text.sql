@@ -0,0 +1,8 @@
+-- Numbers written as words at import
+-- A story imported with numbers_as_words stores its sentences as read aloud (१२ = बारा, see
+-- backend/utils/konkaniNumbers.js); text_written keeps the sentence as the author wrote it.
+-- NULL when the two are the same.
+
+ALTER TABLE sentences ADD COLUMN IF NOT EXISTS text_written TEXT;
+
+COMMENT ON COLUMN sentences.text_written IS 'Sentence as written, when text_devanagari spells out its numbers; NULL otherwise';